@@ -0,0 +1,437 @@
+// ====================================
+// AUDIO
+// ====================================
+// Every sound is synthesized with the Web Audio API, so there are no
+// files to load. The AudioContext is only created by unlockAudio(), which
+// has to run from a click or key press; until then (and under Node) every
+// play function is a silent no-op.
+//
+// Graph: sources -> (panner) -> sfx / music bus -> master -> speakers
+
+export const DEFAULT_VOLUMES = { master: 0.8, sfx: 0.8, music: 0.5 };
+
+// Seconds left at which the timer beeps; the last ten tick every second
+export const WARNING_TIMES = [60, 30, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+
+const REFERENCE_DISTANCE = 1500; // Full volume up to here
+const MIN_DISTANCE_GAIN = 0.35; // Far planets stay audible
+const LASER_HUM_LEVEL = 0.12;
+const MUSIC_LEVEL = 0.5;
+const CHIME_SCALE = [0, 2, 4, 7, 9, 12, 14, 16, 19, 21, 24]; // Pentatonic steps
+const MIN_CHIME_GAP = 0.035; // Seconds; a burst of comets arpeggiates
+
+// Per-category destruction sounds: a pitch-dropping thump, a filtered
+// noise burst and, for the bigger finds, a rising shimmer
+export const DESTRUCTION_SOUNDS = {
+  common: { thump: 90, noiseCutoff: 1200, duration: 0.5, shimmer: 0 },
+  exotic: { thump: 70, noiseCutoff: 2400, duration: 0.8, shimmer: 3 },
+  rare: { thump: 55, noiseCutoff: 4000, duration: 1.2, shimmer: 6 },
+  bomb: { thump: 40, noiseCutoff: 800, duration: 1.4, shimmer: 0 },
+};
+
+// ====================================
+// MIXING HELPERS
+// ====================================
+export function clampVolume(value, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.max(0, Math.min(1, number));
+}
+
+// Fills in defaults for anything missing or out of range in saved volumes
+export function resolveVolumes(saved = {}) {
+  const volumes = {};
+  Object.keys(DEFAULT_VOLUMES).forEach((bus) => {
+    volumes[bus] = clampVolume(saved?.[bus], DEFAULT_VOLUMES[bus]);
+  });
+  return volumes;
+}
+
+// Stereo position (-1 left to 1 right) of a sound at `offset` from the
+// listener, given the listener's unit right vector
+export function stereoPan(offset, right) {
+  const length = Math.hypot(offset.x, offset.y, offset.z);
+  if (length === 0) return 0;
+  const pan =
+    (offset.x * right.x + offset.y * right.y + offset.z * right.z) / length;
+  return Math.max(-1, Math.min(1, pan));
+}
+
+export function distanceGain(distance) {
+  if (distance <= REFERENCE_DISTANCE) return 1;
+  return Math.max(MIN_DISTANCE_GAIN, REFERENCE_DISTANCE / distance);
+}
+
+// The warning threshold passed while the clock went from `before` to
+// `after` seconds left, or null
+export function crossedWarning(before, after) {
+  return WARNING_TIMES.find((time) => before > time && after <= time) ?? null;
+}
+
+// How busy the ambient track should be, 0-1: it builds as the round runs
+// down, while firing and with a hot streak
+export function ambientIntensity({ timeFraction, laserActive, streak }) {
+  const intensity =
+    0.2 +
+    (1 - timeFraction) * 0.4 +
+    (laserActive ? 0.15 : 0) +
+    Math.min(streak, 10) * 0.025;
+  return Math.max(0, Math.min(1, intensity));
+}
+
+// ====================================
+// ENGINE
+// ====================================
+let context = null;
+let buses = null; // { master, sfx, music } gain nodes
+let noiseBuffer = null;
+let laserHum = null;
+let ambient = null;
+let lastChimeTime = 0;
+let volumes = { ...DEFAULT_VOLUMES };
+
+// Creates (or wakes) the audio context; call from a user gesture
+export function unlockAudio() {
+  if (!context) {
+    const AudioContextClass =
+      globalThis.AudioContext || globalThis.webkitAudioContext;
+    if (!AudioContextClass) return;
+    context = new AudioContextClass();
+    buildGraph();
+  }
+  if (context.state === "suspended") context.resume();
+}
+
+export function setVolumes(next) {
+  volumes = resolveVolumes(next);
+  if (!buses) return;
+  const now = context.currentTime;
+  buses.master.gain.setTargetAtTime(volumes.master, now, 0.02);
+  buses.sfx.gain.setTargetAtTime(volumes.sfx, now, 0.02);
+  buses.music.gain.setTargetAtTime(volumes.music * MUSIC_LEVEL, now, 0.02);
+}
+
+// Freezes every sound in place while the game is paused
+export function suspendAudio() {
+  if (context && context.state === "running") context.suspend();
+}
+
+function buildGraph() {
+  buses = {
+    master: context.createGain(),
+    sfx: context.createGain(),
+    music: context.createGain(),
+  };
+  buses.master.connect(context.destination);
+  buses.sfx.connect(buses.master);
+  buses.music.connect(buses.master);
+  setVolumes(volumes);
+
+  // One second of white noise, reused by every burst
+  noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+  const data = noiseBuffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+  laserHum = createLaserHum();
+  ambient = createAmbient();
+}
+
+// Output node for a one-shot sound, panned and attenuated
+function createVoice(pan = 0, gain = 1) {
+  const panner = context.createStereoPanner();
+  panner.pan.value = pan;
+  const level = context.createGain();
+  level.gain.value = gain;
+  panner.connect(level);
+  level.connect(buses.sfx);
+  return panner;
+}
+
+// Short attack, exponential release
+function envelope(param, now, peak, duration, attack = 0.01) {
+  param.setValueAtTime(0.0001, now);
+  param.exponentialRampToValueAtTime(peak, now + attack);
+  param.exponentialRampToValueAtTime(0.0001, now + duration);
+}
+
+function playTone(
+  output,
+  { type = "sine", frequency, endFrequency, peak, duration, delay = 0 }
+) {
+  const now = context.currentTime + delay;
+  const oscillator = context.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, now);
+  if (endFrequency) {
+    oscillator.frequency.exponentialRampToValueAtTime(
+      endFrequency,
+      now + duration
+    );
+  }
+  const gain = context.createGain();
+  envelope(gain.gain, now, peak, duration);
+  oscillator.connect(gain);
+  gain.connect(output);
+  oscillator.start(now);
+  oscillator.stop(now + duration + 0.05);
+}
+
+// ====================================
+// LASER HUM
+// ====================================
+// Two detuned saws through a wobbling low-pass filter. It runs for the
+// whole session and is faded in and out rather than restarted.
+function createLaserHum() {
+  const output = context.createGain();
+  output.gain.value = 0;
+  const filter = context.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = 900;
+  filter.Q.value = 6;
+  filter.connect(output);
+  output.connect(buses.sfx);
+
+  [110, 110.8].forEach((frequency) => {
+    const oscillator = context.createOscillator();
+    oscillator.type = "sawtooth";
+    oscillator.frequency.value = frequency;
+    oscillator.connect(filter);
+    oscillator.start();
+  });
+
+  const wobble = context.createOscillator();
+  wobble.frequency.value = 7;
+  const wobbleDepth = context.createGain();
+  wobbleDepth.gain.value = 300;
+  wobble.connect(wobbleDepth);
+  wobbleDepth.connect(filter.frequency);
+  wobble.start();
+
+  return { output, active: false };
+}
+
+export function setLaserHum(active) {
+  if (!laserHum || laserHum.active === active) return;
+  laserHum.active = active;
+  laserHum.output.gain.setTargetAtTime(
+    active ? LASER_HUM_LEVEL : 0,
+    context.currentTime,
+    active ? 0.02 : 0.06
+  );
+}
+
+// ====================================
+// ONE-SHOT EFFECTS
+// ====================================
+export function playDestructionSound(category, { pan = 0, gain = 1 } = {}) {
+  if (!context) return;
+  const sound = DESTRUCTION_SOUNDS[category] || DESTRUCTION_SOUNDS.common;
+  const output = createVoice(pan, gain);
+  const now = context.currentTime;
+
+  playTone(output, {
+    frequency: sound.thump * 2,
+    endFrequency: sound.thump / 2,
+    peak: 0.6,
+    duration: sound.duration,
+  });
+
+  const noise = context.createBufferSource();
+  noise.buffer = noiseBuffer;
+  const filter = context.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.setValueAtTime(sound.noiseCutoff, now);
+  filter.frequency.exponentialRampToValueAtTime(
+    120,
+    now + sound.duration * 0.9
+  );
+  const noiseGain = context.createGain();
+  envelope(noiseGain.gain, now, 0.4, sound.duration * 0.9, 0.005);
+  noise.connect(filter);
+  filter.connect(noiseGain);
+  noiseGain.connect(output);
+  noise.start(now);
+  noise.stop(now + sound.duration);
+
+  for (let i = 0; i < sound.shimmer; i++) {
+    playTone(output, {
+      type: "triangle",
+      frequency: 660 * Math.pow(2, CHIME_SCALE[i] / 12),
+      peak: 0.12,
+      duration: 0.3,
+      delay: 0.08 + i * 0.06,
+    });
+  }
+}
+
+// `step` counts comets collected from the same explosion, so a burst
+// climbs the scale
+export function playCollectChime(step = 0, { pan = 0 } = {}) {
+  if (!context) return;
+  // Spread simultaneous arrivals out a little instead of stacking them
+  const start = Math.max(context.currentTime, lastChimeTime + MIN_CHIME_GAP);
+  lastChimeTime = start;
+  const note = CHIME_SCALE[Math.min(step, CHIME_SCALE.length - 1)];
+  playTone(createVoice(pan, 0.8), {
+    frequency: 880 * Math.pow(2, note / 12),
+    peak: 0.15,
+    duration: 0.25,
+    delay: start - context.currentTime,
+  });
+}
+
+// A rising whine into a sharp crack; a fuller charge cracks harder
+export function playRailgunSound(charge = 1) {
+  if (!context) return;
+  const output = createVoice(0, 0.6 + charge * 0.4);
+  playTone(output, {
+    type: "square",
+    frequency: 2400,
+    endFrequency: 300,
+    peak: 0.2,
+    duration: 0.25,
+  });
+  playTone(output, {
+    frequency: 180,
+    endFrequency: 40,
+    peak: 0.3 + charge * 0.3,
+    duration: 0.4,
+  });
+}
+
+// A low whoosh as a missile leaves the avatar
+export function playMissileLaunch() {
+  if (!context) return;
+  const now = context.currentTime;
+  const noise = context.createBufferSource();
+  noise.buffer = noiseBuffer;
+  const filter = context.createBiquadFilter();
+  filter.type = "bandpass";
+  filter.Q.value = 2;
+  filter.frequency.setValueAtTime(300, now);
+  filter.frequency.exponentialRampToValueAtTime(1800, now + 0.5);
+  const gain = context.createGain();
+  envelope(gain.gain, now, 0.35, 0.6, 0.03);
+  noise.connect(filter);
+  filter.connect(gain);
+  gain.connect(createVoice());
+  noise.start(now);
+  noise.stop(now + 0.6);
+}
+
+// A falling sputter when the laser overheats or is fired while locked out
+export function playOverheatSound() {
+  if (!context) return;
+  playTone(createVoice(0, 0.8), {
+    type: "sawtooth",
+    frequency: 440,
+    endFrequency: 70,
+    peak: 0.15,
+    duration: 0.4,
+  });
+}
+
+// Something hit the avatar: a bright zap off the shield, or a low crunch
+// once it's down
+export function playImpactSound(shielded) {
+  if (!context) return;
+  const output = createVoice(0, 0.9);
+  if (shielded) {
+    playTone(output, {
+      type: "triangle",
+      frequency: 1200,
+      endFrequency: 400,
+      peak: 0.2,
+      duration: 0.3,
+    });
+    return;
+  }
+  playTone(output, {
+    type: "sawtooth",
+    frequency: 120,
+    endFrequency: 35,
+    peak: 0.4,
+    duration: 0.5,
+  });
+}
+
+// A quick rising arpeggio for a collected power-up
+export function playPowerUpSound() {
+  if (!context) return;
+  const output = createVoice(0, 0.8);
+  [0, 4, 7, 12].forEach((step, i) => {
+    playTone(output, {
+      type: "triangle",
+      frequency: 660 * Math.pow(2, step / 12),
+      peak: 0.15,
+      duration: 0.2,
+      delay: i * 0.05,
+    });
+  });
+}
+
+// Higher and more insistent in the final ten seconds
+export function playTimeWarning(secondsLeft) {
+  if (!context) return;
+  const urgent = secondsLeft <= 10;
+  const output = createVoice();
+  playTone(output, {
+    type: "square",
+    frequency: urgent ? 1320 : 880,
+    peak: urgent ? 0.12 : 0.08,
+    duration: 0.15,
+  });
+  if (!urgent) {
+    playTone(output, {
+      type: "square",
+      frequency: 880,
+      peak: 0.08,
+      duration: 0.15,
+      delay: 0.2,
+    });
+  }
+}
+
+// ====================================
+// AMBIENT TRACK
+// ====================================
+// A slow drone (root, fifth, octave) whose filter opens and pulse quickens
+// with intensity
+function createAmbient() {
+  const filter = context.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = 400;
+  filter.Q.value = 2;
+  const pulse = context.createGain();
+  pulse.gain.value = 0.6;
+  filter.connect(pulse);
+  pulse.connect(buses.music);
+
+  [55, 82.5, 110, 110.5].forEach((frequency, index) => {
+    const oscillator = context.createOscillator();
+    oscillator.type = index % 2 ? "triangle" : "sawtooth";
+    oscillator.frequency.value = frequency;
+    const gain = context.createGain();
+    gain.gain.value = 0.12;
+    oscillator.connect(gain);
+    gain.connect(filter);
+    oscillator.start();
+  });
+
+  const lfo = context.createOscillator();
+  lfo.frequency.value = 0.25;
+  const lfoDepth = context.createGain();
+  lfoDepth.gain.value = 0.25;
+  lfo.connect(lfoDepth);
+  lfoDepth.connect(pulse.gain);
+  lfo.start();
+
+  return { filter, lfo };
+}
+
+export function updateAmbient(intensity) {
+  if (!ambient) return;
+  const now = context.currentTime;
+  ambient.filter.frequency.setTargetAtTime(300 + intensity * 1500, now, 0.5);
+  ambient.lfo.frequency.setTargetAtTime(0.25 + intensity * 3.75, now, 0.5);
+}
@@ -0,0 +1,109 @@
+// ====================================
+// AVATAR ANIMATION
+// ====================================
+// Which of the model's animation clips should play for the current
+// controls, and the procedural bank and pitch laid on top. Models name
+// their clips however they like, so clips are matched to roles by name;
+// roles without a clip fall back to the nearest one that has one. The
+// three.js side (the AnimationMixer and crossfades) lives in src/avatar.js.
+
+export const CROSSFADE_TIME = 0.3; // Seconds to blend between movement clips
+export const FIRE_FADE_TIME = 0.15; // Seconds for the firing clip to blend in or out
+export const MOVE_THRESHOLD = 0.1; // Control magnitude that counts as moving
+
+export const MAX_BANK = 0.5; // Radians of roll at full turn
+export const MAX_PITCH = 0.2; // Radians of nose-down at full speed forward
+export const CLIMB_PITCH = 0.25; // Radians of nose-up at full climb
+export const TILT_RESPONSE = 6; // How quickly the tilt catches up, per second
+
+export const ROLES = ["idle", "forward", "backward", "ascend", "descend"];
+
+// Checked in this order, so "FlyBackward" is taken as backward before
+// the looser forward pattern sees "Fly"
+const CLIP_PATTERNS = [
+  ["fire", /fire|shoot|attack|cast/i],
+  ["backward", /back(?:wards?)?(?![a-z])|reverse/i], // Not "Backflip"
+  ["ascend", /ascend|climb|rise|(?:^|[^a-z])up(?:[^a-z]|$)/i],
+  ["descend", /descend|dive|sink|fall|(?:^|[^a-z])down(?:[^a-z]|$)/i],
+  ["forward", /forward|fly|move|run|walk|swim/i],
+  ["idle", /idle|hover|stand|rest/i],
+];
+
+// Roles to try, in order, when a role has no clip of its own
+const FALLBACKS = {
+  idle: [],
+  forward: ["idle"],
+  backward: ["forward", "idle"],
+  ascend: ["forward", "idle"],
+  descend: ["forward", "idle"],
+};
+
+// Maps each role to a clip name, or null. Every clip fills at most one
+// role; a model whose clips match nothing still idles on its first clip.
+export function matchClips(names) {
+  const clips = { fire: null };
+  ROLES.forEach((role) => (clips[role] = null));
+  const unused = [...names];
+
+  CLIP_PATTERNS.forEach(([role, pattern]) => {
+    const index = unused.findIndex((name) => pattern.test(name));
+    if (index === -1) return;
+    clips[role] = unused[index];
+    unused.splice(index, 1);
+  });
+  if (!clips.idle && names.length) clips.idle = unused[0] ?? names[0];
+  return clips;
+}
+
+function amount(controls, control) {
+  return Number(controls?.[control]) || 0;
+}
+
+// The movement role the controls ask for. Climbing and diving win over
+// flying, since they change the silhouette the most.
+export function pickMotion(controls) {
+  const vertical = amount(controls, "up") - amount(controls, "down");
+  const drive = amount(controls, "forward") - amount(controls, "backward");
+  if (vertical > MOVE_THRESHOLD) return "ascend";
+  if (vertical < -MOVE_THRESHOLD) return "descend";
+  if (drive > MOVE_THRESHOLD) return "forward";
+  if (drive < -MOVE_THRESHOLD) return "backward";
+  return "idle";
+}
+
+// `role` if it has a clip, otherwise its closest fallback that does, or
+// null when the model has no movement clips at all
+export function resolveMotion(role, clips) {
+  return (
+    [role, ...FALLBACKS[role]].find((candidate) => clips[candidate]) ?? null
+  );
+}
+
+// ====================================
+// TILT
+// ====================================
+// Radians; bank rolls around the direction of travel, pitch tips the nose
+export function createTilt() {
+  return { bank: 0, pitch: 0 };
+}
+
+// Banks into turns (turning left drops the left side) and dips the nose
+// when flying forward or diving
+export function tiltTarget(controls) {
+  const turn = amount(controls, "rotateLeft") - amount(controls, "rotateRight");
+  const drive = amount(controls, "forward") - amount(controls, "backward");
+  const climb = amount(controls, "up") - amount(controls, "down");
+  return {
+    bank: -turn * MAX_BANK,
+    pitch: drive * MAX_PITCH - climb * CLIMB_PITCH,
+  };
+}
+
+// Eases the tilt towards its target; frame-rate independent
+export function stepTilt(tilt, controls, dt) {
+  const target = tiltTarget(controls);
+  const blend = 1 - Math.exp(-TILT_RESPONSE * dt);
+  tilt.bank += (target.bank - tilt.bank) * blend;
+  tilt.pitch += (target.pitch - tilt.pitch) * blend;
+  return tilt;
+}
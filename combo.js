@@ -0,0 +1,75 @@
+// ====================================
+// COMBO
+// ====================================
+// Kills landed within COMBO_WINDOW seconds of each other build a chain,
+// and every KILLS_PER_LEVEL kills in the chain raise the multiplier. Rare
+// kills buy extra time, and destroying planets of the same color back to
+// back earns a color bonus on top. Letting the window run out resets it all.
+
+export const COMBO_WINDOW = 3; // Seconds to land the next kill
+export const RARE_WINDOW_BONUS = 2; // Extra seconds after a rare kill
+export const KILLS_PER_LEVEL = 3;
+export const MAX_MULTIPLIER = 8;
+export const COLOR_CHAIN_BONUS = 0.5; // Per same-color kill after the first
+export const MAX_COLOR_CHAIN_BONUS = 2;
+
+export function createCombo() {
+  return {
+    chain: 0, // Kills in the current combo
+    multiplier: 1,
+    timeLeft: 0,
+    window: COMBO_WINDOW, // Length of the current window, for decay bars
+    lastColor: null,
+    colorChain: 0, // Consecutive kills of lastColor
+  };
+}
+
+export function getMultiplier(chain) {
+  return Math.min(MAX_MULTIPLIER, 1 + Math.floor(chain / KILLS_PER_LEVEL));
+}
+
+// 1 for a lone color, growing with each same-color kill in a row
+export function getColorBonus(colorChain) {
+  return (
+    1 + Math.min(MAX_COLOR_CHAIN_BONUS, (colorChain - 1) * COLOR_CHAIN_BONUS)
+  );
+}
+
+// Adds a kill to the combo and returns what it's worth:
+// { multiplier, colorBonus, total } where total scales the planet's points
+export function registerKill(combo, { category, color }) {
+  combo.chain++;
+  combo.multiplier = getMultiplier(combo.chain);
+  combo.window = COMBO_WINDOW + (category === "rare" ? RARE_WINDOW_BONUS : 0);
+  combo.timeLeft = Math.max(combo.timeLeft, combo.window);
+
+  if (color !== undefined && color === combo.lastColor) combo.colorChain++;
+  else combo.colorChain = 1;
+  combo.lastColor = color ?? null;
+
+  const colorBonus = getColorBonus(combo.colorChain);
+  return {
+    multiplier: combo.multiplier,
+    colorBonus,
+    total: combo.multiplier * colorBonus,
+  };
+}
+
+// Returns true when the window ran out and the combo was lost this step
+export function stepCombo(combo, dt) {
+  if (combo.chain === 0) return false;
+  combo.timeLeft -= dt;
+  if (combo.timeLeft > 0) return false;
+  resetCombo(combo);
+  return true;
+}
+
+// Drops the chain and color streak at once
+export function resetCombo(combo) {
+  return Object.assign(combo, createCombo());
+}
+
+// Window left as a 0-1 fraction
+export function getComboDecay(combo) {
+  return combo.chain === 0 ? 0 : Math.max(0, combo.timeLeft / combo.window);
+}
@@ -0,0 +1,397 @@
+// ====================================
+// GAME CORE
+// ====================================
+// Game rules with no THREE.js or DOM dependencies, so they can be
+// exercised headlessly under Node. src/scene.js and src/input.js own
+// rendering and input, and src/loop.js steps the game through these
+// functions with a single explicit state object.
+
+import { createCombo } from "./combo.js";
+import { createVitals } from "./hazards.js";
+import { createPowerUps } from "./powerups.js";
+
+export const CUBE_SIZE = 1600;
+export const AVATAR_MOVEMENT_SPEED = 2; // Per simulation step
+export const AVATAR_ROTATION_SPEED = 0.01; // Per simulation step
+// Laser heat is measured in seconds of firing: a cold laser overheats
+// after LASER_MAX_DURATION of continuous fire
+export const LASER_MAX_DURATION = 5; // 5 seconds
+export const LASER_FIRE_HEAT = 0.25; // Added by every trigger pull
+export const LASER_COOL_RATE = 1.5; // Heat shed per second while idle
+export const LASER_OVERHEAT_PENALTY = 1.5; // Seconds before cooling starts
+export const LASER_RESUME_HEAT = 2.5; // Overheated laser unlocks below this
+export const GAME_DURATION = 300; // 5 minutes (in seconds)
+
+// Planet configuration
+export const PLANET_CONFIG = {
+  common: {
+    count: 40,
+    minPoints: 50,
+    maxPoints: 150,
+    minSize: 90,
+    maxSize: 100,
+    health: 1, // For an average-sized planet; see getPlanetHealth
+    minDistance: 2400,
+    maxDistance: 3000,
+    colors: [0x8888ff, 0x88ff88, 0xffaa88, 0xaaaaaa, 0x88ddff],
+    motion: { type: "drift", maxSpeed: 0.8 }, // Per simulation step
+    // Clusters of small rocks circling a shared center, spawned with the
+    // round and not replaced (respawned commons drift like the rest)
+    belts: {
+      count: 2,
+      members: 8,
+      minRadius: 250,
+      maxRadius: 400,
+      thickness: 60,
+      minSize: 30,
+      maxSize: 50,
+      minPeriod: 60, // Seconds per lap
+      maxPeriod: 90,
+      colors: [0xaaaaaa, 0x998877, 0xbbaa99],
+    },
+  },
+  exotic: {
+    count: 14,
+    minPoints: 200,
+    maxPoints: 350,
+    minSize: 100,
+    maxSize: 130,
+    health: 2,
+    minDistance: 2600,
+    maxDistance: 3200,
+    colors: [0xff8800, 0x00ffaa, 0xaa00ff, 0xff88ff, 0xffff00],
+    // Orbits one of the host giants, this far beyond its surface
+    motion: {
+      type: "orbit",
+      minRadius: 150,
+      maxRadius: 350,
+      minPeriod: 20, // Seconds per lap
+      maxPeriod: 40,
+    },
+    // Large scenery bodies the exotics orbit; they can't be destroyed
+    hosts: {
+      count: 4,
+      minSize: 220,
+      maxSize: 300,
+      colors: [0x442266, 0x224466, 0x663322],
+    },
+  },
+  rare: {
+    count: 6,
+    minPoints: 500,
+    maxPoints: 800,
+    minSize: 120,
+    maxSize: 180,
+    health: 3.5,
+    minDistance: 2500,
+    maxDistance: 3500,
+    colors: [0xff0088, 0x00ffff, 0xdd00ff, 0xff0000, 0x00ff00],
+    // Dodges a beam passing within fleeRadius of its surface and jumps
+    // somewhere else now and then
+    motion: {
+      type: "flee",
+      fleeRadius: 400,
+      fleeSpeed: 6, // Per simulation step
+      minTeleportTime: 12, // Seconds between jumps
+      maxTeleportTime: 20,
+    },
+  },
+};
+
+// Population the field is topped back up to as planets are destroyed,
+// filled in this order
+export const PLANET_QUOTAS = { common: 40, exotic: 40, rare: 20 };
+export const MAX_PLANETS = 100;
+export const MAX_SPAWNS_PER_STEP = 5;
+
+// Health for planets that don't carry their own
+export const PLANET_HEALTH = 1;
+
+// Points awarded when a planet carries no points of its own
+const FALLBACK_POINTS = { common: 10, exotic: 20, rare: 30 };
+
+// ====================================
+// STATE
+// ====================================
+// mode is "classic" or "daily"; duration is the round length in seconds
+export function createGameState({
+  mode = "classic",
+  duration = GAME_DURATION,
+} = {}) {
+  return {
+    mode,
+    duration,
+    score: 0,
+    gameTime: 0,
+    laserActive: false,
+    laserTime: 0, // Length of the current burst
+    laserHeat: 0,
+    overheated: false,
+    lockoutTime: 0, // Overheat penalty left before cooling starts
+    weapon: "beam", // See weapons.js
+    weaponCooldown: 0,
+    charging: false, // Railgun held down
+    charge: 0, // 0-1
+    combo: createCombo(), // See combo.js
+    vitals: createVitals(), // Player shield and health; see hazards.js
+    powerUps: createPowerUps(), // Active timed effects; see powerups.js
+    endReason: null, // "time" or "destroyed" once the round is over
+    wave: null, // Wave mode progress; see levels.js
+  };
+}
+
+// Keeps the current mode and round length unless new ones are given
+export function resetGameState(state, options = {}) {
+  return Object.assign(
+    state,
+    createGameState({
+      mode: state.mode,
+      duration: state.duration,
+      ...options,
+    })
+  );
+}
+
+// ====================================
+// TIMER
+// ====================================
+export function getRemainingTime(state) {
+  return Math.max(0, state.duration - state.gameTime);
+}
+
+// Advances the round clock and returns the time left. The clock stops
+// once the round has ended.
+export function advanceTimer(state, dt) {
+  if (state.endReason) return getRemainingTime(state);
+  state.gameTime += dt;
+  return getRemainingTime(state);
+}
+
+export function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = Math.floor(seconds % 60);
+  return `${minutes.toString().padStart(2, "0")}:${remainder
+    .toString()
+    .padStart(2, "0")}`;
+}
+
+// ====================================
+// LASER
+// ====================================
+// Returns true if the laser was switched on
+export function fireLaser(state) {
+  if (state.laserActive || state.overheated) return false;
+  state.laserActive = true;
+  state.laserTime = 0;
+  state.laserHeat = Math.min(
+    LASER_MAX_DURATION,
+    state.laserHeat + LASER_FIRE_HEAT
+  );
+  return true;
+}
+
+// Returns true if the laser was switched off
+export function releaseLaser(state) {
+  if (!state.laserActive) return false;
+  state.laserActive = false;
+  return true;
+}
+
+// Firing builds heat and idling sheds it. Maxing out shuts the laser off
+// and locks it until it has cooled to LASER_RESUME_HEAT, with no cooling at
+// all for the first LASER_OVERHEAT_PENALTY seconds. `coolingScale` speeds
+// up both the lockout and the cooling.
+// Returns true when the laser overheated during this step.
+export function stepLaser(state, dt, coolingScale = 1) {
+  if (state.laserActive) {
+    state.laserTime += dt;
+    return addLaserHeat(state, dt);
+  }
+
+  if (state.lockoutTime > 0) {
+    state.lockoutTime = Math.max(0, state.lockoutTime - dt * coolingScale);
+    return false;
+  }
+  state.laserHeat = Math.max(
+    0,
+    state.laserHeat - dt * LASER_COOL_RATE * coolingScale
+  );
+  if (state.overheated && state.laserHeat <= LASER_RESUME_HEAT) {
+    state.overheated = false;
+  }
+  return false;
+}
+
+// Heat from any weapon. Returns true if it tipped the laser into
+// overheating, which also switches the beam off.
+export function addLaserHeat(state, amount) {
+  state.laserHeat = Math.min(LASER_MAX_DURATION, state.laserHeat + amount);
+  if (state.laserHeat < LASER_MAX_DURATION || state.overheated) return false;
+  state.laserActive = false;
+  state.charging = false;
+  state.overheated = true;
+  state.lockoutTime = LASER_OVERHEAT_PENALTY;
+  return true;
+}
+
+// Heat as a 0-1 fraction of the overheat point, for gauges
+export function getLaserHeat(state) {
+  return state.laserHeat / LASER_MAX_DURATION;
+}
+
+// ====================================
+// SCORING
+// ====================================
+export function getPlanetPoints(planetData) {
+  return planetData.points ?? FALLBACK_POINTS[planetData.category] ?? 10;
+}
+
+// Bigger planets in a category are tougher: from 75% of the category's
+// health at its smallest size to 125% at its largest
+export function getPlanetHealth(category, size) {
+  const config = PLANET_CONFIG[category];
+  if (!config) return PLANET_HEALTH;
+  const range = config.maxSize - config.minSize;
+  const t = range > 0 ? (size - config.minSize) / range : 0.5;
+  return config.health * (0.75 + 0.5 * Math.max(0, Math.min(1, t)));
+}
+
+// Health left as a 0-1 fraction, for health bars and damage visuals
+export function getHealthFraction(planetData) {
+  const maxHealth = planetData.maxHealth ?? PLANET_HEALTH;
+  const health = planetData.health ?? maxHealth;
+  return Math.max(0, Math.min(1, health / maxHealth));
+}
+
+// Returns true when the damage destroys the planet
+export function damagePlanet(planetData, amount) {
+  planetData.health = (planetData.health ?? PLANET_HEALTH) - amount;
+  return planetData.health <= 0;
+}
+
+// Adds the planet's points, scaled by any combo bonus, to the score and
+// returns them
+export function scorePlanetHit(state, planetData, scale = 1) {
+  const points = Math.round(getPlanetPoints(planetData) * scale);
+  state.score = (state.score || 0) + points; // Ensure score is a number
+  return points;
+}
+
+// ====================================
+// PLANET SPAWNING
+// ====================================
+// Picks position, size, color and points for a new planet
+export function generatePlanetSpec(category, random = Math.random) {
+  const config = PLANET_CONFIG[category];
+
+  // Random position on a sphere with radius between min and max distance
+  const distance =
+    random() * (config.maxDistance - config.minDistance) + config.minDistance;
+  const theta = random() * Math.PI * 2;
+  const phi = Math.acos(2 * random() - 1);
+
+  const x = distance * Math.sin(phi) * Math.cos(theta);
+  const y = distance * Math.sin(phi) * Math.sin(theta);
+  const z = distance * Math.cos(phi);
+
+  const size = random() * (config.maxSize - config.minSize) + config.minSize;
+  const color = config.colors[Math.floor(random() * config.colors.length)];
+  const points =
+    Math.floor(random() * (config.maxPoints - config.minPoints + 1)) +
+    config.minPoints;
+
+  const health = getPlanetHealth(category, size);
+  return { category, x, y, z, size, color, points, health };
+}
+
+// Categories to spawn at the start of a round, from each category's
+// configured count unless `counts` gives others
+export function initialSpawnList(counts = null) {
+  return Object.keys(PLANET_CONFIG).flatMap((category) =>
+    Array(counts ? counts[category] || 0 : PLANET_CONFIG[category].count).fill(
+      category
+    )
+  );
+}
+
+// Counts planets per category from a list of category names
+export function countByCategory(categories) {
+  const counts = { common: 0, exotic: 0, rare: 0 };
+  categories.forEach((category) => {
+    counts[category] = (counts[category] || 0) + 1;
+  });
+  return counts;
+}
+
+// Categories to spawn this step to work back towards the quotas
+export function planRespawns(counts, total, quotas = PLANET_QUOTAS) {
+  if (total >= MAX_PLANETS) return [];
+  const category = Object.keys(quotas).find(
+    (name) => (counts[name] || 0) < quotas[name]
+  );
+  if (!category) return [];
+  return Array(Math.min(MAX_PLANETS - total, MAX_SPAWNS_PER_STEP)).fill(
+    category
+  );
+}
+
+// How many of the oldest planets to drop when over the cap
+export function excessPlanetCount(total) {
+  return Math.max(0, total - MAX_PLANETS);
+}
+
+// Belt rocks come with their belt and aren't replaced, and bombs are
+// topped up against their own budget, so only regular spawns count
+// towards the quotas and MAX_PLANETS. `data` is a planet's userData.
+export function isRegularSpawn(data) {
+  return !data.belt && !data.bomb;
+}
+
+// One respawn step for the field, given every planet's userData, oldest
+// first, and how many bombs it should hold: { spawn: categories to add,
+// bombs: how many bombs to add, drop: how many of the oldest regular
+// spawns to remove }
+export function planRefill(field, quotas = PLANET_QUOTAS, bombBudget = 0) {
+  const regular = field.filter(isRegularSpawn);
+  const counts = countByCategory(regular.map((data) => data.category));
+  const spawn = planRespawns(counts, regular.length, quotas);
+  const bombs = field.filter((data) => data.bomb).length;
+  return {
+    spawn,
+    bombs: Math.max(0, bombBudget - bombs),
+    drop: excessPlanetCount(regular.length + spawn.length),
+  };
+}
+
+// ====================================
+// AVATAR
+// ====================================
+// Applies one simulation step of movement to a pose of the form
+// { x, y, z, rotationY }, then keeps it inside the playable cube. Each
+// control is either a boolean (keyboard) or a 0-1 magnitude (analog stick),
+// and speeds scale with it.
+export function stepAvatar(pose, controls) {
+  const amount = (control) => Number(controls[control]) || 0;
+
+  pose.rotationY +=
+    (amount("rotateLeft") - amount("rotateRight")) * AVATAR_ROTATION_SPEED;
+
+  // The avatar faces away from its local -Z axis
+  const dirX = -Math.sin(pose.rotationY);
+  const dirZ = -Math.cos(pose.rotationY);
+  const drive =
+    (amount("backward") - amount("forward")) * AVATAR_MOVEMENT_SPEED;
+  pose.x += dirX * drive;
+  pose.z += dirZ * drive;
+  pose.y += (amount("up") - amount("down")) * AVATAR_MOVEMENT_SPEED;
+
+  return clampToCube(pose);
+}
+
+export function clampToCube(position, size = CUBE_SIZE) {
+  const halfSize = size / 2;
+  position.x = Math.max(-halfSize, Math.min(halfSize, position.x));
+  position.y = Math.max(-halfSize, Math.min(halfSize, position.y));
+  position.z = Math.max(-halfSize, Math.min(halfSize, position.z));
+  return position;
+}
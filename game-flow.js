@@ -0,0 +1,73 @@
+// ====================================
+// GAME FLOW
+// ====================================
+// The screens a session moves through and the moves allowed between them:
+//
+//   loading → title → playing ⇄ paused
+//                       ↓ ↑
+//                   intermission
+//                       ↓
+//                    gameOver → results → playing / title
+//
+// setPhase in src/session.js asks for a transition before the matching
+// screen is built, so a move that isn't listed here (ending a round that is
+// already over, pausing on the title screen) is simply refused.
+
+export const PHASES = [
+  "loading",
+  "title",
+  "playing",
+  "paused",
+  "intermission",
+  "gameOver",
+  "results",
+];
+
+const TRANSITIONS = {
+  loading: ["title", "playing"], // Portal visitors skip the title
+  title: ["playing"],
+  playing: ["paused", "intermission", "gameOver"],
+  paused: ["playing", "title"], // Resume or restart, or quit to the menu
+  intermission: ["playing"],
+  gameOver: ["results"],
+  results: ["playing", "title"],
+};
+
+// How long the game over banner holds before the results come up
+export const GAME_OVER_HOLD = 2.5;
+
+// Phases that move on by themselves after a while
+const TIMED_TRANSITIONS = {
+  gameOver: { after: GAME_OVER_HOLD, to: "results" },
+};
+
+// `time` is seconds spent in the current phase
+export function createFlow(phase = "loading") {
+  return { phase, previous: null, time: 0 };
+}
+
+export function canTransition(flow, phase) {
+  return TRANSITIONS[flow.phase].includes(phase);
+}
+
+// Returns true if the flow moved to `phase`
+export function transition(flow, phase) {
+  if (!canTransition(flow, phase)) return false;
+  flow.previous = flow.phase;
+  flow.phase = phase;
+  flow.time = 0;
+  return true;
+}
+
+// Ticks the phase clock. Returns the phase a timed phase is due to move
+// on to, or null; the caller makes the transition.
+export function stepFlow(flow, dt) {
+  flow.time += dt;
+  const timed = TIMED_TRANSITIONS[flow.phase];
+  return timed && flow.time >= timed.after ? timed.to : null;
+}
+
+// Only a round in progress advances the simulation or takes game input
+export function isPlaying(flow) {
+  return flow.phase === "playing";
+}
@@ -0,0 +1,93 @@
+// ====================================
+// GAMEPAD
+// ====================================
+// Turns a Gamepad API snapshot (standard mapping) into the same control
+// magnitudes the keyboard produces: 0 for released up to 1 for fully held.
+//
+// Left stick: move forward/back and turn. Right stick: camera.
+// Left/right trigger: descend/ascend. A or right bumper: fire.
+// Left bumper: next weapon. Start: pause.
+
+export const DEAD_ZONE = 0.2;
+export const TRIGGER_DEAD_ZONE = 0.05;
+
+const AXES = { leftX: 0, leftY: 1, rightX: 2, rightY: 3 };
+const BUTTONS = {
+  a: 0,
+  leftBumper: 4,
+  rightBumper: 5,
+  leftTrigger: 6,
+  rightTrigger: 7,
+  start: 9,
+};
+
+// Ignores small stick drift and rescales the rest so output still
+// ramps smoothly from 0 to 1
+export function applyDeadZone(value, deadZone = DEAD_ZONE) {
+  const magnitude = Math.abs(value);
+  if (magnitude <= deadZone) return 0;
+  return (
+    (Math.sign(value) * (Math.min(magnitude, 1) - deadZone)) / (1 - deadZone)
+  );
+}
+
+function axis(pad, index) {
+  return applyDeadZone(pad.axes[index] || 0);
+}
+
+function buttonValue(pad, index, deadZone = TRIGGER_DEAD_ZONE) {
+  const button = pad.buttons[index];
+  if (!button) return 0;
+  const value = typeof button === "object" ? button.value : button;
+  return value > deadZone ? value : 0;
+}
+
+function buttonPressed(pad, index) {
+  const button = pad.buttons[index];
+  return Boolean(button && (button.pressed ?? button > 0.5));
+}
+
+export function createGamepadInput() {
+  return {
+    forward: 0,
+    backward: 0,
+    rotateLeft: 0,
+    rotateRight: 0,
+    up: 0,
+    down: 0,
+    cameraLeft: 0,
+    cameraRight: 0,
+    cameraUp: 0,
+    cameraDown: 0,
+    fire: false,
+    nextWeapon: false,
+    pause: false,
+  };
+}
+
+// Stick up reads as negative on the standard mapping
+export function readGamepad(pad) {
+  const input = createGamepadInput();
+  if (!pad) return input;
+
+  const leftX = axis(pad, AXES.leftX);
+  const leftY = axis(pad, AXES.leftY);
+  const rightX = axis(pad, AXES.rightX);
+  const rightY = axis(pad, AXES.rightY);
+
+  input.forward = Math.max(0, -leftY);
+  input.backward = Math.max(0, leftY);
+  input.rotateLeft = Math.max(0, -leftX);
+  input.rotateRight = Math.max(0, leftX);
+  input.cameraLeft = Math.max(0, -rightX);
+  input.cameraRight = Math.max(0, rightX);
+  input.cameraUp = Math.max(0, -rightY);
+  input.cameraDown = Math.max(0, rightY);
+  input.up = buttonValue(pad, BUTTONS.rightTrigger);
+  input.down = buttonValue(pad, BUTTONS.leftTrigger);
+  input.fire =
+    buttonPressed(pad, BUTTONS.a) || buttonPressed(pad, BUTTONS.rightBumper);
+  input.nextWeapon = buttonPressed(pad, BUTTONS.leftBumper);
+  input.pause = buttonPressed(pad, BUTTONS.start);
+  return input;
+}
@@ -0,0 +1,212 @@
+// ====================================
+// HAZARDS
+// ====================================
+// Things that hurt the player: meteors aimed at the avatar, bomb planets
+// that cost points or time when shot, and gravity wells that drag the
+// avatar in and burn it at their core. The shield soaks damage first and
+// recharges after a quiet spell; health never comes back, and losing it
+// all ends the round early. Vectors are plain { x, y, z } objects.
+
+export const PLAYER_MAX_HEALTH = 100;
+export const PLAYER_MAX_SHIELD = 50;
+export const SHIELD_RECHARGE_RATE = 10; // Per second
+export const SHIELD_RECHARGE_DELAY = 3; // Seconds after the last hit
+export const AVATAR_RADIUS = 8; // For collisions
+
+export const METEOR = {
+  minInterval: 4, // Seconds between meteors
+  maxInterval: 8,
+  spawnDistance: 1200, // From the avatar
+  aimSpread: 60, // How far from dead center they're aimed
+  speed: 8, // Per simulation step
+  radius: 12,
+  damage: 25,
+  lifetime: 6, // Seconds before a miss burns out
+};
+
+export const BOMB = {
+  count: 4, // Kept topped up through the round
+  size: 70,
+  health: 0.5,
+  penalties: { points: 500, time: 15 }, // Seconds, for time bombs
+  colors: { points: 0xff2233, time: 0xffaa00 },
+};
+
+export const GRAVITY_WELL = {
+  count: 3,
+  minCenterDistance: 300, // From the cube's center, where the avatar starts
+  radius: 400, // Reach of the pull
+  strength: 1.5, // Pull per simulation step right at the core
+  coreRadius: 40,
+  coreDamage: 30, // Per second inside the core
+};
+
+function between(random, min, max) {
+  return min + random() * (max - min);
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+// ====================================
+// PLAYER VITALS
+// ====================================
+export function createVitals() {
+  return {
+    health: PLAYER_MAX_HEALTH,
+    shield: PLAYER_MAX_SHIELD,
+    rechargeDelay: 0, // Seconds before the shield starts recharging
+  };
+}
+
+// The shield takes what it can and health takes the rest. Returns true
+// when this hit used up the last of the player's health.
+export function damagePlayer(vitals, amount) {
+  if (vitals.health <= 0 || amount <= 0) return false;
+  const absorbed = Math.min(vitals.shield, amount);
+  vitals.shield -= absorbed;
+  vitals.health = Math.max(0, vitals.health - (amount - absorbed));
+  vitals.rechargeDelay = SHIELD_RECHARGE_DELAY;
+  return vitals.health <= 0;
+}
+
+export function stepVitals(vitals, dt) {
+  if (vitals.rechargeDelay > 0) {
+    vitals.rechargeDelay = Math.max(0, vitals.rechargeDelay - dt);
+    return;
+  }
+  vitals.shield = Math.min(
+    PLAYER_MAX_SHIELD,
+    vitals.shield + SHIELD_RECHARGE_RATE * dt
+  );
+}
+
+// Shield and health as 0-1 fractions, for gauges
+export function getVitalFractions(vitals) {
+  return {
+    shield: vitals.shield / PLAYER_MAX_SHIELD,
+    health: vitals.health / PLAYER_MAX_HEALTH,
+  };
+}
+
+// ====================================
+// METEORS
+// ====================================
+// `rate` scales how often they come: 2 is twice as often, 0 never
+export function nextMeteorDelay(random, rate = 1) {
+  if (rate <= 0) return Infinity;
+  return between(random, METEOR.minInterval, METEOR.maxInterval) / rate;
+}
+
+// A meteor starting spawnDistance out and heading for a point near `target`
+export function spawnMeteor(target, random) {
+  const theta = random() * Math.PI * 2;
+  const z = 2 * random() - 1;
+  const ring = Math.sqrt(1 - z * z);
+  const position = {
+    x: target.x + ring * Math.cos(theta) * METEOR.spawnDistance,
+    y: target.y + ring * Math.sin(theta) * METEOR.spawnDistance,
+    z: target.z + z * METEOR.spawnDistance,
+  };
+
+  const spread = () => (random() - 0.5) * 2 * METEOR.aimSpread;
+  const aim = {
+    x: target.x + spread() - position.x,
+    y: target.y + spread() - position.y,
+    z: target.z + spread() - position.z,
+  };
+  const scale = METEOR.speed / (length(aim) || 1);
+  return {
+    position,
+    velocity: { x: aim.x * scale, y: aim.y * scale, z: aim.z * scale },
+    age: 0,
+  };
+}
+
+// Returns false once the meteor has burned out
+export function stepMeteor(meteor, dt) {
+  meteor.position.x += meteor.velocity.x;
+  meteor.position.y += meteor.velocity.y;
+  meteor.position.z += meteor.velocity.z;
+  meteor.age += dt;
+  return meteor.age < METEOR.lifetime;
+}
+
+export function meteorHits(meteor, target) {
+  const offset = {
+    x: meteor.position.x - target.x,
+    y: meteor.position.y - target.y,
+    z: meteor.position.z - target.z,
+  };
+  return length(offset) < METEOR.radius + AVATAR_RADIUS;
+}
+
+// ====================================
+// BOMB PLANETS
+// ====================================
+export function pickBombPenalty(random) {
+  const kinds = Object.keys(BOMB.penalties);
+  return kinds[Math.floor(random() * kinds.length)];
+}
+
+// Charges a shot bomb's penalty: points off the score (never below zero)
+// or seconds off the clock. Returns the amount taken.
+export function applyBombPenalty(state, penalty) {
+  const amount = BOMB.penalties[penalty] ?? 0;
+  if (penalty === "points") {
+    const taken = Math.min(state.score || 0, amount);
+    state.score = (state.score || 0) - taken;
+    return taken;
+  }
+  if (penalty === "time") state.gameTime += amount;
+  return amount;
+}
+
+// ====================================
+// GRAVITY WELLS
+// ====================================
+// Well centers inside the playable cube, clear of its middle
+export function generateWells(random, cubeSize, count = GRAVITY_WELL.count) {
+  const half = cubeSize / 2 - GRAVITY_WELL.radius / 2;
+  const wells = [];
+  while (wells.length < count) {
+    const well = {
+      x: between(random, -half, half),
+      y: between(random, -half, half),
+      z: between(random, -half, half),
+    };
+    if (length(well) >= GRAVITY_WELL.minCenterDistance) wells.push(well);
+  }
+  return wells;
+}
+
+// One step's pull on `position` towards `well`, strongest near the core
+// and fading to nothing at the edge of its reach
+export function gravityPull(position, well) {
+  const offset = {
+    x: well.x - position.x,
+    y: well.y - position.y,
+    z: well.z - position.z,
+  };
+  const distance = length(offset);
+  if (distance >= GRAVITY_WELL.radius || distance === 0) {
+    return { x: 0, y: 0, z: 0 };
+  }
+  const falloff = 1 - distance / GRAVITY_WELL.radius;
+  const pull = Math.min(distance, GRAVITY_WELL.strength * falloff * falloff);
+  return {
+    x: (offset.x / distance) * pull,
+    y: (offset.y / distance) * pull,
+    z: (offset.z / distance) * pull,
+  };
+}
+
+export function inWellCore(position, well) {
+  const offset = {
+    x: well.x - position.x,
+    y: well.y - position.y,
+    z: well.z - position.z,
+  };
+  return length(offset) < GRAVITY_WELL.coreRadius;
+}
@@ -0,0 +1,106 @@
+// ====================================
+// KEY BINDINGS
+// ====================================
+// Maps physical keys (KeyboardEvent.code, so layout and Caps Lock don't
+// matter) to game actions. Bindings are { [action]: [code, ...] }.
+
+export const ACTIONS = [
+  { id: "forward", label: "Move forward" },
+  { id: "backward", label: "Move backward" },
+  { id: "rotateLeft", label: "Turn left" },
+  { id: "rotateRight", label: "Turn right" },
+  { id: "ascend", label: "Ascend" },
+  { id: "descend", label: "Descend" },
+  { id: "cameraLeft", label: "Camera left" },
+  { id: "cameraRight", label: "Camera right" },
+  { id: "cameraUp", label: "Camera up" },
+  { id: "cameraDown", label: "Camera down" },
+  { id: "fire", label: "Fire laser" },
+  { id: "toggleAim", label: "Mouse-look / free aim" },
+  { id: "weaponBeam", label: "Beam" },
+  { id: "weaponRailgun", label: "Railgun" },
+  { id: "weaponMissile", label: "Missile" },
+  { id: "pause", label: "Pause" },
+];
+
+// Escape always pauses and cancels rebinding, so it can't be bound
+export const RESERVED_CODES = ["Escape"];
+
+export const DEFAULT_BINDINGS = {
+  forward: ["KeyW"],
+  backward: ["KeyS"],
+  rotateLeft: ["KeyA"],
+  rotateRight: ["KeyD"],
+  ascend: ["KeyQ"],
+  descend: ["KeyE"],
+  cameraLeft: ["KeyJ"],
+  cameraRight: ["KeyL"],
+  cameraUp: ["KeyI"],
+  cameraDown: ["KeyK"],
+  fire: ["Space"],
+  toggleAim: ["KeyV"],
+  weaponBeam: ["Digit1"],
+  weaponRailgun: ["Digit2"],
+  weaponMissile: ["Digit3"],
+  pause: ["KeyP"],
+};
+
+// Fills in defaults for anything missing from saved bindings
+export function resolveBindings(saved = {}) {
+  const bindings = {};
+  ACTIONS.forEach(({ id }) => {
+    const codes = saved[id];
+    bindings[id] = Array.isArray(codes)
+      ? codes.filter((code) => !RESERVED_CODES.includes(code))
+      : [...DEFAULT_BINDINGS[id]];
+  });
+  return bindings;
+}
+
+export function actionForCode(bindings, code) {
+  return (
+    Object.keys(bindings).find((action) => bindings[action].includes(code)) ||
+    null
+  );
+}
+
+// The other action already using this key, if any
+export function findConflict(bindings, action, code) {
+  const owner = actionForCode(bindings, code);
+  return owner && owner !== action ? owner : null;
+}
+
+// Binds `code` as the only key for `action`. If another action had that key
+// the two swap, so nothing is left unbound. Returns { bindings, conflict }
+// without touching the original bindings; reserved keys are refused.
+export function rebind(bindings, action, code) {
+  if (RESERVED_CODES.includes(code)) {
+    return { bindings, conflict: null, refused: true };
+  }
+
+  const conflict = findConflict(bindings, action, code);
+  const next = resolveBindings(bindings);
+  if (conflict) {
+    next[conflict] = next[conflict].filter((other) => other !== code);
+    if (next[conflict].length === 0) next[conflict] = [...bindings[action]];
+  }
+  next[action] = [code];
+  return { bindings: next, conflict, refused: false };
+}
+
+// Human-readable key name. `layoutMap` is the optional result of
+// navigator.keyboard.getLayoutMap() for showing the player's own layout.
+export function keyLabel(code, layoutMap = null) {
+  const fromLayout = layoutMap && layoutMap.get(code);
+  if (fromLayout) return fromLayout.toUpperCase();
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Num ${code.slice(6)}`;
+  const arrows = {
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+  };
+  return arrows[code] || code;
+}
@@ -0,0 +1,69 @@
+// ====================================
+// DAILY CHALLENGE LEADERBOARD
+// ====================================
+// Pure helpers for the per-day local leaderboard. The board is a plain
+// object keyed by day ("YYYY-MM-DD"), each holding entries sorted best
+// first, so it can be stored as JSON as-is.
+
+import { parseSeed } from "./random.js";
+
+export const MAX_ENTRIES_PER_DAY = 10;
+export const INITIALS_LENGTH = 3;
+
+// Local calendar day, so the challenge rolls over at the player's midnight
+export function dateKey(date = new Date()) {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, "0");
+  const day = date.getDate().toString().padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+// Everyone playing on the same day gets the same galaxy
+export function dailySeed(day) {
+  return parseSeed(`daily-${day}`);
+}
+
+// Uppercase letters and digits only, padded so every entry lines up
+export function normalizeInitials(text) {
+  const cleaned = String(text || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, INITIALS_LENGTH);
+  return cleaned.padEnd(INITIALS_LENGTH, "-");
+}
+
+export function getDayEntries(board, day) {
+  return board[day] || [];
+}
+
+// Adds a score to the day's board. Returns the stored entry, or null if it
+// didn't make the cut.
+export function recordScore(board, day, initials, score, timestamp) {
+  const entry = {
+    initials: normalizeInitials(initials),
+    score,
+    timestamp,
+  };
+  // Ties keep the earlier score ahead
+  const entries = [...getDayEntries(board, day), entry]
+    .sort((a, b) => b.score - a.score || a.timestamp - b.timestamp)
+    .slice(0, MAX_ENTRIES_PER_DAY);
+  board[day] = entries;
+  return entries.includes(entry) ? entry : null;
+}
+
+export function bestOfDay(board, day) {
+  return getDayEntries(board, day)[0] || null;
+}
+
+// One summary per day played, most recent first
+export function getHistory(board) {
+  return Object.keys(board)
+    .filter((day) => getDayEntries(board, day).length > 0)
+    .sort((a, b) => (a < b ? 1 : -1))
+    .map((day) => ({
+      day,
+      best: bestOfDay(board, day),
+      entries: board[day].length,
+    }));
+}
@@ -0,0 +1,171 @@
+// ====================================
+// LEVELS
+// ====================================
+// Rules for wave mode. Level definitions come from levels.json: each one
+// sets a goal (a score to reach during the wave, or planets to destroy), a
+// time budget, the planet mix and which hazards are about. Past the last
+// level the last one repeats, ramped up once more for every extra wave.
+
+import { PLANET_QUOTAS } from "./game-core.js";
+
+export const LEVELS_URL = "levels.json";
+
+const DEFAULT_RAMP = { targetScale: 1.25, extraBombs: 1, extraMeteorRate: 0 };
+const DEFAULT_TIME_BONUS = 10; // Points per second left when a wave is won
+
+function nonNegative(value, fallback = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// { common: n, ... } with only known categories and whole counts of at
+// least `minimum`. Quotas keep explicit zeros ("no rares this wave");
+// destroy targets don't.
+function categoryCounts(counts, minimum = 1) {
+  const result = {};
+  Object.keys(PLANET_QUOTAS).forEach((category) => {
+    if (counts?.[category] == null) return;
+    const count = Math.floor(nonNegative(counts[category], -1));
+    if (count >= minimum) result[category] = count;
+  });
+  return result;
+}
+
+function parseGoal(goal) {
+  if (goal?.type === "score") {
+    const target = Math.floor(nonNegative(goal.target));
+    return target > 0 ? { type: "score", target } : null;
+  }
+  if (goal?.type === "destroy") {
+    const targets = categoryCounts(goal.targets);
+    return Object.keys(targets).length ? { type: "destroy", targets } : null;
+  }
+  return null;
+}
+
+// A level from the file with defaults filled in, or null if it has no
+// usable goal or time budget
+export function parseLevel(level, index = 0) {
+  const goal = parseGoal(level?.goal);
+  const time = nonNegative(level?.time);
+  if (!goal || time <= 0) return null;
+  return {
+    name: String(level.name || `Wave ${index + 1}`),
+    goal,
+    time,
+    quotas: { ...PLANET_QUOTAS, ...categoryCounts(level.quotas, 0) },
+    bombs: Math.floor(nonNegative(level.bombs)),
+    meteorRate: nonNegative(level.meteorRate), // 1 is the usual pace
+    wells: Math.floor(nonNegative(level.wells)),
+  };
+}
+
+// The whole file: { levels, ramp, timeBonus }. Unusable levels are dropped;
+// an empty list means wave mode isn't available.
+export function parseLevels(data) {
+  const levels = (Array.isArray(data?.levels) ? data.levels : [])
+    .map(parseLevel)
+    .filter(Boolean);
+  return {
+    levels,
+    ramp: {
+      targetScale: nonNegative(
+        data?.ramp?.targetScale,
+        DEFAULT_RAMP.targetScale
+      ),
+      extraBombs: nonNegative(data?.ramp?.extraBombs, DEFAULT_RAMP.extraBombs),
+      extraMeteorRate: nonNegative(
+        data?.ramp?.extraMeteorRate,
+        DEFAULT_RAMP.extraMeteorRate
+      ),
+    },
+    timeBonus: nonNegative(data?.timeBonus, DEFAULT_TIME_BONUS),
+  };
+}
+
+// The level for wave `index` (0-based), ramping the last one for waves
+// past the end of the list
+export function getLevel(levelSet, index) {
+  const { levels, ramp } = levelSet;
+  const last = levels.length - 1;
+  const level = levels[Math.min(index, last)];
+  const extra = Math.max(0, index - last);
+  if (extra === 0) return level;
+
+  const scale = Math.pow(ramp.targetScale, extra);
+  const goal =
+    level.goal.type === "score"
+      ? { type: "score", target: Math.round(level.goal.target * scale) }
+      : {
+          type: "destroy",
+          targets: Object.fromEntries(
+            Object.entries(level.goal.targets).map(([category, count]) => [
+              category,
+              Math.ceil(count * scale),
+            ])
+          ),
+        };
+  return {
+    ...level,
+    name: `${level.name} +${extra}`,
+    goal,
+    bombs: level.bombs + ramp.extraBombs * extra,
+    meteorRate: level.meteorRate + ramp.extraMeteorRate * extra,
+  };
+}
+
+// ====================================
+// WAVE PROGRESS
+// ====================================
+// Kept on the game state while a wave mode round runs
+export function createWave(levelSet, index, score) {
+  return {
+    index,
+    level: getLevel(levelSet, index),
+    kills: {},
+    startScore: score, // Score goals count from here
+  };
+}
+
+export function recordWaveKill(wave, category) {
+  wave.kills[category] = (wave.kills[category] || 0) + 1;
+}
+
+// { done, fraction } towards the wave's goal, fraction running 0-1
+export function getWaveProgress(wave, score) {
+  const { goal } = wave.level;
+  if (goal.type === "score") {
+    const fraction = Math.max(0, (score - wave.startScore) / goal.target);
+    return { done: fraction >= 1, fraction: Math.min(1, fraction) };
+  }
+
+  let needed = 0;
+  let got = 0;
+  Object.entries(goal.targets).forEach(([category, count]) => {
+    needed += count;
+    got += Math.min(count, wave.kills[category] || 0);
+  });
+  return { done: got >= needed, fraction: needed ? got / needed : 1 };
+}
+
+// "Score 1500" or "Destroy 3 exotic, 1 rare", with progress if a wave is
+// given
+export function describeGoal(goal, wave = null, score = 0) {
+  if (goal.type === "score") {
+    const gained = wave ? Math.max(0, score - wave.startScore) : null;
+    return gained === null
+      ? `Score ${goal.target}`
+      : `${Math.min(gained, goal.target)} / ${goal.target} pts`;
+  }
+  const parts = Object.entries(goal.targets).map(([category, count]) =>
+    wave
+      ? `${Math.min(count, wave.kills[category] || 0)}/${count} ${category}`
+      : `${count} ${category}`
+  );
+  return wave ? parts.join(" · ") : `Destroy ${parts.join(", ")}`;
+}
+
+// Points for the time left when a wave is won
+export function waveBonus(levelSet, timeLeft) {
+  return Math.floor(timeLeft) * levelSet.timeBonus;
+}
@@ -0,0 +1,51 @@
+// ====================================
+// LOADING
+// ====================================
+// Progress, stall detection and retry rules for the startup preloader.
+// src/avatar.js feeds in THREE.LoadingManager item counts and the byte
+// progress events of the file in flight; nothing here touches the DOM or
+// three.js.
+
+export const LOAD_STALL_TIMEOUT = 20; // Seconds without progress before giving up
+export const MAX_LOAD_ATTEMPTS = 3;
+export const RETRY_DELAY = 1; // Seconds before the first retry; doubles after
+
+export const STARTUP_ERRORS = {
+  webgl:
+    "Your browser or graphics card doesn't support WebGL, which Cosmic Hunter needs to draw the galaxy.",
+  timeout: "The pilot model stopped downloading.",
+  failed: "The pilot model couldn't be loaded.",
+};
+
+// 0-1 for the byte progress event of one file, or null when the server
+// didn't say how big it is
+export function byteFraction(event) {
+  if (!event || !event.lengthComputable || !(event.total > 0)) return null;
+  return Math.min(1, event.loaded / event.total);
+}
+
+// Overall 0-1 progress: whole items done plus however far the one in
+// flight has got
+export function loadFraction(itemsLoaded, itemsTotal, itemFraction = 0) {
+  if (itemsTotal <= 0) return 0;
+  const partial = itemsLoaded < itemsTotal ? itemFraction || 0 : 0;
+  return Math.min(1, (itemsLoaded + partial) / itemsTotal);
+}
+
+// Status line under the progress bar. `bytes` is what has arrived so far
+// for the file in flight, shown when its size is unknown.
+export function describeProgress(fraction, bytes = 0) {
+  if (fraction > 0) return `Loading ${Math.round(fraction * 100)}%`;
+  if (bytes > 0) return `Loading ${(bytes / 1048576).toFixed(1)} MB`;
+  return "Loading";
+}
+
+// `attempt` counts from 1
+export function canRetry(attempt) {
+  return attempt < MAX_LOAD_ATTEMPTS;
+}
+
+// Seconds to wait before attempt number `attempt + 1`
+export function retryDelay(attempt) {
+  return RETRY_DELAY * 2 ** (attempt - 1);
+}
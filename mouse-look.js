@@ -0,0 +1,46 @@
+// ====================================
+// MOUSE LOOK
+// ====================================
+// Pointer-lock aiming: mouse movement turns the avatar and tilts the
+// camera, and the laser fires through the center of the screen.
+// Look state is { pendingYaw, pitch } in radians, fed by src/input.js;
+// src/avatar.js hands the yaw to the next simulation step and
+// src/scene.js the pitch to the camera.
+
+export const DEFAULT_SENSITIVITY = 1;
+export const MIN_SENSITIVITY = 0.2;
+export const MAX_SENSITIVITY = 3;
+
+const RADIANS_PER_PIXEL = 0.0025; // At sensitivity 1
+
+export function createMouseLook() {
+  return { pendingYaw: 0, pitch: 0 };
+}
+
+export function clampSensitivity(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return DEFAULT_SENSITIVITY;
+  return Math.max(MIN_SENSITIVITY, Math.min(MAX_SENSITIVITY, number));
+}
+
+// Moving the mouse right turns right (negative yaw, like the turn keys)
+// and moving it up looks up, unless invertY flips that
+export function applyMouseMovement(
+  look,
+  movementX,
+  movementY,
+  { sensitivity = DEFAULT_SENSITIVITY, invertY = false, maxPitch = Math.PI / 3 }
+) {
+  const scale = RADIANS_PER_PIXEL * clampSensitivity(sensitivity);
+  look.pendingYaw -= movementX * scale;
+  look.pitch -= movementY * scale * (invertY ? -1 : 1);
+  look.pitch = Math.max(-maxPitch, Math.min(maxPitch, look.pitch));
+  return look;
+}
+
+// Returns the yaw gathered since the last call and clears it
+export function takeYaw(look) {
+  const yaw = look.pendingYaw;
+  look.pendingYaw = 0;
+  return yaw;
+}
@@ -0,0 +1,257 @@
+// ====================================
+// PLANET MOTION
+// ====================================
+// Movement behaviors from PLANET_CONFIG[category].motion: commons drift,
+// exotics orbit a host giant, rares dodge the beam and teleport, and belt
+// rocks circle a shared center. Each planet carries a motion object made
+// by one of the create* functions, and src/planets.js steps it once per
+// simulation step. Vectors are plain { x, y, z } objects.
+
+import { PLANET_CONFIG, getPlanetHealth } from "./game-core.js";
+
+function between(random, min, max) {
+  return min + random() * (max - min);
+}
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+function normalize(v) {
+  const size = length(v) || 1;
+  return { x: v.x / size, y: v.y / size, z: v.z / size };
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  };
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function randomDirection(random) {
+  const theta = random() * Math.PI * 2;
+  const z = 2 * random() - 1;
+  const ring = Math.sqrt(1 - z * z);
+  return { x: ring * Math.cos(theta), y: ring * Math.sin(theta), z };
+}
+
+// ====================================
+// CREATION
+// ====================================
+export function createDrift(category, random) {
+  const { maxSpeed } = PLANET_CONFIG[category].motion;
+  const direction = randomDirection(random);
+  const speed = between(random, maxSpeed / 2, maxSpeed);
+  return {
+    type: "drift",
+    velocity: {
+      x: direction.x * speed,
+      y: direction.y * speed,
+      z: direction.z * speed,
+    },
+  };
+}
+
+// Circles `center` at `radius` in a randomly tilted plane
+export function createOrbit(center, radius, period, random) {
+  const normal = randomDirection(random);
+  const helper =
+    Math.abs(normal.y) < 0.9 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+  const u = normalize(cross(normal, helper));
+  const v = cross(normal, u);
+  return {
+    type: "orbit",
+    center: { ...center },
+    radius,
+    period,
+    angle: random() * Math.PI * 2,
+    u,
+    v,
+  };
+}
+
+// An exotic's orbit around one of the hosts ({ x, y, z, size })
+export function createHostOrbit(category, host, random) {
+  const config = PLANET_CONFIG[category].motion;
+  const radius =
+    host.size + between(random, config.minRadius, config.maxRadius);
+  const period = between(random, config.minPeriod, config.maxPeriod);
+  return createOrbit(host, radius, period, random);
+}
+
+export function createFlee(category, random) {
+  const config = PLANET_CONFIG[category].motion;
+  return {
+    type: "flee",
+    teleportIn: between(random, config.minTeleportTime, config.maxTeleportTime),
+    escape: randomDirection(random), // For a beam aimed dead center
+  };
+}
+
+// Motion for a freshly spawned planet of `category`. Orbits need hosts.
+export function createMotion(category, random, hosts = []) {
+  const type = PLANET_CONFIG[category]?.motion?.type;
+  if (type === "drift") return createDrift(category, random);
+  if (type === "flee") return createFlee(category, random);
+  if (type === "orbit" && hosts.length) {
+    const host = hosts[Math.floor(random() * hosts.length)];
+    return createHostOrbit(category, host, random);
+  }
+  return null;
+}
+
+// ====================================
+// STEPPING
+// ====================================
+// Moves `position` along a drift, bouncing off the inner and outer edges
+// of the category's spawn shell so planets stay in play
+export function stepDrift(position, motion, category) {
+  const { minDistance, maxDistance } = PLANET_CONFIG[category];
+  const { velocity } = motion;
+  position.x += velocity.x;
+  position.y += velocity.y;
+  position.z += velocity.z;
+
+  const distance = length(position);
+  const outward = normalize(position);
+  const radialSpeed = dot(velocity, outward);
+  if (
+    (distance > maxDistance && radialSpeed > 0) ||
+    (distance < minDistance && radialSpeed < 0)
+  ) {
+    velocity.x -= 2 * radialSpeed * outward.x;
+    velocity.y -= 2 * radialSpeed * outward.y;
+    velocity.z -= 2 * radialSpeed * outward.z;
+  }
+  return position;
+}
+
+export function orbitPosition(motion) {
+  const { center, radius, angle, u, v } = motion;
+  const cos = Math.cos(angle) * radius;
+  const sin = Math.sin(angle) * radius;
+  return {
+    x: center.x + u.x * cos + v.x * sin,
+    y: center.y + u.y * cos + v.y * sin,
+    z: center.z + u.z * cos + v.z * sin,
+  };
+}
+
+export function stepOrbit(position, motion, dt) {
+  motion.angle += (Math.PI * 2 * dt) / motion.period;
+  return Object.assign(position, orbitPosition(motion));
+}
+
+// Distance from `point` to a ray, and the direction from the ray to the
+// point. Points behind the ray's origin count as out of reach.
+export function offsetFromRay(point, ray) {
+  const toPoint = {
+    x: point.x - ray.origin.x,
+    y: point.y - ray.origin.y,
+    z: point.z - ray.origin.z,
+  };
+  const along = dot(toPoint, ray.direction);
+  if (along < 0) return { distance: Infinity, away: null };
+  const away = {
+    x: toPoint.x - ray.direction.x * along,
+    y: toPoint.y - ray.direction.y * along,
+    z: toPoint.z - ray.direction.z * along,
+  };
+  const distance = length(away);
+  return { distance, away: distance > 0 ? normalize(away) : null };
+}
+
+// Dodges sideways from a beam (`ray` is { origin, direction } or null)
+// passing close to the surface. Returns true when it's time to teleport.
+export function stepFlee(position, motion, category, size, ray, dt) {
+  const { fleeRadius, fleeSpeed } = PLANET_CONFIG[category].motion;
+  if (ray) {
+    const { distance, away } = offsetFromRay(position, ray);
+    if (distance < size + fleeRadius) {
+      const direction = away || motion.escape;
+      position.x += direction.x * fleeSpeed;
+      position.y += direction.y * fleeSpeed;
+      position.z += direction.z * fleeSpeed;
+    }
+  }
+
+  motion.teleportIn -= dt;
+  return motion.teleportIn <= 0;
+}
+
+// Restarts the countdown after a teleport
+export function resetTeleport(motion, category, random) {
+  const config = PLANET_CONFIG[category].motion;
+  motion.teleportIn = between(
+    random,
+    config.minTeleportTime,
+    config.maxTeleportTime
+  );
+}
+
+// ====================================
+// BELTS AND HOSTS
+// ====================================
+// Specs for the round's asteroid belts: { center, members: [{ size,
+// color, points, health, motion }] }, each member already on its orbit.
+// Belt rocks score like commons.
+export function generateBelts(random) {
+  const config = PLANET_CONFIG.common;
+  const belt = config.belts;
+  return Array.from({ length: belt.count }, () => {
+    const direction = randomDirection(random);
+    const distance = between(random, config.minDistance, config.maxDistance);
+    const center = {
+      x: direction.x * distance,
+      y: direction.y * distance,
+      z: direction.z * distance,
+    };
+    const ringRadius = between(random, belt.minRadius, belt.maxRadius);
+    const period = between(random, belt.minPeriod, belt.maxPeriod);
+    const plane = createOrbit(center, ringRadius, period, random);
+
+    const members = Array.from({ length: belt.members }, (_, index) => {
+      // Spread evenly round the ring, scattered through its thickness
+      const offset = between(random, -belt.thickness, belt.thickness);
+      const motion = {
+        ...plane,
+        radius: ringRadius + offset,
+        angle: plane.angle + (index / belt.members) * Math.PI * 2,
+      };
+      const size = between(random, belt.minSize, belt.maxSize);
+      return {
+        size,
+        color: belt.colors[Math.floor(random() * belt.colors.length)],
+        points:
+          Math.floor(random() * (config.maxPoints - config.minPoints + 1)) +
+          config.minPoints,
+        health: getPlanetHealth("common", size),
+        motion,
+      };
+    });
+    return { center, members };
+  });
+}
+
+// Host giants for the exotics to orbit: [{ x, y, z, size, color }]
+export function generateHosts(random) {
+  const config = PLANET_CONFIG.exotic;
+  const hosts = config.hosts;
+  return Array.from({ length: hosts.count }, () => {
+    const direction = randomDirection(random);
+    const distance = between(random, config.minDistance, config.maxDistance);
+    return {
+      x: direction.x * distance,
+      y: direction.y * distance,
+      z: direction.z * distance,
+      size: between(random, hosts.minSize, hosts.maxSize),
+      color: hosts.colors[Math.floor(random() * hosts.colors.length)],
+    };
+  });
+}
@@ -0,0 +1,65 @@
+// ====================================
+// POPUP LAYOUT
+// ====================================
+// Screen placement for popups anchored to points in the world: clamping
+// to the screen edge when the point is off screen, and stacking so
+// popups spawned close together don't overlap.
+
+export const EDGE_MARGIN = 40; // Pixels kept clear at the screen edge
+
+// Screen position for a point already projected to normalized device
+// coordinates ({ x, y, z } from Vector3.project). Off-screen points are
+// pushed to the edge along the line from the screen center, with `angle`
+// (radians, screen space) pointing towards them.
+export function placeOnScreen(ndc, width, height, margin = EDGE_MARGIN) {
+  // Points behind the camera project mirrored through the center
+  const behind = ndc.z > 1;
+  const x = behind ? -ndc.x : ndc.x;
+  const y = behind ? -ndc.y : ndc.y;
+
+  const screenX = ((x + 1) / 2) * width;
+  const screenY = ((1 - y) / 2) * height;
+  const inside =
+    !behind &&
+    screenX >= margin &&
+    screenX <= width - margin &&
+    screenY >= margin &&
+    screenY <= height - margin;
+  if (inside) return { x: screenX, y: screenY, offscreen: false, angle: 0 };
+
+  const centerX = width / 2;
+  const centerY = height / 2;
+  let dx = screenX - centerX;
+  let dy = screenY - centerY;
+  if (dx === 0 && dy === 0) dy = 1; // Straight behind: point down
+  const scale = Math.min(
+    dx === 0 ? Infinity : (centerX - margin) / Math.abs(dx),
+    dy === 0 ? Infinity : (centerY - margin) / Math.abs(dy)
+  );
+  return {
+    x: centerX + dx * scale,
+    y: centerY + dy * scale,
+    offscreen: true,
+    angle: Math.atan2(dy, dx),
+  };
+}
+
+// Moves later popups up until they clear every earlier one. `positions`
+// is oldest first; returns new { x, y } objects in the same order.
+export function stackPopups(positions, { width = 120, height = 30 } = {}) {
+  const placed = [];
+  positions.forEach(({ x, y }) => {
+    let top = y;
+    let blocker;
+    while (
+      (blocker = placed.find(
+        (other) =>
+          Math.abs(other.x - x) < width && Math.abs(other.y - top) < height
+      ))
+    ) {
+      top = blocker.y - height;
+    }
+    placed.push({ x, y: top });
+  });
+  return placed;
+}
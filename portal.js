@@ -0,0 +1,114 @@
+// ====================================
+// PORTAL
+// ====================================
+// Vibe Jam webring handoff. Flying through the exit portal sends the player
+// to the jam hub with their name, color and speed in the URL; games that
+// link here do the same, arriving with portal=true and a ref to send them
+// back to.
+
+export const PORTAL_HUB_URL = "https://portal.pieter.com";
+export const MAX_USERNAME_LENGTH = 24;
+export const MAX_PORTAL_SPEED = 1000; // Units per second
+
+// What a portal=true visit brought with it. `entered` is false for a
+// normal visit; anything missing or malformed comes back null.
+export function parsePortalParams(search) {
+  const params = new URLSearchParams(search);
+  const username =
+    (params.get("username") || "")
+      .replace(/[^\w .-]/g, "")
+      .trim()
+      .slice(0, MAX_USERNAME_LENGTH) || null;
+  const speed = Number(params.get("speed"));
+  return {
+    entered: params.get("portal") === "true",
+    username,
+    color: parseColor(params.get("color")),
+    speed:
+      params.get("speed") !== null && Number.isFinite(speed) && speed >= 0
+        ? Math.min(speed, MAX_PORTAL_SPEED)
+        : null,
+    ref: parseRef(params.get("ref")),
+  };
+}
+
+// The CSS named colors, which are also the names THREE.Color knows
+const CSS_COLOR_NAMES = new Set(
+  `
+    aliceblue antiquewhite aqua aquamarine azure beige bisque black
+    blanchedalmond blue blueviolet brown burlywood cadetblue chartreuse
+    chocolate coral cornflowerblue cornsilk crimson cyan darkblue darkcyan
+    darkgoldenrod darkgray darkgreen darkgrey darkkhaki darkmagenta
+    darkolivegreen darkorange darkorchid darkred darksalmon darkseagreen
+    darkslateblue darkslategray darkslategrey darkturquoise darkviolet
+    deeppink deepskyblue dimgray dimgrey dodgerblue firebrick floralwhite
+    forestgreen fuchsia gainsboro ghostwhite gold goldenrod gray green
+    greenyellow grey honeydew hotpink indianred indigo ivory khaki lavender
+    lavenderblush lawngreen lemonchiffon lightblue lightcoral lightcyan
+    lightgoldenrodyellow lightgray lightgreen lightgrey lightpink
+    lightsalmon lightseagreen lightskyblue lightslategray lightslategrey
+    lightsteelblue lightyellow lime limegreen linen magenta maroon
+    mediumaquamarine mediumblue mediumorchid mediumpurple mediumseagreen
+    mediumslateblue mediumspringgreen mediumturquoise mediumvioletred
+    midnightblue mintcream mistyrose moccasin navajowhite navy oldlace olive
+    olivedrab orange orangered orchid palegoldenrod palegreen paleturquoise
+    palevioletred papayawhip peachpuff peru pink plum powderblue purple
+    rebeccapurple red rosybrown royalblue saddlebrown salmon sandybrown
+    seagreen seashell sienna silver skyblue slateblue slategray slategrey
+    snow springgreen steelblue tan teal thistle tomato turquoise violet
+    wheat white whitesmoke yellow yellowgreen
+  `
+    .trim()
+    .split(/\s+/)
+);
+
+// "#ff8800", "ff8800", "#f80" or a CSS color name like "red", as a CSS
+// color; null for anything else
+export function parseColor(value) {
+  const color = String(value ?? "").trim();
+  if (/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+    return color.startsWith("#") ? color : `#${color}`;
+  }
+  const name = color.toLowerCase();
+  return CSS_COLOR_NAMES.has(name) ? name : null;
+}
+
+// Portal refs are often bare hosts ("example.com/game"); assume https.
+// Only http(s) URLs are accepted.
+export function parseRef(value) {
+  const ref = String(value ?? "").trim();
+  if (!ref) return null;
+  try {
+    const url = new URL(/^[a-z][\w+.-]*:/i.test(ref) ? ref : `https://${ref}`);
+    return url.protocol === "http:" || url.protocol === "https:"
+      ? url.href
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+// `target` with the handoff parameters added. Empty values are left out;
+// parameters already on `target` are kept unless overridden.
+export function buildPortalUrl(target, { username, color, speed, ref }) {
+  const url = new URL(target);
+  url.searchParams.set("portal", "true");
+  const values = { username, color, speed, ref };
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== "") {
+      url.searchParams.set(key, String(value));
+    }
+  });
+  return url.href;
+}
+
+// True when `position` is inside a portal's opening
+export function insidePortal(position, portal) {
+  return (
+    Math.hypot(
+      position.x - portal.x,
+      position.y - portal.y,
+      position.z - portal.z
+    ) < portal.radius
+  );
+}
@@ -0,0 +1,200 @@
+// ====================================
+// POWER-UPS
+// ====================================
+// Destroyed planets sometimes drop a pickup that flies in towards the
+// avatar and hovers until it's collected or burns out. Collecting one
+// starts a timed effect; collecting the same kind again while it's active
+// extends it, and double points also stacks its multiplier. Time
+// extensions apply instantly, except in the Daily Challenge, whose rounds
+// are always GAME_DURATION long so scores stay comparable. Vectors are
+// plain { x, y, z } objects.
+
+export const POWER_UPS = {
+  time: {
+    label: "Extra Time",
+    icon: "⏱",
+    color: 0x33ff99,
+    weight: 2,
+    extraTime: 15, // Seconds added to the round; no timer of its own
+  },
+  doublePoints: {
+    label: "Double Points",
+    icon: "2×",
+    color: 0xffdd33,
+    weight: 3,
+    duration: 15,
+    maxStacks: 2, // 2x, then 4x
+  },
+  wideBeam: {
+    label: "Wide Beam",
+    icon: "◎",
+    color: 0x66ccff,
+    weight: 3,
+    duration: 12,
+    beamRadius: 150, // Beam hits planets this close to its line
+    beamScale: 4, // How much fatter the beam looks
+  },
+  rapidCooldown: {
+    label: "Rapid Cooldown",
+    icon: "⚡",
+    color: 0xff99ff,
+    weight: 3,
+    duration: 12,
+    coolingScale: 3, // Heat and weapon cooldowns run this much faster
+  },
+  magnet: {
+    label: "Magnet",
+    icon: "🧲",
+    color: 0xff6633,
+    weight: 2,
+    duration: 10,
+  },
+};
+
+// Chance of a drop per destroyed planet
+export const DROP_CHANCE = { common: 0.08, exotic: 0.2, rare: 0.5 };
+
+export const PICKUP = {
+  radius: 20, // Collection distance from the avatar
+  lifetime: 15, // Seconds before an uncollected pickup burns out
+  flySpeed: 25, // Per simulation step, on the way in from the explosion
+  magnetSpeed: 15, // Per simulation step, homing in under a magnet
+  minLanding: 150, // Landing spot distance from the avatar
+  maxLanding: 300,
+};
+
+// Timed effects stop extending past this many durations
+export const MAX_STACKED_DURATIONS = 2;
+
+// Whether power-ups of `type` are handed out in rounds of `mode`
+export function availableIn(mode, type) {
+  return !(mode === "daily" && POWER_UPS[type].extraTime);
+}
+
+// ====================================
+// ACTIVE EFFECTS
+// ====================================
+// Active timed effects by type: { timeLeft, stacks }
+export function createPowerUps() {
+  return {};
+}
+
+export function isActive(powerUps, type) {
+  return (powerUps[type]?.timeLeft ?? 0) > 0;
+}
+
+// Applies a collected power-up. Returns the effect as it now stands, or
+// null for instant ones.
+export function collectPowerUp(state, type) {
+  const config = POWER_UPS[type];
+  if (!config) return null;
+  if (config.extraTime) {
+    if (availableIn(state.mode, type)) state.duration += config.extraTime;
+    return null;
+  }
+
+  const active = state.powerUps[type];
+  if (!active || active.timeLeft <= 0) {
+    state.powerUps[type] = { timeLeft: config.duration, stacks: 1 };
+    return state.powerUps[type];
+  }
+  active.timeLeft = Math.min(
+    active.timeLeft + config.duration,
+    config.duration * MAX_STACKED_DURATIONS
+  );
+  active.stacks = Math.min(active.stacks + 1, config.maxStacks ?? 1);
+  return active;
+}
+
+// Counts effects down. Returns the types that ran out this step.
+export function stepPowerUps(powerUps, dt) {
+  const expired = [];
+  Object.keys(powerUps).forEach((type) => {
+    powerUps[type].timeLeft -= dt;
+    if (powerUps[type].timeLeft <= 0) {
+      delete powerUps[type];
+      expired.push(type);
+    }
+  });
+  return expired;
+}
+
+// Score scale from double points: 2 per stack, multiplied together
+export function getScoreMultiplier(powerUps) {
+  return isActive(powerUps, "doublePoints")
+    ? Math.pow(2, powerUps.doublePoints.stacks)
+    : 1;
+}
+
+export function getCoolingScale(powerUps) {
+  return isActive(powerUps, "rapidCooldown")
+    ? POWER_UPS.rapidCooldown.coolingScale
+    : 1;
+}
+
+// Timers for the HUD, in POWER_UPS order: [{ type, timeLeft, fraction,
+// stacks }] where fraction is the time left out of one duration
+export function getPowerUpTimers(powerUps) {
+  return Object.keys(POWER_UPS)
+    .filter((type) => isActive(powerUps, type))
+    .map((type) => {
+      const { timeLeft, stacks } = powerUps[type];
+      return {
+        type,
+        timeLeft,
+        fraction: Math.min(1, timeLeft / POWER_UPS[type].duration),
+        stacks,
+      };
+    });
+}
+
+// ====================================
+// DROPS AND PICKUPS
+// ====================================
+// The type of power-up a destroyed planet drops in a round of `mode`, or
+// null for none
+export function rollDrop(category, random, mode = "classic") {
+  if (random() >= (DROP_CHANCE[category] ?? 0)) return null;
+  const types = Object.keys(POWER_UPS).filter((type) =>
+    availableIn(mode, type)
+  );
+  const total = types.reduce((sum, type) => sum + POWER_UPS[type].weight, 0);
+  let pick = random() * total;
+  return (
+    types.find((type) => (pick -= POWER_UPS[type].weight) < 0) ??
+    types[types.length - 1]
+  );
+}
+
+// Where a drop settles: a random spot a short flight from `avatar`
+export function landingSpot(avatar, random) {
+  const theta = random() * Math.PI * 2;
+  const z = 2 * random() - 1;
+  const ring = Math.sqrt(1 - z * z);
+  const distance =
+    PICKUP.minLanding + random() * (PICKUP.maxLanding - PICKUP.minLanding);
+  return {
+    x: avatar.x + ring * Math.cos(theta) * distance,
+    y: avatar.y + ring * Math.sin(theta) * distance,
+    z: avatar.z + z * distance,
+  };
+}
+
+// Moves `position` up to `speed` towards `target`. Returns the distance
+// left afterwards.
+export function moveToward(position, target, speed) {
+  const dx = target.x - position.x;
+  const dy = target.y - position.y;
+  const dz = target.z - position.z;
+  const distance = Math.hypot(dx, dy, dz);
+  if (distance <= speed) {
+    position.x = target.x;
+    position.y = target.y;
+    position.z = target.z;
+    return 0;
+  }
+  position.x += (dx / distance) * speed;
+  position.y += (dy / distance) * speed;
+  position.z += (dz / distance) * speed;
+  return distance - speed;
+}
@@ -0,0 +1,46 @@
+// ====================================
+// SEEDED RANDOM
+// ====================================
+// Small deterministic PRNG so a galaxy can be replayed from its seed.
+// Seeds are unsigned 32-bit integers.
+
+// mulberry32: fast, good enough for placement and effects
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// FNV-1a string hash
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Independent seed for a named stream, e.g. "planets" or "effects"
+export function deriveSeed(seed, label) {
+  return hashString(`${seed >>> 0}:${label}`);
+}
+
+// Accepts a number or any string (such as a ?seed= value). Returns null
+// when there is nothing to parse.
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  if (/^\d+$/.test(text) && Number(text) <= 0xffffffff) return Number(text);
+  return hashString(text);
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
@@ -0,0 +1,330 @@
+// ====================================
+// AVATAR
+// ====================================
+// Loading the player's avatar (with the preloader's retries and the
+// simple stand-in ship), its lights, its animation clips, and moving it
+// through the cube. The pose before and after each simulation step is
+// kept so frames can be drawn in between.
+
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { clampToCube, stepAvatar } from "../game-core.js";
+import { takeYaw } from "../mouse-look.js";
+import { gravityPull } from "../hazards.js";
+import {
+  LOAD_STALL_TIMEOUT,
+  MAX_LOAD_ATTEMPTS,
+  STARTUP_ERRORS,
+  byteFraction,
+  canRetry,
+  retryDelay,
+} from "../loading.js";
+import {
+  CROSSFADE_TIME,
+  FIRE_FADE_TIME,
+  createTilt,
+  matchClips,
+  pickMotion,
+  resolveMotion,
+  stepTilt,
+} from "../avatar-animation.js";
+import { isPlaying } from "../game-flow.js";
+import { scene } from "./scene.js";
+import { controls, mouseLook } from "./input.js";
+import { setLoadingStatus, showLoadProgress, showLoadingError } from "./ui.js";
+import { wells } from "./hazard-field.js";
+import { flow, startSession, state } from "./session.js";
+
+export let avatar;
+export let avatarHead;
+const avatarHeadOffset = new THREE.Vector3(0, 1.5, 0);
+
+// Avatar pose before/after the latest simulation step, for interpolation
+export const avatarPose = {
+  previous: { position: new THREE.Vector3(), rotationY: 0 },
+  current: { position: new THREE.Vector3(), rotationY: 0 },
+};
+
+// The avatar is the one big download. A THREE.LoadingManager drives the
+// progress bar; a load that fails or stops making progress is retried a
+// couple of times before the player is offered the simple ship instead.
+const AVATAR_URL = "assets/avatar.glb";
+
+let currentLoad = null; // Token for the load in flight; stale callbacks are ignored
+let loadAttempt = 0;
+let loadStallTimer = null;
+
+export function loadAvatar() {
+  const load = { itemsLoaded: 0, itemsTotal: 0, itemFraction: 0, bytes: 0 };
+  currentLoad = load;
+  loadAttempt += 1;
+  showLoadProgress(load);
+  watchForStall(load);
+
+  const manager = new THREE.LoadingManager();
+  manager.onProgress = (url, itemsLoaded, itemsTotal) => {
+    if (load !== currentLoad) return;
+    Object.assign(load, { itemsLoaded, itemsTotal, itemFraction: 0 });
+    showLoadProgress(load);
+  };
+
+  const loader = new GLTFLoader(manager);
+  loader.load(
+    AVATAR_URL,
+    (gltf) => {
+      if (load !== currentLoad) return;
+      finishLoading();
+      avatar = gltf.scene;
+      avatar.scale.set(5, 5, 5);
+      avatar.position.set(0, 0, 0);
+      scene.add(avatar);
+      setupAvatarAnimation(gltf.animations);
+
+      avatarHead = new THREE.Object3D();
+      avatarHead.position.copy(avatarHeadOffset);
+      avatar.add(avatarHead);
+
+      // Add dynamic lighting (moved to separate step below)
+      initAvatarLighting();
+
+      startSession();
+    },
+    (event) => {
+      if (load !== currentLoad) return;
+      load.itemsTotal = Math.max(load.itemsTotal, 1);
+      load.itemFraction = byteFraction(event) ?? 0;
+      load.bytes = event.loaded || 0;
+      showLoadProgress(load);
+      watchForStall(load);
+    },
+    (error) => {
+      if (load !== currentLoad) return;
+      console.error("Error loading avatar:", error);
+      avatarLoadFailed(STARTUP_ERRORS.failed);
+    }
+  );
+}
+
+// Restarts the countdown to giving up on `load`; any progress calls this
+function watchForStall(load) {
+  clearTimeout(loadStallTimer);
+  loadStallTimer = setTimeout(() => {
+    if (load === currentLoad) avatarLoadFailed(STARTUP_ERRORS.timeout);
+  }, LOAD_STALL_TIMEOUT * 1000);
+}
+
+function finishLoading() {
+  clearTimeout(loadStallTimer);
+  currentLoad = null;
+}
+
+function avatarLoadFailed(reason) {
+  finishLoading();
+  if (canRetry(loadAttempt)) {
+    setLoadingStatus(
+      `${reason} Retrying (${loadAttempt + 1}/${MAX_LOAD_ATTEMPTS})&hellip;`
+    );
+    setTimeout(loadAvatar, retryDelay(loadAttempt) * 1000);
+    return;
+  }
+
+  showLoadingError(reason, [
+    {
+      label: "Try Again",
+      onClick: () => {
+        loadAttempt = 0;
+        loadAvatar();
+      },
+    },
+    {
+      label: "Play Without It",
+      onClick: () => {
+        createSimpleAvatar();
+        startSession();
+      },
+    },
+  ]);
+}
+
+// Stand-in ship for when the avatar model can't be loaded
+function createSimpleAvatar() {
+  const avatarGeometry = new THREE.SphereGeometry(2, 32, 32);
+  const avatarMaterial = new THREE.MeshPhongMaterial({
+    color: 0xffffff, // Neutral white to show original texture if present
+    emissive: 0x333333,
+  });
+  avatar = new THREE.Group();
+  avatar.add(new THREE.Mesh(avatarGeometry, avatarMaterial));
+  scene.add(avatar);
+  setupAvatarAnimation([]);
+
+  avatarHead = new THREE.Object3D();
+  avatarHead.position.set(0, 3, 0);
+  avatar.add(avatarHead);
+
+  initAvatarLighting();
+}
+
+function initAvatarLighting() {
+  // Clear any existing lights
+  avatar.children = avatar.children.filter(
+    (child) => !(child instanceof THREE.Light)
+  );
+
+  // Front spotlight
+  const frontLight = new THREE.SpotLight(0xffffff, 3, 50, Math.PI / 6);
+  frontLight.position.set(0, 5, 15);
+  frontLight.target = avatar;
+  avatar.add(frontLight);
+
+  // Back spotlight
+  const backLight = new THREE.SpotLight(0xffffff, 2, 50, Math.PI / 4);
+  backLight.position.set(0, 5, -15);
+  backLight.target = avatar;
+  avatar.add(backLight);
+
+  // Top spotlight
+  const topLight = new THREE.SpotLight(0xffffff, 1.5, 50, Math.PI / 3);
+  topLight.position.set(0, 20, 0);
+  topLight.target = avatar;
+  avatar.add(topLight);
+
+  // Point light for ambient fill
+  const pointLight = new THREE.PointLight(0xffffff, 1, 20);
+  pointLight.position.set(0, 5, 0);
+  avatar.add(pointLight);
+}
+
+// ====================================
+// ANIMATION
+// ====================================
+// Clips from the GLB play through an AnimationMixer, crossfading as the
+// controls change; the firing clip (if any) blends in over the top.
+// Banking and pitch are procedural and go on an inner pivot rather than
+// the avatar itself, so the camera, which follows the avatar's rotation,
+// doesn't roll with it. Models without clips just get the tilt.
+let animation = null;
+
+function setupAvatarAnimation(clips) {
+  const pivot = new THREE.Group();
+  pivot.add(...avatar.children);
+  avatar.add(pivot);
+
+  const mixer = new THREE.AnimationMixer(avatar);
+  const roles = matchClips(clips.map((clip) => clip.name));
+  const actions = {};
+  Object.entries(roles).forEach(([role, name]) => {
+    if (!name) return;
+    const clip = THREE.AnimationClip.findByName(clips, name);
+    actions[role] = mixer.clipAction(clip);
+  });
+
+  animation = {
+    mixer,
+    actions,
+    pivot,
+    motion: null,
+    firing: false,
+    tilt: createTilt(),
+  };
+  playMotion("idle");
+}
+
+// Crossfades from the current movement clip to the one for `role`
+function playMotion(role) {
+  const motion = resolveMotion(role, animation.actions);
+  if (!motion || motion === animation.motion) return;
+  const fade = animation.motion ? CROSSFADE_TIME : 0; // First clip starts at once
+  animation.actions[motion].reset().fadeIn(fade).play();
+  animation.actions[animation.motion]?.fadeOut(CROSSFADE_TIME);
+  animation.motion = motion;
+}
+
+function playFiring(firing) {
+  const fire = animation.actions.fire;
+  if (!fire || firing === animation.firing) return;
+  animation.firing = firing;
+  if (firing) fire.reset().fadeIn(FIRE_FADE_TIME).play();
+  else fire.fadeOut(FIRE_FADE_TIME);
+}
+
+// Runs every frame; outside a round the avatar idles and levels out
+export function updateAvatarAnimation(delta) {
+  if (!animation) return;
+  const input = isPlaying(flow) ? controls : {};
+  playMotion(pickMotion(input));
+  playFiring(isPlaying(flow) && state.laserActive);
+  animation.mixer.update(delta);
+
+  const { tilt, pivot } = animation;
+  stepTilt(tilt, input, delta);
+  pivot.rotation.set(tilt.pitch, 0, tilt.bank);
+}
+
+// Tints every surface of the avatar, textured or not
+export function tintAvatar(color) {
+  avatar.traverse((child) => {
+    if (!child.isMesh) return;
+    child.material = child.material.clone();
+    child.material.color?.set(color);
+  });
+}
+
+export function saveAvatarPose(pose) {
+  if (!avatar) return;
+  pose.position.copy(avatar.position);
+  pose.rotationY = avatar.rotation.y;
+}
+
+export function applyAvatarPose(pose) {
+  if (!avatar) return;
+  avatar.position.copy(pose.position);
+  avatar.rotation.y = pose.rotationY;
+}
+
+export function interpolateAvatarPose(alpha) {
+  if (!avatar) return;
+  const { previous, current } = avatarPose;
+  avatar.position.lerpVectors(previous.position, current.position, alpha);
+  avatar.rotation.y =
+    previous.rotationY + (current.rotationY - previous.rotationY) * alpha;
+}
+
+// Movement speeds are per simulation step, which is fixed at FIXED_TIMESTEP
+export function updateAvatarMovement() {
+  if (!avatar || !avatarHead) return;
+
+  const pose = {
+    x: avatar.position.x,
+    y: avatar.position.y,
+    z: avatar.position.z,
+    rotationY: avatar.rotation.y,
+  };
+  pose.rotationY += takeYaw(mouseLook);
+  stepAvatar(pose, controls);
+  wells.forEach((well) => {
+    const pull = gravityPull(pose, well.userData.center);
+    pose.x += pull.x;
+    pose.y += pull.y;
+    pose.z += pull.z;
+  });
+  clampToCube(pose);
+  avatar.position.set(pose.x, pose.y, pose.z);
+  avatar.rotation.y = pose.rotationY;
+
+  // Update lights
+  const frontLight = avatar.children.find(
+    (child) => child instanceof THREE.SpotLight && child.position.z > 0
+  );
+  const backLight = avatar.children.find(
+    (child) => child instanceof THREE.SpotLight && child.position.z < 0
+  );
+  if (frontLight) frontLight.position.set(0, 5, 10);
+  if (backLight) backLight.position.set(0, 5, -10);
+
+  // Update head position to follow avatar
+  avatarHead.position.x = avatar.position.x;
+  avatarHead.position.y = avatar.position.y + 3;
+  avatarHead.position.z = avatar.position.z;
+  avatarHead.rotation.copy(avatar.rotation);
+}
@@ -0,0 +1,179 @@
+// ====================================
+// EFFECTS
+// ====================================
+// Short-lived visual effects (explosions, sparkles, teleport flashes)
+// and the hit feedback that shakes the camera. Each effect is a
+// function called with the frame delta until it returns false.
+
+import * as THREE from "three";
+import { playCollectChime, playDestructionSound } from "../audio.js";
+import { scene, soundPlacement } from "./scene.js";
+import { avatar } from "./avatar.js";
+import { rng } from "./session.js";
+
+const TELEPORT_FLASH_DURATION = 0.4; // Seconds for a rare planet's jump flash
+export const hitFeedback = { shake: 0, vignette: 0 }; // 0-1, fading after hits
+
+// Running visual effects, each called with the frame delta until it returns false
+let effects = [];
+
+export function createExplosion(position, color, category) {
+  const cometCount = category === "rare" ? 15 : category === "exotic" ? 12 : 10;
+  const comets = [];
+  playDestructionSound(category, soundPlacement(position));
+
+  for (let i = 0; i < cometCount; i++) {
+    const cometGeometry = new THREE.SphereGeometry(0.5, 8, 8); // Very small
+    const cometMaterial = new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.9,
+    });
+    const comet = new THREE.Mesh(cometGeometry, cometMaterial);
+    comet.position.copy(position);
+    scene.add(comet);
+    comets.push({
+      mesh: comet,
+      velocity: new THREE.Vector3(
+        (rng.effects() - 0.5) * 8,
+        (rng.effects() - 0.5) * 8,
+        (rng.effects() - 0.5) * 8
+      ),
+      targetOffset: new THREE.Vector3(
+        (rng.effects() - 0.5) * 2,
+        (rng.effects() - 0.5) * 2,
+        (rng.effects() - 0.5) * 2
+      ),
+    });
+  }
+
+  let time = 0;
+  let collected = 0; // Each comet that arrives chimes a step higher
+  const scatterDuration = 0.3;
+  const travelDuration = 1.8;
+
+  function animateComets(delta) {
+    time += delta;
+    const frames = delta * 60; // Velocities below are tuned per 60 Hz frame
+
+    if (time < scatterDuration) {
+      comets.forEach((comet) => {
+        comet.mesh.position.addScaledVector(comet.velocity, frames);
+      });
+    } else if (time < scatterDuration + travelDuration) {
+      const progress = (time - scatterDuration) / travelDuration;
+      const easedProgress = 1 - Math.pow(1 - progress, 4);
+      const avatarCenter = avatar.position.clone();
+
+      comets.forEach((comet) => {
+        const targetPos = avatarCenter.clone().add(comet.targetOffset);
+        comet.mesh.position.lerpVectors(
+          comet.mesh.position,
+          targetPos,
+          1 - Math.pow(1 - easedProgress * 0.15, frames)
+        );
+        const distance = comet.mesh.position.distanceTo(avatarCenter);
+        comet.mesh.material.opacity = distance < 2 ? distance / 2 : 1;
+        if (distance < 1) {
+          // Sparkle inside avatar
+          createSparkle(comet.mesh.position, color);
+          playCollectChime(collected++, soundPlacement(comet.mesh.position));
+          scene.remove(comet.mesh);
+          comets.splice(comets.indexOf(comet), 1);
+        }
+      });
+    } else {
+      comets.forEach((comet) => scene.remove(comet.mesh));
+      return false;
+    }
+
+    return true;
+  }
+  addEffect(animateComets);
+}
+
+export function createSparkle(position, color) {
+  const sparkleGeometry = new THREE.BufferGeometry();
+  const sparklePositions = new Float32Array(10 * 3);
+  for (let i = 0; i < 10; i++) {
+    sparklePositions[i * 3] = position.x;
+    sparklePositions[i * 3 + 1] = position.y;
+    sparklePositions[i * 3 + 2] = position.z;
+  }
+  sparkleGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(sparklePositions, 3)
+  );
+  const sparkleMaterial = new THREE.PointsMaterial({
+    size: 2,
+    color: color,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+  });
+  const sparkle = new THREE.Points(sparkleGeometry, sparkleMaterial);
+  scene.add(sparkle);
+
+  let sparkleTime = 0;
+  addEffect((delta) => {
+    sparkleTime += delta;
+    const jitter = 2 * delta * 60;
+    const pos = sparkle.geometry.attributes.position.array;
+    for (let i = 0; i < 10; i++) {
+      pos[i * 3] += (rng.effects() - 0.5) * jitter;
+      pos[i * 3 + 1] += (rng.effects() - 0.5) * jitter;
+      pos[i * 3 + 2] += (rng.effects() - 0.5) * jitter;
+    }
+    sparkle.geometry.attributes.position.needsUpdate = true;
+    sparkle.material.opacity = 1 - sparkleTime / 0.5;
+    if (sparkleTime < 0.5) return true;
+    scene.remove(sparkle);
+    return false;
+  });
+}
+
+// Expanding, fading shell where a teleporting planet leaves and arrives
+export function createTeleportFlash(position, color, size) {
+  const flash = new THREE.Mesh(
+    new THREE.SphereGeometry(size, 16, 16),
+    new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.8,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    })
+  );
+  flash.position.copy(position);
+  scene.add(flash);
+
+  let flashTime = 0;
+  addEffect((delta) => {
+    flashTime += delta;
+    const progress = Math.min(1, flashTime / TELEPORT_FLASH_DURATION);
+    flash.scale.setScalar(1 + progress);
+    flash.material.opacity = 0.8 * (1 - progress);
+    if (progress < 1) return true;
+    scene.remove(flash);
+    flash.geometry.dispose();
+    flash.material.dispose();
+    return false;
+  });
+}
+
+export function addEffect(update) {
+  effects.push(update);
+}
+
+export function updateEffects(delta) {
+  // Effects may spawn new effects while running, so collect into a fresh list
+  const running = effects;
+  effects = [];
+  running.forEach((update) => {
+    if (update(delta)) effects.push(update);
+  });
+}
+
+export function addHitFeedback(strength) {
+  hitFeedback.shake = Math.min(1, hitFeedback.shake + strength);
+  hitFeedback.vignette = Math.min(1, hitFeedback.vignette + strength);
+}
@@ -0,0 +1,165 @@
+// ====================================
+// HAZARD FIELD
+// ====================================
+// The meteors and gravity wells in the cube and the damage they deal.
+// The rules live in hazards.js.
+
+import * as THREE from "three";
+import { CUBE_SIZE } from "../game-core.js";
+import { playImpactSound } from "../audio.js";
+import {
+  GRAVITY_WELL,
+  METEOR,
+  damagePlayer,
+  generateWells,
+  inWellCore,
+  meteorHits,
+  nextMeteorDelay,
+  spawnMeteor,
+  stepMeteor,
+  stepVitals,
+} from "../hazards.js";
+import { isPlaying } from "../game-flow.js";
+import { scene } from "./scene.js";
+import { avatar } from "./avatar.js";
+import { addHitFeedback, createSparkle, hitFeedback } from "./effects.js";
+import { endGame, flow, rng, state } from "./session.js";
+
+let meteors = []; // { mesh, position, velocity, age } inbound
+export let wells = []; // Gravity well groups; userData holds the center
+let nextMeteorTime = 0; // Game time of the next meteor
+
+function meteorRate() {
+  return state.wave ? state.wave.level.meteorRate : 1;
+}
+
+// Wells are placed once per round; meteors keep coming at random intervals
+export function createHazards() {
+  clearHazards();
+  generateWells(rng.planets, CUBE_SIZE, state.wave?.level.wells).forEach(
+    createGravityWell
+  );
+  nextMeteorTime = nextMeteorDelay(rng.planets, meteorRate());
+  hitFeedback.shake = 0;
+  hitFeedback.vignette = 0;
+}
+
+export function clearHazards() {
+  meteors.forEach((meteor) => scene.remove(meteor.mesh));
+  meteors = [];
+  wells.forEach((well) => scene.remove(well));
+  wells = [];
+}
+
+// A black core in a swirling disc, inside a faint shell marking its reach
+function createGravityWell(center) {
+  const well = new THREE.Group();
+  const core = new THREE.Mesh(
+    new THREE.SphereGeometry(GRAVITY_WELL.coreRadius, 32, 32),
+    new THREE.MeshBasicMaterial({ color: 0x000000 })
+  );
+  const disc = new THREE.Mesh(
+    new THREE.RingGeometry(
+      GRAVITY_WELL.coreRadius * 1.2,
+      GRAVITY_WELL.coreRadius * 4,
+      64
+    ),
+    new THREE.MeshBasicMaterial({
+      color: 0x9933ff,
+      transparent: true,
+      opacity: 0.5,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    })
+  );
+  disc.rotation.x = Math.PI / 2.5;
+  const reach = new THREE.Mesh(
+    new THREE.SphereGeometry(GRAVITY_WELL.radius, 32, 32),
+    new THREE.MeshBasicMaterial({
+      color: 0x9933ff,
+      transparent: true,
+      opacity: 0.06,
+      side: THREE.BackSide,
+      depthWrite: false,
+    })
+  );
+  well.add(core, disc, reach);
+  well.position.set(center.x, center.y, center.z);
+  well.userData = { center };
+  scene.add(well);
+  wells.push(well);
+}
+
+export function updateWells(delta) {
+  wells.forEach((well) => {
+    well.children[1].rotation.z += 0.6 * delta;
+  });
+}
+
+function launchMeteor() {
+  const meteor = spawnMeteor(avatar.position, rng.planets);
+  meteor.mesh = new THREE.Mesh(
+    new THREE.DodecahedronGeometry(METEOR.radius, 0),
+    new THREE.MeshStandardMaterial({
+      color: 0x886644,
+      emissive: 0xff4400,
+      emissiveIntensity: 0.5,
+      flatShading: true,
+    })
+  );
+  meteor.mesh.position.copy(meteor.position);
+  scene.add(meteor.mesh);
+  meteors.push(meteor);
+}
+
+// Meteors, well cores and the shield recharge
+export function updateHazards(dt) {
+  if (!avatar) return;
+  stepVitals(state.vitals, dt);
+
+  if (state.gameTime >= nextMeteorTime) {
+    launchMeteor();
+    nextMeteorTime =
+      state.gameTime + nextMeteorDelay(rng.planets, meteorRate());
+  }
+
+  meteors = meteors.filter((meteor) => {
+    const burning = stepMeteor(meteor, dt);
+    meteor.mesh.position.copy(meteor.position);
+    meteor.mesh.rotation.x += 0.05;
+    meteor.mesh.rotation.y += 0.03;
+    if (Math.round(meteor.age * 60) % 4 === 0) {
+      createSparkle(meteor.position, 0xff6633);
+    }
+
+    if (meteorHits(meteor, avatar.position)) {
+      createSparkle(meteor.position, 0xffaa33);
+      scene.remove(meteor.mesh);
+      hurtPlayer(METEOR.damage, { impact: true });
+      return false;
+    }
+    if (!burning) {
+      scene.remove(meteor.mesh);
+      return false;
+    }
+    return true;
+  });
+
+  wells.forEach((well) => {
+    if (inWellCore(avatar.position, well.userData.center)) {
+      hurtPlayer(GRAVITY_WELL.coreDamage * dt);
+    }
+  });
+}
+
+// Damage from any hazard, with shake and vignette scaled to the hit.
+// `impact` marks a single blow (rather than a steady burn) worth a sound.
+function hurtPlayer(amount, { impact = false } = {}) {
+  if (!isPlaying(flow)) return;
+  const shielded = state.vitals.shield >= amount;
+  const destroyed = damagePlayer(state.vitals, amount);
+  addHitFeedback(amount / 10);
+  if (impact) playImpactSound(shielded);
+  if (destroyed) endGame("destroyed");
+}
@@ -0,0 +1,350 @@
+// ====================================
+// HUD
+// ====================================
+// Everything drawn over the game during a round: gauges, the weapon
+// bar, combo and power-up readouts, health bars and floating popups.
+
+import * as THREE from "three";
+import { getHealthFraction, getLaserHeat } from "../game-core.js";
+import { keyLabel } from "../key-bindings.js";
+import { WEAPONS, WEAPON_ORDER, getCooldownFraction } from "../weapons.js";
+import { getComboDecay } from "../combo.js";
+import { placeOnScreen, stackPopups } from "../popup-layout.js";
+import { getVitalFractions } from "../hazards.js";
+import {
+  POWER_UPS,
+  getPowerUpTimers,
+  getScoreMultiplier,
+} from "../powerups.js";
+import { describeGoal, getWaveProgress } from "../levels.js";
+import { camera } from "./scene.js";
+import { planets } from "./planets.js";
+import { switchWeapon } from "./laser.js";
+import { WEAPON_ACTIONS, keyboardLayout } from "./input.js";
+import { hitFeedback } from "./effects.js";
+import { state } from "./session.js";
+import { settings } from "./storage.js";
+
+const HEALTH_BAR_TIME = 2; // Seconds a damaged planet keeps its health bar
+const POPUP_DURATION = 1; // Matches the .points-popup float animation
+const HIT_FEEDBACK_DECAY = 2.5; // Shake and vignette shed per second
+const LOW_HEALTH = 0.3; // Health fraction where the vignette starts pulsing
+let popups = []; // { element, arrow, position, age } anchored to the world
+
+export function updateWaveHud() {
+  const hud = document.getElementById("wave-hud");
+  hud.classList.toggle("active", Boolean(state.wave));
+  if (!state.wave) return;
+  const { index, level } = state.wave;
+  document.getElementById("wave-name").textContent = `Wave ${index + 1}`;
+  document.getElementById("wave-goal").textContent = describeGoal(
+    level.goal,
+    state.wave,
+    state.score
+  );
+  document.getElementById("wave-progress").style.width = `${
+    getWaveProgress(state.wave, state.score).fraction * 100
+  }%`;
+}
+
+// Keeps the intro hint in step with the player's key bindings
+export function updateControlsHint() {
+  const toast = document.getElementById("toast");
+  if (!toast) return;
+  if (window.matchMedia("(pointer: coarse)").matches) {
+    toast.innerHTML = `
+      Left stick to fly<br />
+      Right stick for camera<br />
+      Tap and drag to shoot
+    `;
+    return;
+  }
+
+  const keys = (...actions) =>
+    actions
+      .map((action) =>
+        keyLabel(settings.keyBindings[action][0] || "", keyboardLayout)
+      )
+      .join(" ");
+  toast.innerHTML = `
+    USE || ' ${keys(
+      "forward",
+      "rotateLeft",
+      "backward",
+      "rotateRight"
+    )} ' for movement<br />
+    || ' ${keys(
+      "cameraUp",
+      "cameraLeft",
+      "cameraDown",
+      "cameraRight"
+    )} ' for camera<br />
+    ||Click or ${keys("fire")} to shoot<br />
+    || ${keys(
+      "weaponBeam",
+      "weaponRailgun",
+      "weaponMissile"
+    )} or scroll to switch weapons
+    ${
+      settings.aimMode === "mouselook"
+        ? `<br />||Mouse to look &middot; ${keys("toggleAim")} for free aim`
+        : ""
+    }
+  `;
+}
+
+// Shield and hull gauges, and the red vignette: a flash on every hit and
+// a slow pulse while the hull is low
+export function updateVitalsHud(delta) {
+  const decay = HIT_FEEDBACK_DECAY * delta;
+  hitFeedback.shake = Math.max(0, hitFeedback.shake - decay);
+  hitFeedback.vignette = Math.max(0, hitFeedback.vignette - decay);
+
+  const { shield, health } = getVitalFractions(state.vitals);
+  document.getElementById("shield-fill").style.width = `${shield * 100}%`;
+  document.getElementById("hull-fill").style.width = `${health * 100}%`;
+  const critical = health < LOW_HEALTH;
+  document.getElementById("hull-gauge").classList.toggle("critical", critical);
+
+  const pulse = critical
+    ? (0.35 + 0.15 * Math.sin(state.gameTime * 4)) * (1 - health / LOW_HEALTH)
+    : 0;
+  document.getElementById("damage-vignette").style.opacity = Math.max(
+    hitFeedback.vignette,
+    pulse
+  );
+}
+
+// One icon per active effect with its countdown and a bar that drains
+// over the effect's last duration
+export function updatePowerUpHud() {
+  const hud = document.getElementById("power-ups");
+  const timers = getPowerUpTimers(state.powerUps);
+  const multiplier = getScoreMultiplier(state.powerUps);
+  const active = timers.map(({ type }) => type).join() + multiplier;
+  if (hud.dataset.active !== active) {
+    hud.dataset.active = active;
+    hud.innerHTML = timers
+      .map(({ type }) => {
+        const config = POWER_UPS[type];
+        const color = `#${config.color.toString(16).padStart(6, "0")}`;
+        const icon = type === "doublePoints" ? `${multiplier}×` : config.icon;
+        return `
+        <div class="power-up" data-type="${type}" title="${config.label}" style="--power-up-color: ${color}">
+          <span class="power-up-icon">${icon}</span>
+          <span class="power-up-time"></span>
+          <div class="power-up-bar"></div>
+        </div>`;
+      })
+      .join("");
+  }
+
+  timers.forEach(({ type, timeLeft, fraction }) => {
+    const slot = hud.querySelector(`[data-type="${type}"]`);
+    slot.querySelector(".power-up-time").textContent = `${Math.ceil(
+      timeLeft
+    )}s`;
+    slot.querySelector(".power-up-bar").style.width = `${fraction * 100}%`;
+    slot.classList.toggle("ending", timeLeft < 3);
+  });
+}
+
+// Heat gauge next to the score and timer, and crosshair warnings
+export function updateLaserHud() {
+  const heat = getLaserHeat(state);
+  const gauge = document.getElementById("laser-gauge");
+  document.getElementById("laser-heat").style.width = `${heat * 100}%`;
+  gauge.classList.toggle("hot", heat > 0.75 && !state.overheated);
+  gauge.classList.toggle("overheated", state.overheated);
+  const crosshair = document.getElementById("crosshair");
+  crosshair.classList.toggle("unavailable", state.overheated);
+  crosshair.classList.toggle("charging", state.charging);
+  crosshair.style.setProperty("--charge", state.charge);
+}
+
+// Weapon slots under the heat gauge, labelled with their keys
+export function renderWeaponHud() {
+  const hud = document.getElementById("weapon-hud");
+  const actionFor = Object.fromEntries(
+    Object.entries(WEAPON_ACTIONS).map(([action, weapon]) => [weapon, action])
+  );
+  hud.innerHTML = WEAPON_ORDER.map((weapon) => {
+    const code = settings.keyBindings[actionFor[weapon]][0];
+    return `
+      <div class="weapon-slot" data-weapon="${weapon}">
+        <span class="weapon-key">${
+          code ? keyLabel(code, keyboardLayout) : ""
+        }</span>
+        ${WEAPONS[weapon].label}
+        <div class="weapon-cooldown"></div>
+      </div>`;
+  }).join("");
+  hud.querySelectorAll(".weapon-slot").forEach((slot) => {
+    slot.addEventListener("click", () => switchWeapon(slot.dataset.weapon));
+  });
+  updateWeaponHud();
+}
+
+// Multiplier and the time left to keep the combo going
+export function updateComboHud() {
+  const { combo } = state;
+  const meter = document.getElementById("combo-meter");
+  meter.classList.toggle("active", combo.chain > 0);
+  meter.classList.toggle("boosted", combo.multiplier > 1);
+  document.getElementById(
+    "combo-multiplier"
+  ).textContent = `x${combo.multiplier}`;
+  document.getElementById("combo-chain").textContent =
+    combo.chain > 0 ? `${combo.chain} chain` : "";
+  document.getElementById("combo-decay").style.width = `${
+    getComboDecay(combo) * 100
+  }%`;
+}
+
+export function updateWeaponHud() {
+  document.querySelectorAll(".weapon-slot").forEach((slot) => {
+    const selected = slot.dataset.weapon === state.weapon;
+    slot.classList.toggle("selected", selected);
+    slot.querySelector(".weapon-cooldown").style.width = selected
+      ? `${getCooldownFraction(state) * 100}%`
+      : "0";
+  });
+}
+
+// Recently damaged planets get a bar floating above them on screen
+export function updateHealthBars() {
+  const container = document.getElementById("health-bars");
+  const projected = new THREE.Vector3();
+
+  planets.forEach((planetGroup) => {
+    const planet = planetGroup.children[0];
+    const { lastHitTime } = planet.userData;
+    if (
+      lastHitTime === undefined ||
+      state.gameTime - lastHitTime > HEALTH_BAR_TIME
+    ) {
+      removeHealthBar(planet);
+      return;
+    }
+
+    if (!planet.userData.healthBar) {
+      const bar = document.createElement("div");
+      bar.className = `health-bar ${planet.userData.category}`;
+      bar.innerHTML = '<div class="health-fill"></div>';
+      container.appendChild(bar);
+      planet.userData.healthBar = bar;
+    }
+    const bar = planet.userData.healthBar;
+
+    // Just above the planet's top edge
+    projected.copy(planetGroup.position);
+    projected.y += planet.geometry.parameters.radius * 1.2;
+    projected.project(camera);
+    const onScreen = projected.z < 1;
+    bar.style.display = onScreen ? "block" : "none";
+    if (!onScreen) return;
+    bar.style.left = `${((projected.x + 1) / 2) * window.innerWidth}px`;
+    bar.style.top = `${((1 - projected.y) / 2) * window.innerHeight}px`;
+    bar.firstElementChild.style.width = `${
+      getHealthFraction(planet.userData) * 100
+    }%`;
+  });
+}
+
+export function removeHealthBar(planet) {
+  if (!planet.userData.healthBar) return;
+  planet.userData.healthBar.remove();
+  delete planet.userData.healthBar;
+}
+
+// `combo` is what registerKill returned for this kill; the popup follows
+// `position` in the world until it fades
+export function showPointsPopup(points, category, combo, position) {
+  const popup = document.createElement("div");
+  popup.className = "points-popup";
+  popup.textContent =
+    category === "rare"
+      ? `+${points} RARE!`
+      : category === "exotic"
+      ? `+${points} Exotic`
+      : `+${points}`;
+  const comboParts = [];
+  if (combo?.multiplier > 1) comboParts.push(`x${combo.multiplier} COMBO`);
+  if (combo?.colorBonus > 1) {
+    comboParts.push(`COLOR CHAIN x${combo.colorBonus}`);
+  }
+  const boost = getScoreMultiplier(state.powerUps);
+  if (boost > 1) comboParts.push(`x${boost} POINTS`);
+  if (comboParts.length) {
+    const comboText = document.createElement("div");
+    comboText.className = "combo-text";
+    comboText.textContent = comboParts.join(" · ");
+    popup.appendChild(comboText);
+  }
+  popup.style.color =
+    category === "rare"
+      ? "#ff00ff"
+      : category === "exotic"
+      ? "#ffaa00"
+      : "#ffffff";
+  addPopup(popup, position);
+}
+
+export function showPenaltyPopup(penalty, amount, position) {
+  const popup = document.createElement("div");
+  popup.className = "points-popup penalty";
+  popup.textContent =
+    penalty === "time" ? `-${amount}s BOMB!` : `-${amount} BOMB!`;
+  addPopup(popup, position);
+}
+
+// Health knocked off a planet, in hundredths of a health point
+export function showDamageNumber(damage, position) {
+  const popup = document.createElement("div");
+  popup.className = "points-popup damage-number";
+  popup.textContent = `-${Math.max(1, Math.round(damage * 100))}`;
+  addPopup(popup, position);
+}
+
+export function addPopup(element, position) {
+  element.classList.add("anchored");
+  const arrow = document.createElement("span");
+  arrow.className = "popup-arrow";
+  arrow.textContent = "➤";
+  element.appendChild(arrow);
+  document.body.appendChild(element);
+  popups.push({ element, arrow, position: position.clone(), age: 0 });
+  updatePopups(0);
+}
+
+// Projects each popup's anchor to the screen, clamps off-screen ones to
+// the edge with an arrow pointing at them, and stacks any that overlap
+export function updatePopups(delta) {
+  popups = popups.filter((popup) => {
+    popup.age += delta;
+    if (popup.age < POPUP_DURATION) return true;
+    popup.element.remove();
+    return false;
+  });
+
+  const projected = new THREE.Vector3();
+  const placements = popups.map((popup) => {
+    projected.copy(popup.position).project(camera);
+    return placeOnScreen(projected, window.innerWidth, window.innerHeight);
+  });
+  const stacked = stackPopups(placements);
+
+  popups.forEach((popup, index) => {
+    const { offscreen, angle } = placements[index];
+    const { x, y } = stacked[index];
+    popup.element.style.left = `${x}px`;
+    popup.element.style.top = `${y}px`;
+    popup.element.classList.toggle("offscreen", offscreen);
+    popup.arrow.style.transform = `rotate(${angle}rad)`;
+  });
+}
+
+export function clearPopups() {
+  popups.forEach((popup) => popup.element.remove());
+  popups = [];
+}
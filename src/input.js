@@ -0,0 +1,353 @@
+// ====================================
+// INPUT
+// ====================================
+// Keyboard, mouse, gamepad and touch all feed the same `controls`
+// magnitudes. Also handles pointer lock for mouse-look and pausing when
+// the window loses focus.
+
+import { actionForCode } from "../key-bindings.js";
+import { createGamepadInput, readGamepad } from "../gamepad.js";
+import {
+  cameraStickControls,
+  moveStickControls,
+  stickVector,
+} from "../touch-input.js";
+import { applyMouseMovement, createMouseLook } from "../mouse-look.js";
+import { nextWeapon } from "../weapons.js";
+import { isPlaying } from "../game-flow.js";
+import { MAX_X_ROTATION, handleResize, renderer } from "./scene.js";
+import {
+  createEnhancedLaserBeam,
+  laser,
+  startFiring,
+  stopFiring,
+  switchWeapon,
+} from "./laser.js";
+import { captureRebind, pendingRebind } from "./ui.js";
+import { flow, pauseGame, state, togglePause } from "./session.js";
+import { saveSettings, settings } from "./storage.js";
+
+// Controls state
+export const controls = {
+  forward: 0,
+  backward: 0,
+  rotateLeft: 0,
+  rotateRight: 0,
+  up: 0,
+  down: 0,
+  cameraLeft: 0,
+  cameraRight: 0,
+  cameraUp: 0,
+  cameraDown: 0,
+};
+
+// Input layer: key bindings map physical keys to actions, and held actions
+// drive the controls above. Controls are 0-1 magnitudes so analog gamepad
+// sticks can blend in with the keyboard.
+const ACTION_CONTROLS = {
+  forward: "forward",
+  backward: "backward",
+  rotateLeft: "rotateLeft",
+  rotateRight: "rotateRight",
+  ascend: "up",
+  descend: "down",
+  cameraLeft: "cameraLeft",
+  cameraRight: "cameraRight",
+  cameraUp: "cameraUp",
+  cameraDown: "cameraDown",
+};
+
+export const WEAPON_ACTIONS = {
+  weaponBeam: "beam",
+  weaponRailgun: "railgun",
+  weaponMissile: "missile",
+};
+
+const WHEEL_SWITCH_INTERVAL = 150; // ms between scroll-wheel weapon switches
+const heldActions = new Set();
+let gamepadInput = createGamepadInput(); // Latest poll of the first connected pad
+let touchInput = {}; // From the on-screen joysticks
+let aimPointerId = null; // Pointer (mouse or finger) currently aiming the laser
+let lastWheelSwitch = 0; // Trackpads fire bursts of wheel events
+export const mouseLook = createMouseLook(); // Yaw and pitch from pointer-lock mouse-look
+export const pointer = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+export let keyboardLayout = null; // Layout map for showing the player's own key names
+
+export function setupEventListeners() {
+  // Keyboard controls
+  document.addEventListener("keydown", handleKeyDown);
+  document.addEventListener("keyup", handleKeyUp);
+
+  // Mouse, pen and touch aiming
+  document.addEventListener("pointerdown", handlePointerDown);
+  document.addEventListener("pointerup", handlePointerUp);
+  document.addEventListener("pointercancel", handlePointerUp);
+  document.addEventListener("pointermove", handlePointerMove);
+  document.addEventListener("pointerlockchange", handlePointerLockChange);
+  document.addEventListener("wheel", handleWheel, { passive: true });
+  setupTouchControls();
+
+  // Window resize
+  window.addEventListener("resize", handleResize);
+
+  // Pause automatically when the player leaves
+  document.addEventListener("visibilitychange", handleFocusLoss);
+  window.addEventListener("blur", handleFocusLoss);
+
+  // Show key names for the player's own layout where the browser allows it
+  navigator.keyboard
+    ?.getLayoutMap?.()
+    .then((layoutMap) => (keyboardLayout = layoutMap))
+    .catch(() => {});
+}
+
+function handleKeyDown(e) {
+  if (pendingRebind) {
+    e.preventDefault();
+    captureRebind(e.code);
+    return;
+  }
+  if (isTyping(e)) return;
+
+  const action =
+    e.code === "Escape" ? "pause" : actionForCode(settings.keyBindings, e.code);
+  if (!action) return;
+  e.preventDefault();
+  if (e.repeat) return;
+
+  if (action === "pause") {
+    togglePause();
+    return;
+  }
+  if (!isPlaying(flow)) return;
+
+  if (action === "fire") startFiring(pointer.x, pointer.y);
+  else if (action === "toggleAim") toggleAimMode();
+  else if (WEAPON_ACTIONS[action]) switchWeapon(WEAPON_ACTIONS[action]);
+  else setActionHeld(action, true);
+}
+
+function handleKeyUp(e) {
+  if (isTyping(e)) return;
+
+  const action = actionForCode(settings.keyBindings, e.code);
+  if (action === "fire") stopFiring();
+  else if (action) setActionHeld(action, false);
+}
+
+// Keys typed into menu fields (initials, pilot names) aren't game input
+function isTyping(e) {
+  return (
+    e.target instanceof HTMLInputElement ||
+    e.target instanceof HTMLSelectElement
+  );
+}
+
+function setActionHeld(action, held) {
+  if (held) heldActions.add(action);
+  else heldActions.delete(action);
+  syncControls();
+}
+
+export function releaseAllInputs() {
+  heldActions.clear();
+  gamepadInput = { ...createGamepadInput(), pause: gamepadInput.pause };
+  touchInput = {};
+  document
+    .querySelectorAll(".joystick-knob")
+    .forEach((knob) => (knob.style.transform = ""));
+  syncControls();
+}
+
+function syncControls() {
+  Object.entries(ACTION_CONTROLS).forEach(([action, control]) => {
+    controls[control] = Math.max(
+      heldActions.has(action) ? 1 : 0,
+      gamepadInput[control],
+      touchInput[control] || 0
+    );
+  });
+}
+
+// Reads the first connected gamepad into the controls; fire and pause act
+// on the press, like their keyboard counterparts
+export function pollGamepad() {
+  const pads = navigator.getGamepads ? [...navigator.getGamepads()] : [];
+  const pad = pads.find((candidate) => candidate && candidate.connected);
+  const previous = gamepadInput;
+  gamepadInput = readGamepad(pad);
+
+  if (gamepadInput.pause && !previous.pause) togglePause();
+  if (!isPlaying(flow)) {
+    // Ignore sticks outside a round, but keep the poll so Start can resume
+    gamepadInput = { ...createGamepadInput(), pause: gamepadInput.pause };
+  } else if (gamepadInput.fire && !previous.fire) {
+    startFiring(pointer.x, pointer.y);
+  } else if (!gamepadInput.fire && previous.fire) {
+    stopFiring();
+  }
+  if (isPlaying(flow) && gamepadInput.nextWeapon && !previous.nextWeapon) {
+    switchWeapon(nextWeapon(state.weapon));
+  }
+  syncControls();
+}
+
+// One pointer at a time aims the laser: press to fire, drag to sweep the
+// beam, release to stop. Touches on the on-screen controls are left alone.
+function handlePointerDown(e) {
+  if (e.target.closest?.("#touch-controls, #weapon-hud")) return;
+  if (aimPointerId !== null) return;
+
+  // In mouse-look mode the first click on the game grabs the mouse
+  const mouseLookClick =
+    settings.aimMode === "mouselook" && e.pointerType === "mouse";
+  if (mouseLookClick && !isMouseLookActive()) {
+    if (e.target === renderer.domElement) lockPointer();
+    return;
+  }
+  aimPointerId = e.pointerId;
+  moveCrosshair(e.clientX, e.clientY);
+  startFiring(e.clientX, e.clientY);
+}
+
+function handlePointerUp(e) {
+  if (e.pointerId !== aimPointerId) return;
+  aimPointerId = null;
+  stopFiring();
+}
+
+function handleWheel(e) {
+  if (!isPlaying(flow) || e.deltaY === 0) return;
+  if (e.timeStamp - lastWheelSwitch < WHEEL_SWITCH_INTERVAL) return;
+  lastWheelSwitch = e.timeStamp;
+  switchWeapon(nextWeapon(state.weapon, Math.sign(e.deltaY)));
+}
+
+function handlePointerMove(e) {
+  if (isMouseLookActive()) {
+    if (!isPlaying(flow)) return;
+    applyMouseMovement(mouseLook, e.movementX, e.movementY, {
+      sensitivity: settings.mouseSensitivity,
+      invertY: settings.invertY,
+      maxPitch: MAX_X_ROTATION,
+    });
+    return;
+  }
+
+  // Fingers only aim while they're the one holding the laser
+  if (e.pointerType === "touch" && e.pointerId !== aimPointerId) return;
+  moveCrosshair(e.clientX, e.clientY);
+
+  // Update laser direction if active
+  if (state.laserActive && laser) {
+    createEnhancedLaserBeam(e.clientX, e.clientY);
+  }
+}
+
+function moveCrosshair(screenX, screenY) {
+  pointer.x = screenX;
+  pointer.y = screenY;
+
+  // Update crosshair position
+  const crosshair = document.getElementById("crosshair");
+  crosshair.style.left = `${screenX - 10}px`; // Center the crosshair
+  crosshair.style.top = `${screenY - 10}px`; // Center the crosshair
+}
+
+export function isMouseLookActive() {
+  return (
+    settings.aimMode === "mouselook" &&
+    Boolean(renderer) &&
+    document.pointerLockElement === renderer.domElement
+  );
+}
+
+// Browsers only grant the lock in response to a click or key press
+export function lockPointer() {
+  if (settings.aimMode !== "mouselook" || !isPlaying(flow)) return;
+  if (document.pointerLockElement === renderer.domElement) return;
+  const request = renderer.domElement.requestPointerLock();
+  request?.catch?.(() => {}); // Refused locks just leave free aim in place
+}
+
+export function unlockPointer() {
+  if (document.pointerLockElement) document.exitPointerLock();
+}
+
+function handlePointerLockChange() {
+  if (isMouseLookActive()) {
+    centerCrosshair();
+    return;
+  }
+  // Escape releases the lock before the page sees the key, so treat a lost
+  // lock mid-round as a pause request
+  if (settings.aimMode === "mouselook") pauseGame();
+}
+
+function toggleAimMode() {
+  settings.aimMode = settings.aimMode === "mouselook" ? "free" : "mouselook";
+  saveSettings();
+  if (settings.aimMode === "mouselook") lockPointer();
+  else unlockPointer();
+}
+
+// The laser fires along the view ray, through the middle of the screen
+export function centerCrosshair() {
+  moveCrosshair(window.innerWidth / 2, window.innerHeight / 2);
+  if (state.laserActive && laser) createEnhancedLaserBeam(pointer.x, pointer.y);
+}
+
+// Virtual joysticks, shown on coarse-pointer (touch) devices by the CSS
+function setupTouchControls() {
+  const sticks = [
+    { id: "move-stick", toControls: moveStickControls },
+    { id: "camera-stick", toControls: cameraStickControls },
+  ];
+
+  sticks.forEach(({ id, toControls }) => {
+    const base = document.getElementById(id);
+    const knob = base.querySelector(".joystick-knob");
+    let activePointer = null;
+
+    const update = (e) => {
+      const rect = base.getBoundingClientRect();
+      const radius = rect.width / 2;
+      const dx = e.clientX - (rect.left + radius);
+      const dy = e.clientY - (rect.top + radius);
+      const distance = Math.hypot(dx, dy);
+      const reach = distance > radius ? radius / distance : 1;
+      knob.style.transform = `translate(${dx * reach}px, ${dy * reach}px)`;
+
+      Object.assign(touchInput, toControls(stickVector(dx, dy, radius)));
+      syncControls();
+    };
+    const release = (e) => {
+      if (e.pointerId !== activePointer) return;
+      activePointer = null;
+      knob.style.transform = "";
+      Object.assign(touchInput, toControls({ x: 0, y: 0 }));
+      syncControls();
+    };
+
+    base.addEventListener("pointerdown", (e) => {
+      if (!isPlaying(flow)) return;
+      activePointer = e.pointerId;
+      base.setPointerCapture(e.pointerId);
+      update(e);
+    });
+    base.addEventListener("pointermove", (e) => {
+      if (e.pointerId === activePointer) update(e);
+    });
+    base.addEventListener("pointerup", release);
+    base.addEventListener("pointercancel", release);
+  });
+
+  document
+    .getElementById("touch-pause-button")
+    .addEventListener("click", togglePause);
+}
+
+function handleFocusLoss() {
+  if (!settings.pauseOnFocusLoss) return;
+  if (document.hidden || !document.hasFocus()) pauseGame();
+}
@@ -0,0 +1,415 @@
+// ====================================
+// LASER
+// ====================================
+// Firing the selected weapon: the beam, the railgun's charged shot and
+// guided missiles. The rules for heat and cooldowns live in
+// game-core.js and weapons.js.
+
+import * as THREE from "three";
+import { stepLaser } from "../game-core.js";
+import { breakStreak, endBurst, recordLaserTime } from "../stats.js";
+import {
+  playMissileLaunch,
+  playOverheatSound,
+  playRailgunSound,
+} from "../audio.js";
+import {
+  WEAPONS,
+  findMissileTarget,
+  fireBeam,
+  launchMissile,
+  releaseBeam,
+  releaseCharge,
+  selectWeapon,
+  startCharge,
+  stepMissile,
+} from "../weapons.js";
+import { offsetFromRay } from "../planet-motion.js";
+import { POWER_UPS, getCoolingScale, isActive } from "../powerups.js";
+import { isPlaying } from "../game-flow.js";
+import { aimDirection, scene } from "./scene.js";
+import { avatar, avatarHead } from "./avatar.js";
+import { hitPlanet, planets } from "./planets.js";
+import { pointer } from "./input.js";
+import { addEffect, createSparkle } from "./effects.js";
+import { flow, run, state } from "./session.js";
+
+export let laser = null;
+let missiles = []; // { mesh, position, velocity, age } in flight
+
+// The beam fires while held, the railgun charges while held and fires on
+// release, and missiles launch on the press
+export function startFiring(screenX, screenY) {
+  if (!isPlaying(flow)) return;
+  if (state.weapon === "railgun") {
+    if (!startCharge(state)) denyFiring();
+  } else if (state.weapon === "missile") {
+    const launch = launchMissile(state);
+    if (!launch) denyFiring();
+    else {
+      fireMissile(aimDirection(screenX, screenY));
+      if (launch.overheated) playOverheatSound();
+    }
+  } else if (fireBeam(state)) {
+    createEnhancedLaserBeam(screenX, screenY);
+  } else if (!state.laserActive) {
+    denyFiring();
+  }
+}
+
+// Beam firing stops before the switch; a railgun charge is dropped
+export function switchWeapon(weapon) {
+  if (!isPlaying(flow)) return;
+  if (state.laserActive) stopFiring();
+  selectWeapon(state, weapon);
+}
+
+// Shakes the crosshair when the trigger is pulled on a weapon that's
+// overheated or still cooling down
+function denyFiring() {
+  const crosshair = document.getElementById("crosshair");
+  crosshair.classList.remove("denied");
+  void crosshair.offsetWidth; // Restart the animation
+  crosshair.classList.add("denied");
+  playOverheatSound();
+}
+
+// Ignored outside a round, so a railgun released on the pause menu
+// doesn't fire
+export function stopFiring() {
+  if (!isPlaying(flow)) return;
+  if (state.charging) {
+    const shot = releaseCharge(state);
+    if (shot) fireRailgun(shot);
+    return;
+  }
+  if (releaseBeam(state)) {
+    endBurst(run);
+    clearLaser();
+  }
+}
+
+// Takes down the beam and its glow, if one is up
+export function clearLaser() {
+  if (!laser) return;
+  scene.remove(laser);
+  if (laser.userData.glow) scene.remove(laser.userData.glow);
+  laser = null;
+}
+
+export function createEnhancedLaserBeam(mouseX, mouseY) {
+  const direction = aimDirection(mouseX, mouseY);
+  const laserStart = avatarHead.position.clone();
+  const laserEnd = laserStart.clone().add(direction.multiplyScalar(1000));
+
+  if (laser) scene.remove(laser);
+
+  const laserGeometry = new THREE.CylinderGeometry(
+    0.45,
+    0.45,
+    laserStart.distanceTo(laserEnd),
+    16
+  );
+  laserGeometry.rotateX(Math.PI / 2);
+
+  const laserMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uColor1: { value: new THREE.Color(0x66ccff) }, // Light blue
+      uColor2: { value: new THREE.Color(0xff99ff) }, // Pinkish-purple
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      uniform vec3 uColor1;
+      uniform vec3 uColor2;
+      varying vec2 vUv;
+
+      float noise(vec3 p) {
+        return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+      }
+
+      float fbm(vec3 p) {
+        float v = 0.0;
+        float a = 0.5;
+        vec3 shift = vec3(100.0);
+        for (int i = 0; i < 4; ++i) {
+          v += a * noise(p);
+          p = p * 2.0 + shift;
+          a *= 0.5;
+        }
+        return v;
+      }
+
+      void main() {
+        vec2 uv = vUv;
+        uv.y += uTime * 2.0; // Flow along the beam
+        uv.x += sin(uv.y * 3.0 + uTime) * 0.1; // Swirl
+
+        // Fluid-like turbulence
+        vec3 p = vec3(uv * 5.0, uTime * 0.5);
+        float n = fbm(p);
+        float glow = 1.0 - smoothstep(0.0, 0.2, abs(uv.x - 0.5));
+
+        // Color with fluid motion
+        vec3 color = mix(uColor1, uColor2, n);
+        color += vec3(1.0) * n * 0.3; // Glow boost
+
+        gl_FragColor = vec4(color, glow * (0.8 + n * 0.2));
+      }
+    `,
+    transparent: false,
+    blending: THREE.AdditiveBlending,
+  });
+
+  laser = new THREE.Mesh(laserGeometry, laserMaterial);
+  const midpoint = laserStart.clone().add(laserEnd).multiplyScalar(0.5);
+  laser.position.copy(midpoint);
+  laser.lookAt(laserEnd);
+  laser.userData = {
+    direction: direction.normalize(),
+    origin: laserStart.clone(),
+  };
+  scene.add(laser);
+
+  // Add glow layer
+  const glowGeometry = new THREE.CylinderGeometry(
+    0.8,
+    0.8,
+    laserStart.distanceTo(laserEnd),
+    16
+  );
+  glowGeometry.rotateX(Math.PI / 2);
+  const glowMaterial = new THREE.MeshBasicMaterial({
+    color: 0x66ccff,
+    transparent: true,
+    opacity: 0.3,
+    blending: THREE.AdditiveBlending,
+  });
+  const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+  glow.position.copy(midpoint);
+  glow.lookAt(laserEnd);
+  scene.add(glow);
+  laser.userData.glow = glow;
+
+  const beam = laser;
+  addEffect((delta) => {
+    // Stop once this beam has been replaced or switched off
+    if (laser !== beam) {
+      scene.remove(glow);
+      return false;
+    }
+    beam.material.uniforms.uTime.value += delta;
+    glow.material.opacity = 0.3 + Math.sin(state.gameTime * 5) * 0.1;
+    return true;
+  });
+
+  return laser;
+}
+
+export function updateLaser(dt) {
+  if (!avatar || !avatarHead) return;
+
+  if (state.laserActive && laser) {
+    const rayOrigin = avatarHead.position.clone();
+    const rayDirection = laser.userData.direction.clone();
+    const laserEnd = rayOrigin.clone().add(rayDirection.multiplyScalar(1000));
+    const midpoint = rayOrigin.clone().add(laserEnd).multiplyScalar(0.5);
+    laser.position.copy(midpoint);
+    laser.lookAt(laserEnd);
+    laser.userData.origin = rayOrigin;
+
+    // A wide beam fattens up and also catches planets near its line
+    const wide = isActive(state.powerUps, "wideBeam");
+    const beamScale = wide ? POWER_UPS.wideBeam.beamScale : 1;
+    laser.scale.set(beamScale, beamScale, 1);
+
+    if (laser.userData.glow) {
+      laser.userData.glow.position.copy(midpoint);
+      laser.userData.glow.lookAt(laserEnd);
+      laser.userData.glow.scale.set(beamScale, beamScale, 1);
+    }
+
+    const laserRaycaster = new THREE.Raycaster(
+      rayOrigin,
+      laser.userData.direction.clone()
+    );
+    const intersects = laserRaycaster.intersectObjects(planets);
+
+    // The hit may be a ring, glow or moon; the planet itself is always first
+    const planetGroup =
+      intersects.length > 0
+        ? intersects[0].object.parent
+        : wide
+        ? planetNearBeam(rayOrigin, laser.userData.direction)
+        : null;
+    if (planetGroup) {
+      hitPlanet(planetGroup, WEAPONS.beam.damagePerSecond * dt);
+    }
+  }
+
+  if (state.laserActive) recordLaserTime(run, dt);
+
+  // Overheated: switch the beam off until it cools
+  if (stepLaser(state, dt, getCoolingScale(state.powerUps))) {
+    endBurst(run);
+    playOverheatSound();
+    clearLaser();
+  }
+}
+
+// The closest planet whose surface passes within the wide beam's reach
+function planetNearBeam(origin, direction) {
+  const ray = { origin, direction };
+  let nearest = null;
+  let nearestDistance = Infinity;
+  planets.forEach((planetGroup) => {
+    const { size } = planetGroup.children[0].userData;
+    const { distance } = offsetFromRay(planetGroup.position, ray);
+    if (distance > size + POWER_UPS.wideBeam.beamRadius) return;
+    const range = planetGroup.position.distanceTo(origin);
+    if (range < nearestDistance) {
+      nearest = planetGroup;
+      nearestDistance = range;
+    }
+  });
+  return nearest;
+}
+
+// The shot passes through up to `pierce` planets along the aim ray and
+// counts as one burst for the streak
+function fireRailgun(shot) {
+  if (!avatarHead) return;
+  const origin = avatarHead.position.clone();
+  const direction = aimDirection(pointer.x, pointer.y);
+  const intersects = new THREE.Raycaster(origin, direction).intersectObjects(
+    planets
+  );
+
+  const struck = [];
+  intersects.forEach(({ object }) => {
+    const planetGroup = object.parent;
+    if (struck.length < shot.pierce && !struck.includes(planetGroup)) {
+      struck.push(planetGroup);
+    }
+  });
+  struck.forEach((planetGroup) => hitPlanet(planetGroup, shot.damage));
+  endBurst(run);
+
+  createRailgunTrail(origin, direction, shot.charge);
+  playRailgunSound(shot.charge);
+  if (shot.overheated) playOverheatSound();
+}
+
+// A straight flash along the shot that fades out
+function createRailgunTrail(origin, direction, charge) {
+  const length = 4000;
+  const end = origin.clone().add(direction.clone().multiplyScalar(length));
+  const midpoint = origin.clone().add(end).multiplyScalar(0.5);
+
+  const layers = [
+    { radius: 0.3 + charge * 0.4, color: 0xffffff, opacity: 1 },
+    { radius: 1 + charge * 1.5, color: 0xff99ff, opacity: 0.4 },
+  ].map(({ radius, color, opacity }) => {
+    const geometry = new THREE.CylinderGeometry(radius, radius, length, 8);
+    geometry.rotateX(Math.PI / 2);
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      blending: THREE.AdditiveBlending,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.copy(midpoint);
+    mesh.lookAt(end);
+    mesh.userData.baseOpacity = opacity;
+    scene.add(mesh);
+    return mesh;
+  });
+
+  let time = 0;
+  const duration = 0.4;
+  addEffect((delta) => {
+    time += delta;
+    const fade = Math.max(0, 1 - time / duration);
+    layers.forEach((mesh) => {
+      mesh.material.opacity = mesh.userData.baseOpacity * fade;
+    });
+    if (time < duration) return true;
+    layers.forEach((mesh) => scene.remove(mesh));
+    return false;
+  });
+}
+
+function fireMissile(direction) {
+  if (!avatarHead) return;
+  const geometry = new THREE.ConeGeometry(1, 4, 8);
+  geometry.rotateX(Math.PI / 2); // Nose along +Z, which lookAt aims
+  const mesh = new THREE.Mesh(
+    geometry,
+    new THREE.MeshBasicMaterial({ color: 0xffaa33 })
+  );
+  const position = avatarHead.position.clone();
+  mesh.position.copy(position);
+  scene.add(mesh);
+
+  missiles.push({
+    mesh,
+    position,
+    velocity: direction.multiplyScalar(WEAPONS.missile.speed),
+    age: 0,
+  });
+  playMissileLaunch();
+}
+
+// Missiles home in on the nearest planet ahead of them and burst on contact
+export function updateMissiles(dt) {
+  // Missiles won't home in on bombs, though they can still fly into one
+  const centers = planets
+    .filter((planetGroup) => !planetGroup.children[0].userData.bomb)
+    .map((planetGroup) => planetGroup.position);
+  missiles = missiles.filter((missile) => {
+    missile.age += dt;
+    const target = findMissileTarget(
+      missile.position,
+      missile.velocity,
+      centers
+    );
+    stepMissile(missile, target, WEAPONS.missile);
+    missile.mesh.position.copy(missile.position);
+    missile.mesh.lookAt(missile.position.clone().add(missile.velocity));
+    if (Math.round(missile.age * 60) % 3 === 0) {
+      createSparkle(missile.position, 0xffaa33);
+    }
+
+    const hit = planets.find(
+      (planetGroup) =>
+        planetGroup.position.distanceTo(missile.position) <
+        planetGroup.children[0].geometry.parameters.radius +
+          WEAPONS.missile.speed / 2
+    );
+    if (hit) {
+      hitPlanet(hit, WEAPONS.missile.damage);
+      scene.remove(missile.mesh);
+      return false;
+    }
+    if (missile.age >= WEAPONS.missile.lifetime) {
+      breakStreak(run); // Fizzled out without hitting anything
+      createSparkle(missile.position, 0xffaa33);
+      scene.remove(missile.mesh);
+      return false;
+    }
+    return true;
+  });
+}
+
+export function clearMissiles() {
+  missiles.forEach((missile) => scene.remove(missile.mesh));
+  missiles = [];
+}
@@ -0,0 +1,156 @@
+// ====================================
+// GAME LOOP
+// ====================================
+// Real frame time feeds a fixed-timestep accumulator: gameplay always
+// advances in 60 Hz steps, visuals follow the frame delta.
+
+import { getRemainingTime } from "../game-core.js";
+import { ambientIntensity, setLaserHum, updateAmbient } from "../audio.js";
+import { stepWeapons } from "../weapons.js";
+import { stepCombo } from "../combo.js";
+import { getCoolingScale, stepPowerUps } from "../powerups.js";
+import { isPlaying, stepFlow } from "../game-flow.js";
+import {
+  camera,
+  renderer,
+  scene,
+  updateCamera,
+  updateCosmicParticles,
+  updatePlatforms,
+} from "./scene.js";
+import {
+  applyAvatarPose,
+  avatarPose,
+  interpolateAvatarPose,
+  saveAvatarPose,
+  updateAvatarAnimation,
+  updateAvatarMovement,
+} from "./avatar.js";
+import { movePlanets, respawnPlanets, updatePlanets } from "./planets.js";
+import { updateLaser, updateMissiles } from "./laser.js";
+import { pollGamepad } from "./input.js";
+import { showResults } from "./ui.js";
+import {
+  updateComboHud,
+  updateHealthBars,
+  updateLaserHud,
+  updatePopups,
+  updatePowerUpHud,
+  updateVitalsHud,
+  updateWaveHud,
+  updateWeaponHud,
+} from "./hud.js";
+import { updateEffects } from "./effects.js";
+import { updateHazards, updateWells } from "./hazard-field.js";
+import { updatePickups } from "./pickups.js";
+import { checkPortals, updatePortals } from "./portals.js";
+import { flow, run, state, updateGameTime } from "./session.js";
+
+export const FIXED_TIMESTEP = 1 / 60; // Gameplay always steps at 60 Hz
+const MAX_FRAME_DELTA = 0.25; // Clamp long frames (tab switches, hitches)
+
+// Simulation clock: real frame time feeds a fixed-timestep accumulator
+const simClock = {
+  lastTime: null,
+  accumulator: 0,
+  alpha: 0, // How far we are between the last two simulation steps
+};
+
+export function animate(now) {
+  requestAnimationFrame(animate);
+  pollGamepad();
+  const delta = tickClock(now);
+  if (stepFlow(flow, delta) === "results") showResults();
+
+  // Everything stays frozen while paused or between waves; just keep the
+  // last frame on screen
+  if (flow.phase === "paused" || flow.phase === "intermission") {
+    simClock.accumulator = 0;
+    renderer.render(scene, camera);
+    return;
+  }
+
+  // Gameplay advances in fixed steps, however long the frame was. Outside
+  // a round the galaxy keeps drifting behind the menus.
+  if (isPlaying(flow)) {
+    applyAvatarPose(avatarPose.current);
+    while (simClock.accumulator >= FIXED_TIMESTEP && isPlaying(flow)) {
+      simClock.accumulator -= FIXED_TIMESTEP;
+      stepSimulation(FIXED_TIMESTEP);
+    }
+    simClock.alpha = simClock.accumulator / FIXED_TIMESTEP;
+    interpolateAvatarPose(simClock.alpha);
+  } else {
+    simClock.accumulator = 0;
+  }
+
+  // Visuals follow real time
+  updateAvatarAnimation(delta);
+  updateCamera(delta);
+  updatePlanets(delta);
+  updatePlatforms(delta);
+  updateCosmicParticles(delta);
+  updateWells(delta);
+  updatePortals();
+  updateEffects(delta);
+  if (isPlaying(flow)) {
+    updateLaserHud();
+    updateWeaponHud();
+    updateComboHud();
+    updatePowerUpHud();
+    updateWaveHud();
+    updateVitalsHud(delta);
+    updateHealthBars();
+    updateAudio();
+  }
+  updatePopups(delta);
+  renderer.render(scene, camera);
+}
+
+function stepSimulation(dt) {
+  saveAvatarPose(avatarPose.previous);
+  updateGameTime(dt);
+  updateAvatarMovement(dt);
+  checkPortals();
+  //   updateAvatarTrail();
+  movePlanets(dt);
+  updateLaser(dt);
+  stepWeapons(state, dt, getCoolingScale(state.powerUps));
+  stepPowerUps(state.powerUps, dt);
+  stepCombo(state.combo, dt);
+  updateMissiles(dt);
+  updateHazards(dt);
+  updatePickups(dt);
+  respawnPlanets();
+  saveAvatarPose(avatarPose.current);
+}
+
+function tickClock(now = performance.now()) {
+  const delta =
+    simClock.lastTime === null
+      ? 0
+      : Math.min((now - simClock.lastTime) / 1000, MAX_FRAME_DELTA);
+  simClock.lastTime = now;
+  simClock.accumulator += delta;
+  return delta;
+}
+
+export function resetClock() {
+  simClock.lastTime = null;
+  simClock.accumulator = 0;
+  simClock.alpha = 0;
+  saveAvatarPose(avatarPose.previous);
+  saveAvatarPose(avatarPose.current);
+}
+
+// The hum follows the laser and the ambient track follows the action
+function updateAudio() {
+  setLaserHum(state.laserActive);
+  updateAmbient(
+    ambientIntensity({
+      timeFraction: getRemainingTime(state) / state.duration,
+      laserActive: state.laserActive,
+      streak: run.streak,
+    })
+  );
+}
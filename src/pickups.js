@@ -0,0 +1,107 @@
+// ====================================
+// PICKUPS
+// ====================================
+// Power-up pickups dropped by destroyed planets. The effects
+// themselves live in powerups.js.
+
+import * as THREE from "three";
+import { playPowerUpSound } from "../audio.js";
+import {
+  PICKUP,
+  POWER_UPS,
+  collectPowerUp,
+  isActive,
+  landingSpot,
+  moveToward,
+} from "../powerups.js";
+import { scene } from "./scene.js";
+import { avatar } from "./avatar.js";
+import { addPopup } from "./hud.js";
+import { createSparkle } from "./effects.js";
+import { rng, state } from "./session.js";
+
+let pickups = []; // { mesh, type, position, landing, age } waiting to be collected
+
+// A spinning gem in the power-up's color that flies in from the
+// explosion to a spot near the avatar and waits there to be flown into
+export function dropPickup(type, position) {
+  const color = POWER_UPS[type].color;
+  const mesh = new THREE.Group();
+  mesh.add(
+    new THREE.Mesh(
+      new THREE.OctahedronGeometry(6, 0),
+      new THREE.MeshBasicMaterial({ color: color, transparent: true })
+    ),
+    new THREE.Mesh(
+      new THREE.OctahedronGeometry(10, 0),
+      new THREE.MeshBasicMaterial({
+        color: color,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.5,
+      })
+    )
+  );
+  mesh.position.copy(position);
+  scene.add(mesh);
+  pickups.push({
+    mesh,
+    type,
+    position: position.clone(),
+    landing: landingSpot(avatar.position, rng.planets),
+    age: 0,
+  });
+}
+
+// Flies pickups in (or straight at the avatar under a magnet), collects
+// any the avatar touches and burns out the ones left too long
+export function updatePickups(dt) {
+  if (!avatar) return;
+  const magnet = isActive(state.powerUps, "magnet");
+  pickups = pickups.filter((pickup) => {
+    pickup.age += dt;
+    if (magnet) {
+      moveToward(pickup.position, avatar.position, PICKUP.magnetSpeed);
+    } else {
+      moveToward(pickup.position, pickup.landing, PICKUP.flySpeed);
+    }
+    pickup.mesh.position.copy(pickup.position);
+    pickup.mesh.rotation.y += 0.05;
+    pickup.mesh.rotation.x += 0.02;
+    // Blink through the last few seconds
+    const left = PICKUP.lifetime - pickup.age;
+    pickup.mesh.visible = left > 3 || Math.floor(left * 6) % 2 === 0;
+
+    if (pickup.position.distanceTo(avatar.position) < PICKUP.radius) {
+      collectPickup(pickup);
+      return false;
+    }
+    if (left <= 0) {
+      createSparkle(pickup.position, POWER_UPS[pickup.type].color);
+      scene.remove(pickup.mesh);
+      return false;
+    }
+    return true;
+  });
+}
+
+function collectPickup(pickup) {
+  const config = POWER_UPS[pickup.type];
+  collectPowerUp(state, pickup.type);
+  scene.remove(pickup.mesh);
+  createSparkle(pickup.position, config.color);
+  playPowerUpSound();
+
+  const popup = document.createElement("div");
+  popup.className = "points-popup power-up-popup";
+  popup.textContent = config.extraTime
+    ? `+${config.extraTime}s`
+    : config.label.toUpperCase();
+  popup.style.color = `#${config.color.toString(16).padStart(6, "0")}`;
+  addPopup(popup, pickup.position.clone());
+}
+
+export function clearPickups() {
+  pickups.forEach((pickup) => scene.remove(pickup.mesh));
+  pickups = [];
+}
@@ -0,0 +1,962 @@
+// ====================================
+// PLANETS
+// ====================================
+// Building every kind of planet, moving them each step, and what
+// happens when they are hit, destroyed or blown up.
+
+import * as THREE from "three";
+import {
+  damagePlanet,
+  generatePlanetSpec,
+  getHealthFraction,
+  initialSpawnList,
+  isRegularSpawn,
+  planRefill,
+  scorePlanetHit,
+} from "../game-core.js";
+import { breakStreak, recordHit } from "../stats.js";
+import { registerKill, resetCombo } from "../combo.js";
+import {
+  createMotion,
+  generateBelts,
+  generateHosts,
+  orbitPosition,
+  resetTeleport,
+  stepDrift,
+  stepFlee,
+  stepOrbit,
+} from "../planet-motion.js";
+import { BOMB, applyBombPenalty, pickBombPenalty } from "../hazards.js";
+import { getScoreMultiplier, rollDrop } from "../powerups.js";
+import { getWaveProgress, recordWaveKill } from "../levels.js";
+import { scene } from "./scene.js";
+import { avatarHead } from "./avatar.js";
+import { laser } from "./laser.js";
+import {
+  removeHealthBar,
+  showDamageNumber,
+  showPenaltyPopup,
+  showPointsPopup,
+} from "./hud.js";
+import {
+  addEffect,
+  addHitFeedback,
+  createExplosion,
+  createTeleportFlash,
+} from "./effects.js";
+import { dropPickup } from "./pickups.js";
+import { completeWave, rng, run, state } from "./session.js";
+
+const DISSOLVE_DURATION = 0.8; // Seconds for a destroyed planet to break up
+const DAMAGE_NUMBER_INTERVAL = 0.25; // Seconds between beam damage numbers
+export let planets = [];
+let hostBodies = []; // Scenery giants the exotic planets orbit
+
+// Shader for dissolve effect
+const dissolveVertexShader = `
+  varying vec2 vUv;
+  varying vec3 vPosition;
+  uniform float uTime;
+  
+  void main() {
+    vUv = uv;
+    vPosition = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    gl_PointSize = 8.0; // Size of particles
+  }
+`;
+
+const dissolveFragmentShader = `
+  varying vec2 vUv;
+  varying vec3 vPosition;
+  uniform float uTime;
+  uniform vec3 uColor;
+  uniform float uDissolve;
+
+  void main() {
+    float noise = fract(sin(dot(vUv, vec2(12.9898, 78.233))) * 43758.5453);
+    float dissolveFactor = smoothstep(uDissolve - 0.2, uDissolve + 0.2, noise);
+    if (dissolveFactor < 0.1) discard;
+    float glow = 1.0 - dissolveFactor;
+    vec3 color = mix(uColor, vec3(1.0), glow * 0.5);
+    gl_FragColor = vec4(color, dissolveFactor * (1.0 - uDissolve));
+  }
+`;
+
+export function createPlanets() {
+  // Clear existing planets
+  planets.forEach((planetGroup) => {
+    scene.remove(planetGroup);
+    removeHealthBar(planetGroup.children[0]);
+  });
+  planets = [];
+  hostBodies.forEach((body) => scene.remove(body));
+  hostBodies = [];
+
+  generateHosts(rng.planets).forEach(createHostBody);
+  initialSpawnList(state.wave?.level.quotas).forEach(createSinglePlanet);
+  createAsteroidBelts();
+  for (let i = 0; i < bombCount(); i++) createBombPlanet();
+}
+
+// Wave mode sets its own bomb count and meteor pace
+function bombCount() {
+  return state.wave ? state.wave.level.bombs : BOMB.count;
+}
+
+function createSinglePlanet(category) {
+  const { color, x, y, z, size, points, health } = generatePlanetSpec(
+    category,
+    rng.planets
+  );
+  const planetGroup = addFancyPlanet(
+    category,
+    color,
+    x,
+    y,
+    z,
+    size,
+    points,
+    health
+  );
+  planetGroup.children[0].userData.motion = createMotion(
+    category,
+    rng.planets,
+    hostBodies.map((body) => body.userData)
+  );
+}
+
+// Belt rocks are small commons sharing an orbit around the belt's center
+function createAsteroidBelts() {
+  generateBelts(rng.planets).forEach(({ members }) => {
+    members.forEach(({ size, color, points, health, motion }) => {
+      const { x, y, z } = orbitPosition(motion);
+      const planetGroup = addFancyPlanet(
+        "common",
+        color,
+        x,
+        y,
+        z,
+        size,
+        points,
+        health
+      );
+      planetGroup.children[0].userData.motion = motion;
+      planetGroup.children[0].userData.belt = true;
+    });
+  });
+}
+
+// A planet that costs points or time when shot, wrapped in a warning cage
+// so it can be told apart from the real targets
+function createBombPlanet() {
+  const { x, y, z } = generatePlanetSpec("common", rng.planets);
+  const penalty = pickBombPenalty(rng.planets);
+  const color = BOMB.colors[penalty];
+  const planetGroup = addFancyPlanet(
+    "bomb",
+    color,
+    x,
+    y,
+    z,
+    BOMB.size,
+    0,
+    BOMB.health
+  );
+  planetGroup.children[0].userData.bomb = penalty;
+
+  const cage = new THREE.Mesh(
+    new THREE.IcosahedronGeometry(BOMB.size * 1.25, 1),
+    new THREE.MeshBasicMaterial({
+      color: color,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.6,
+    })
+  );
+  planetGroup.add(cage);
+}
+
+// A large body for exotics to orbit. It isn't in `planets`, so weapons
+// pass straight through it.
+function createHostBody(host) {
+  const body = new THREE.Mesh(
+    new THREE.SphereGeometry(host.size, 48, 48),
+    new THREE.MeshStandardMaterial({
+      color: host.color,
+      emissive: host.color,
+      emissiveIntensity: 0.4,
+      roughness: 0.9,
+    })
+  );
+  body.position.set(host.x, host.y, host.z);
+  body.userData = host;
+  scene.add(body);
+  hostBodies.push(body);
+}
+
+function addFancyPlanet(category, color, x, y, z, size, points, health) {
+  const planetGroup = new THREE.Group();
+
+  // Base geometry for the planet
+  const planetGeometry = new THREE.SphereGeometry(size, 32, 32);
+
+  // Define a palette of colors for the rippling effect
+  const baseColor = new THREE.Color(color);
+
+  // Planet shader (unchanged from previous update)
+  const planetMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uBaseColor: { value: baseColor },
+      uSize: { value: 2.0 + rng.planets() * 2.0 },
+      uSpeed: { value: 0.2 + rng.planets() * 0.3 },
+      uIntensity: { value: 1.0 },
+      uMetallic: {
+        value: category === "rare" ? 0.9 : category === "exotic" ? 0.7 : 0.5,
+      },
+      uDamage: { value: 0 }, // 0 intact, 1 about to break
+      uHeat: { value: 0 }, // Glow from recent hits, fades when left alone
+      uCrackScale: { value: 4.0 / size }, // About the same cracks at any size
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      varying vec3 vPosition;
+      varying vec3 vNormal;
+      void main() {
+        vUv = uv;
+        vPosition = position;
+        vNormal = normal;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      uniform vec3 uBaseColor;
+      uniform float uSize;
+      uniform float uSpeed;
+      uniform float uIntensity;
+      uniform float uMetallic;
+      uniform float uDamage;
+      uniform float uHeat;
+      uniform float uCrackScale;
+      varying vec2 vUv;
+      varying vec3 vPosition;
+      varying vec3 vNormal;
+
+      float mod289(float x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+      vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+      vec4 perm(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+
+      float noise(vec3 p) {
+        vec3 a = floor(p);
+        vec3 d = p - a;
+        d = d * d * (3.0 - 2.0 * d);
+
+        vec4 b = a.xxyy + vec4(0.0, 1.0, 0.0, 1.0);
+        vec4 k1 = perm(b.xyxy);
+        vec4 k2 = perm(k1.xyxy + b.zzww);
+
+        vec4 c = k2 + a.zzzz;
+        vec4 k3 = perm(c);
+        vec4 k4 = perm(c + 1.0);
+
+        vec4 o1 = fract(k3 * (1.0 / 41.0));
+        vec4 o2 = fract(k4 * (1.0 / 41.0));
+
+        vec4 o3 = o2 * d.z + o1 * (1.0 - d.z);
+        vec2 o4 = o3.yw * d.x + o3.xz * (1.0 - d.x);
+
+        return o4.y * d.y + o4.x * (1.0 - d.y);
+      }
+
+      float noise2d(vec2 p) {
+        return noise(vec3(p, uTime * 0.1));
+      }
+
+      mat2 rotate2d(float _angle) {
+        return mat2(cos(_angle), -sin(_angle), sin(_angle), cos(_angle));
+      }
+
+      vec3 palette(float t) {
+        vec3 a = vec3(0.5, 0.5, 0.5);
+        vec3 b = uBaseColor;
+        vec3 c = vec3(1.0, 1.0, 1.0);
+        vec3 d = vec3(0.263, 0.416, 0.557);
+
+        return a + b * cos(6.28318 * (c * t + d));
+      }
+
+      vec3 effect() {
+        vec2 uv = vUv;
+        vec2 p = vec2(uv * uSize);
+        p = rotate2d(noise2d(p)) * p;
+        float n = noise(vec3(p, uTime * uSpeed)) * uIntensity;
+
+        vec3 color = palette(n);
+        vec3 normal = normalize(vNormal);
+        vec3 lightDir = normalize(vec3(1.0, 1.0, 1.0));
+        float spec = pow(max(dot(normal, lightDir), 0.0), 32.0);
+        color += spec * uMetallic;
+
+        float rim = 1.0 - abs(dot(vNormal, vec3(0, 0, 1)));
+        color += rim * 0.3;
+
+        return color;
+      }
+
+      // Glowing fissures that widen as the planet takes damage
+      vec3 damage(vec3 color) {
+        float n = noise(vPosition * uCrackScale);
+        float width = max(0.06 * uDamage, 0.0001);
+        float crack = 1.0 - smoothstep(0.0, width, abs(n - 0.5));
+        vec3 magma = vec3(1.0, 0.35, 0.05);
+        color = mix(color, magma * 1.5, crack * step(0.001, uDamage));
+        color += magma * uHeat * 0.6;
+        return color;
+      }
+
+      void main() {
+        vec3 color = damage(effect());
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+  });
+
+  const planet = new THREE.Mesh(planetGeometry, planetMaterial);
+  planet.userData = {
+    points: points,
+    category: category,
+    color: color,
+    size: size,
+    health: health,
+    maxHealth: health,
+    rotationSpeed: rng.planets() * 0.01 + 0.001,
+    rotationAxis: new THREE.Vector3(
+      rng.planets() - 0.5,
+      rng.planets() - 0.5,
+      rng.planets() - 0.5
+    ).normalize(),
+    material: planetMaterial,
+  };
+  planetGroup.add(planet);
+
+  // Add category-specific "swag" with rippling shaders
+  if (category === "common") {
+    const particleCount = 5;
+    const particleGeometry = new THREE.BufferGeometry();
+    const particlePositions = new Float32Array(particleCount * 3);
+    for (let i = 0; i < particleCount; i++) {
+      const theta = (i / particleCount) * Math.PI * 2;
+      particlePositions[i * 3] = Math.cos(theta) * (size * 1.5);
+      particlePositions[i * 3 + 1] = 0;
+      particlePositions[i * 3 + 2] = Math.sin(theta) * (size * 1.5);
+    }
+    particleGeometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(particlePositions, 3)
+    );
+
+    const particleMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uBaseColor: { value: baseColor },
+        uSize: { value: 3.0 },
+        uSpeed: { value: 0.5 },
+        uIntensity: { value: 1.0 },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = vec2(gl_PointCoord.x, gl_PointCoord.y);
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          gl_PointSize = 5.0 * (300.0 / length((modelViewMatrix * vec4(position, 1.0)).xyz));
+        }
+      `,
+      fragmentShader: `
+        uniform float uTime;
+        uniform vec3 uBaseColor;
+        uniform float uSize;
+        uniform float uSpeed;
+        uniform float uIntensity;
+        varying vec2 vUv;
+
+        float mod289(float x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+        vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+        vec4 perm(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+
+        float noise(vec3 p) {
+          vec3 a = floor(p);
+          vec3 d = p - a;
+          d = d * d * (3.0 - 2.0 * d);
+
+          vec4 b = a.xxyy + vec4(0.0, 1.0, 0.0, 1.0);
+          vec4 k1 = perm(b.xyxy);
+          vec4 k2 = perm(k1.xyxy + b.zzww);
+
+          vec4 c = k2 + a.zzzz;
+          vec4 k3 = perm(c);
+          vec4 k4 = perm(c + 1.0);
+
+          vec4 o1 = fract(k3 * (1.0 / 41.0));
+          vec4 o2 = fract(k4 * (1.0 / 41.0));
+
+          vec4 o3 = o2 * d.z + o1 * (1.0 - d.z);
+          vec2 o4 = o3.yw * d.x + o3.xz * (1.0 - d.x);
+
+          return o4.y * d.y + o4.x * (1.0 - d.y);
+        }
+
+        float noise2d(vec2 p) {
+          return noise(vec3(p, uTime * 0.1));
+        }
+
+        mat2 rotate2d(float _angle) {
+          return mat2(cos(_angle), -sin(_angle), sin(_angle), cos(_angle));
+        }
+
+        vec3 palette(float t) {
+          vec3 a = vec3(0.5, 0.5, 0.5);
+          vec3 b = uBaseColor;
+          vec3 c = vec3(1.0, 1.0, 1.0);
+          vec3 d = vec3(0.263, 0.416, 0.557);
+
+          return a + b * cos(6.28318 * (c * t + d));
+        }
+
+        void main() {
+          vec2 uv = vUv - vec2(0.5);
+          float dist = length(uv);
+          if (dist > 0.5) discard;
+
+          vec2 p = vec2(vUv * uSize);
+          p = rotate2d(noise2d(p)) * p;
+          float n = noise(vec3(p, uTime * uSpeed)) * uIntensity;
+
+          vec3 color = palette(n);
+          float alpha = smoothstep(0.5, 0.2, dist);
+          gl_FragColor = vec4(color, alpha);
+        }
+      `,
+      transparent: true,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    });
+
+    const particles = new THREE.Points(particleGeometry, particleMaterial);
+    planetGroup.add(particles);
+  } else if (category === "exotic") {
+    const ringSize = size * 1.8;
+    const ringGeometry = new THREE.RingGeometry(
+      ringSize,
+      ringSize + size / 3,
+      32
+    );
+
+    const ringMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uBaseColor: { value: baseColor },
+        uSize: { value: 5.0 },
+        uSpeed: { value: 0.3 },
+        uIntensity: { value: 1.0 },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float uTime;
+        uniform vec3 uBaseColor;
+        uniform float uSize;
+        uniform float uSpeed;
+        uniform float uIntensity;
+        varying vec2 vUv;
+
+        float mod289(float x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+        vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+        vec4 perm(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+
+        float noise(vec3 p) {
+          vec3 a = floor(p);
+          vec3 d = p - a;
+          d = d * d * (3.0 - 2.0 * d);
+
+          vec4 b = a.xxyy + vec4(0.0, 1.0, 0.0, 1.0);
+          vec4 k1 = perm(b.xyxy);
+          vec4 k2 = perm(k1.xyxy + b.zzww);
+
+          vec4 c = k2 + a.zzzz;
+          vec4 k3 = perm(c);
+          vec4 k4 = perm(c + 1.0);
+
+          vec4 o1 = fract(k3 * (1.0 / 41.0));
+          vec4 o2 = fract(k4 * (1.0 / 41.0));
+
+          vec4 o3 = o2 * d.z + o1 * (1.0 - d.z);
+          vec2 o4 = o3.yw * d.x + o3.xz * (1.0 - d.x);
+
+          return o4.y * d.y + o4.x * (1.0 - d.y);
+        }
+
+        float noise2d(vec2 p) {
+          return noise(vec3(p, uTime * 0.1));
+        }
+
+        mat2 rotate2d(float _angle) {
+          return mat2(cos(_angle), -sin(_angle), sin(_angle), cos(_angle));
+        }
+
+        vec3 palette(float t) {
+          vec3 a = vec3(0.5, 0.5, 0.5);
+          vec3 b = uBaseColor;
+          vec3 c = vec3(1.0, 1.0, 1.0);
+          vec3 d = vec3(0.263, 0.416, 0.557);
+
+          return a + b * cos(6.28318 * (c * t + d));
+        }
+
+        void main() {
+          vec2 uv = vUv;
+          vec2 p = vec2(uv * uSize);
+          p = rotate2d(noise2d(p)) * p;
+          float n = noise(vec3(p, uTime * uSpeed)) * uIntensity;
+
+          vec3 color = palette(n);
+          gl_FragColor = vec4(color, 0.7);
+        }
+      `,
+      transparent: true,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.rotation.x = Math.PI / 2;
+    planetGroup.add(ring);
+  } else if (category === "rare") {
+    const glowSize = size * 1.3;
+    const glowGeometry = new THREE.SphereGeometry(glowSize, 32, 32);
+
+    const glowMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        uTime: { value: 0 },
+        uBaseColor: { value: baseColor },
+        uSize: { value: 3.0 },
+        uSpeed: { value: 0.4 },
+        uIntensity: { value: 1.0 },
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform float uTime;
+        uniform vec3 uBaseColor;
+        uniform float uSize;
+        uniform float uSpeed;
+        uniform float uIntensity;
+        varying vec2 vUv;
+
+        float mod289(float x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+        vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+        vec4 perm(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+
+        float noise(vec3 p) {
+          vec3 a = floor(p);
+          vec3 d = p - a;
+          d = d * d * (3.0 - 2.0 * d);
+
+          vec4 b = a.xxyy + vec4(0.0, 1.0, 0.0, 1.0);
+          vec4 k1 = perm(b.xyxy);
+          vec4 k2 = perm(k1.xyxy + b.zzww);
+
+          vec4 c = k2 + a.zzzz;
+          vec4 k3 = perm(c);
+          vec4 k4 = perm(c + 1.0);
+
+          vec4 o1 = fract(k3 * (1.0 / 41.0));
+          vec4 o2 = fract(k4 * (1.0 / 41.0));
+
+          vec4 o3 = o2 * d.z + o1 * (1.0 - d.z);
+          vec2 o4 = o3.yw * d.x + o3.xz * (1.0 - d.x);
+
+          return o4.y * d.y + o4.x * (1.0 - d.y);
+        }
+
+        float noise2d(vec2 p) {
+          return noise(vec3(p, uTime * 0.1));
+        }
+
+        mat2 rotate2d(float _angle) {
+          return mat2(cos(_angle), -sin(_angle), sin(_angle), cos(_angle));
+        }
+
+        vec3 palette(float t) {
+          vec3 a = vec3(0.5, 0.5, 0.5);
+          vec3 b = uBaseColor;
+          vec3 c = vec3(1.0, 1.0, 1.0);
+          vec3 d = vec3(0.263, 0.416, 0.557);
+
+          return a + b * cos(6.28318 * (c * t + d));
+        }
+
+        void main() {
+          vec2 uv = vUv;
+          vec2 p = vec2(uv * uSize);
+          p = rotate2d(noise2d(p)) * p;
+          float n = noise(vec3(p, uTime * uSpeed)) * uIntensity;
+
+          vec3 color = palette(n);
+          gl_FragColor = vec4(color, 0.3);
+        }
+      `,
+      transparent: true,
+      side: THREE.BackSide,
+      blending: THREE.AdditiveBlending,
+    });
+
+    const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+    planetGroup.add(glow);
+
+    const moonCount = 2;
+    for (let i = 0; i < moonCount; i++) {
+      const moonSize = size * 0.3;
+      const moonGeometry = new THREE.SphereGeometry(moonSize, 16, 16);
+
+      const moonMaterial = new THREE.ShaderMaterial({
+        uniforms: {
+          uTime: { value: 0 },
+          uBaseColor: { value: baseColor },
+          uSize: { value: 3.0 },
+          uSpeed: { value: 0.5 },
+          uIntensity: { value: 1.0 },
+          uMetallic: { value: 0.8 },
+        },
+        vertexShader: `
+          varying vec2 vUv;
+          varying vec3 vNormal;
+          void main() {
+            vUv = uv;
+            vNormal = normal;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+          }
+        `,
+        fragmentShader: `
+          uniform float uTime;
+          uniform vec3 uBaseColor;
+          uniform float uSize;
+          uniform float uSpeed;
+          uniform float uIntensity;
+          uniform float uMetallic;
+          varying vec2 vUv;
+          varying vec3 vNormal;
+
+          float mod289(float x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+          vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+          vec4 perm(vec4 x) { return mod289(((x * 34.0) + 1.0) * x); }
+
+          float noise(vec3 p) {
+            vec3 a = floor(p);
+            vec3 d = p - a;
+            d = d * d * (3.0 - 2.0 * d);
+
+            vec4 b = a.xxyy + vec4(0.0, 1.0, 0.0, 1.0);
+            vec4 k1 = perm(b.xyxy);
+            vec4 k2 = perm(k1.xyxy + b.zzww);
+
+            vec4 c = k2 + a.zzzz;
+            vec4 k3 = perm(c);
+            vec4 k4 = perm(c + 1.0);
+
+            vec4 o1 = fract(k3 * (1.0 / 41.0));
+            vec4 o2 = fract(k4 * (1.0 / 41.0));
+
+            vec4 o3 = o2 * d.z + o1 * (1.0 - d.z);
+            vec2 o4 = o3.yw * d.x + o3.xz * (1.0 - d.x);
+
+            return o4.y * d.y + o4.x * (1.0 - d.y);
+          }
+
+          float noise2d(vec2 p) {
+            return noise(vec3(p, uTime * 0.1));
+          }
+
+          mat2 rotate2d(float _angle) {
+            return mat2(cos(_angle), -sin(_angle), sin(_angle), cos(_angle));
+          }
+
+          vec3 palette(float t) {
+            vec3 a = vec3(0.5, 0.5, 0.5);
+            vec3 b = uBaseColor;
+            vec3 c = vec3(1.0, 1.0, 1.0);
+            vec3 d = vec3(0.263, 0.416, 0.557);
+
+            return a + b * cos(6.28318 * (c * t + d));
+          }
+
+          vec3 effect() {
+            vec2 uv = vUv;
+            vec2 p = vec2(uv * uSize);
+            p = rotate2d(noise2d(p)) * p;
+            float n = noise(vec3(p, uTime * uSpeed)) * uIntensity;
+
+            vec3 color = palette(n);
+            vec3 normal = normalize(vNormal);
+            vec3 lightDir = normalize(vec3(1.0, 1.0, 1.0));
+            float spec = pow(max(dot(normal, lightDir), 0.0), 32.0);
+            color += spec * uMetallic;
+
+            float rim = 1.0 - abs(dot(vNormal, vec3(0, 0, 1)));
+            color += rim * 0.3;
+
+            return color;
+          }
+
+          void main() {
+            vec3 color = effect();
+            gl_FragColor = vec4(color, 0.8);
+          }
+        `,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+      });
+
+      const moon = new THREE.Mesh(moonGeometry, moonMaterial);
+      moon.position.set(
+        Math.cos((i / moonCount) * Math.PI * 2) * (size * 2),
+        0,
+        Math.sin((i / moonCount) * Math.PI * 2) * (size * 2)
+      );
+      planetGroup.add(moon);
+    }
+  }
+
+  planetGroup.position.set(x, y, z);
+  scene.add(planetGroup);
+  planets.push(planetGroup);
+  return planetGroup;
+}
+
+export function updatePlanets(delta) {
+  // Spin speeds are tuned per 60 Hz frame
+  const frames = delta * 60;
+
+  // Animate planets and their effects
+  planets.forEach((planetGroup) => {
+    const planet = planetGroup.children[0];
+    planet.material.uniforms.uTime.value += delta;
+    planet.material.uniforms.uDamage.value =
+      1 - getHealthFraction(planet.userData);
+    planet.material.uniforms.uHeat.value *= Math.pow(0.9, frames);
+
+    if (planet.userData.rotationSpeed) {
+      const rotationAxis = planet.userData.rotationAxis;
+      const rotationSpeed = planet.userData.rotationSpeed;
+      planetGroup.rotateOnAxis(rotationAxis, rotationSpeed * frames);
+    }
+
+    if (planet.userData.category === "common") {
+      const particles = planetGroup.children[1];
+      particles.material.uniforms.uTime.value += delta;
+      particles.rotation.y += 0.02 * frames;
+    } else if (planet.userData.category === "exotic") {
+      const ring = planetGroup.children[1];
+      ring.material.uniforms.uTime.value += delta;
+    } else if (planet.userData.category === "rare") {
+      const glow = planetGroup.children[1];
+      glow.material.uniforms.uTime.value += delta;
+      glow.material.opacity = 0.3 + Math.sin(state.gameTime * 2) * 0.1;
+      for (let i = 2; i < planetGroup.children.length; i++) {
+        const moon = planetGroup.children[i];
+        moon.material.uniforms.uTime.value += delta;
+        moon.rotation.y += 0.05 * frames;
+      }
+    } else if (planet.userData.bomb) {
+      const cage = planetGroup.children[1];
+      cage.rotation.y += 0.03 * frames;
+      cage.material.opacity = 0.5 + Math.sin(state.gameTime * 6) * 0.3;
+    }
+  });
+}
+
+// Drifts, orbits and beam dodging; see planet-motion.js
+export function movePlanets(dt) {
+  const beam =
+    state.laserActive && laser && avatarHead
+      ? { origin: avatarHead.position, direction: laser.userData.direction }
+      : null;
+
+  planets.forEach((planetGroup) => {
+    const data = planetGroup.children[0].userData;
+    const { motion } = data;
+    const position = planetGroup.position;
+    if (!motion) return;
+
+    if (motion.type === "drift") {
+      stepDrift(position, motion, data.category);
+    } else if (motion.type === "orbit") {
+      stepOrbit(position, motion, dt);
+    } else if (
+      motion.type === "flee" &&
+      stepFlee(position, motion, data.category, data.size, beam, dt)
+    ) {
+      teleportPlanet(planetGroup);
+    }
+  });
+}
+
+// Jumps a rare planet to a fresh spot in its spawn shell
+function teleportPlanet(planetGroup) {
+  const data = planetGroup.children[0].userData;
+  const { x, y, z } = generatePlanetSpec(data.category, rng.planets);
+  createTeleportFlash(planetGroup.position, data.color, data.size);
+  planetGroup.position.set(x, y, z);
+  createTeleportFlash(planetGroup.position, data.color, data.size);
+  resetTeleport(data.motion, data.category, rng.planets);
+}
+
+export function respawnPlanets() {
+  // Top the regular spawns back up towards PLANET_QUOTAS and the bombs
+  // up to their budget
+  const field = planets.map((p) => p.children[0].userData);
+  const { spawn, bombs, drop } = planRefill(
+    field,
+    state.wave?.level.quotas,
+    bombCount()
+  );
+  spawn.forEach(createSinglePlanet);
+  for (let i = 0; i < bombs; i++) createBombPlanet();
+
+  // Drop the oldest regular spawns if we went over the cap
+  const dropped = planets
+    .filter((p) => isRegularSpawn(p.children[0].userData))
+    .slice(0, drop);
+  dropped.forEach((planetGroup) => {
+    scene.remove(planetGroup);
+    removeHealthBar(planetGroup.children[0]);
+  });
+  planets = planets.filter((p) => !dropped.includes(p));
+}
+
+// Damages a planet, heating its surface and showing its health bar, and
+// destroys it once its health runs out
+export function hitPlanet(planetGroup, damage) {
+  const planet = planetGroup.children[0];
+  planet.userData.lastHitTime = state.gameTime;
+  planet.material.uniforms.uHeat.value = 1;
+  if (damagePlanet(planet.userData, damage)) {
+    destroyPlanet(planetGroup);
+    return;
+  }
+
+  // The beam hits every step, so its damage is totalled between numbers
+  const { userData } = planet;
+  userData.pendingDamage = (userData.pendingDamage || 0) + damage;
+  const since = state.gameTime - (userData.lastDamageNumberTime ?? -Infinity);
+  if (since >= DAMAGE_NUMBER_INTERVAL) {
+    showDamageNumber(userData.pendingDamage, planetGroup.position);
+    userData.pendingDamage = 0;
+    userData.lastDamageNumberTime = state.gameTime;
+  }
+}
+
+// Scores a planet whose health has run out and blows it up
+function destroyPlanet(planetGroup) {
+  const planet = planetGroup.children[0];
+  if (planet.userData.bomb) {
+    detonateBomb(planetGroup);
+    return;
+  }
+  const combo = registerKill(state.combo, planet.userData);
+  const points = scorePlanetHit(
+    state,
+    planet.userData,
+    combo.total * getScoreMultiplier(state.powerUps)
+  );
+  recordHit(run, planet.userData.category);
+  if (state.wave) recordWaveKill(state.wave, planet.userData.category);
+  document.getElementById("score").textContent = `Score: ${state.score}`;
+  showPointsPopup(
+    points,
+    planet.userData.category,
+    combo,
+    planetGroup.position
+  );
+  planets.splice(planets.indexOf(planetGroup), 1);
+  removeHealthBar(planet);
+  const explosionColor = planet.userData.material.uniforms?.uBaseColor.value;
+  createExplosion(
+    planetGroup.position,
+    explosionColor,
+    planet.userData.category
+  );
+  dissolvePlanet(planetGroup, explosionColor);
+
+  const drop = rollDrop(planet.userData.category, rng.planets, state.mode);
+  if (drop) dropPickup(drop, planetGroup.position);
+
+  if (state.wave && getWaveProgress(state.wave, state.score).done) {
+    completeWave();
+  }
+}
+
+// A shot bomb takes its penalty, wipes out the combo and streak, and
+// jolts the camera
+function detonateBomb(planetGroup) {
+  const planet = planetGroup.children[0];
+  const penalty = planet.userData.bomb;
+  const amount = applyBombPenalty(state, penalty);
+  resetCombo(state.combo);
+  breakStreak(run);
+  document.getElementById("score").textContent = `Score: ${state.score}`;
+  showPenaltyPopup(penalty, amount, planetGroup.position);
+  addHitFeedback(0.5);
+
+  planets.splice(planets.indexOf(planetGroup), 1);
+  removeHealthBar(planet);
+  const explosionColor = planet.userData.material.uniforms.uBaseColor.value;
+  createExplosion(planetGroup.position, explosionColor, "bomb");
+  dissolvePlanet(planetGroup, explosionColor);
+}
+
+// Swaps the destroyed planet's surfaces for the dissolve shader and lets
+// them break apart before removing it
+function dissolvePlanet(planetGroup, color) {
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uColor: { value: color || new THREE.Color(0xffffff) },
+      uDissolve: { value: 0 },
+    },
+    vertexShader: dissolveVertexShader,
+    fragmentShader: dissolveFragmentShader,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
+  planetGroup.children.forEach((child) => {
+    if (child.isMesh) child.material = material;
+    else child.visible = false;
+  });
+
+  let time = 0;
+  addEffect((delta) => {
+    time += delta;
+    material.uniforms.uTime.value = time;
+    material.uniforms.uDissolve.value = Math.min(1, time / DISSOLVE_DURATION);
+    planetGroup.scale.setScalar(1 + (time / DISSOLVE_DURATION) * 0.15);
+    if (time < DISSOLVE_DURATION) return true;
+    scene.remove(planetGroup);
+    material.dispose();
+    return false;
+  });
+}
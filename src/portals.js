@@ -0,0 +1,145 @@
+// ====================================
+// PORTALS
+// ====================================
+// Vibe Jam portals. A portal=true visit skips the menus and arrives
+// next to a portal back to where the player came from.
+
+import * as THREE from "three";
+import {
+  PORTAL_HUB_URL,
+  buildPortalUrl,
+  insidePortal,
+  parsePortalParams,
+} from "../portal.js";
+import { scene } from "./scene.js";
+import { avatar, avatarPose, tintAvatar } from "./avatar.js";
+import { state } from "./session.js";
+import { profileStore } from "./storage.js";
+import { FIXED_TIMESTEP } from "./loop.js";
+
+const PORTAL_RADIUS = 30;
+const DEFAULT_PORTAL_COLOR = "#66ccff"; // Sent on when we weren't given one
+
+export const portalParams = parsePortalParams(window.location.search);
+
+let portals = []; // { group, url, x, y, z, radius }
+let nameTag = null; // Sprite over the avatar for players who came by portal
+let leavingThroughPortal = false;
+
+// Visitors keep the colour and name they arrived with
+export function welcomePortalVisitor() {
+  if (portalParams.color) tintAvatar(portalParams.color);
+  if (portalParams.username) {
+    nameTag = createLabelSprite(
+      portalParams.username,
+      portalParams.color || "#ffffff"
+    );
+    nameTag.scale.set(24, 4.5, 1);
+    scene.add(nameTag);
+  }
+}
+
+// The exit portal sits ahead of the spawn point; a visitor's way back
+// opens right beside it
+export function createPortals() {
+  createPortal({
+    x: 0,
+    y: 0,
+    z: 400,
+    url: PORTAL_HUB_URL,
+    label: "VIBE JAM PORTAL",
+    color: "#33ff99",
+  });
+  if (portalParams.entered && portalParams.ref) {
+    createPortal({
+      x: 60,
+      y: 0,
+      z: 20,
+      url: portalParams.ref,
+      label: `BACK TO ${new URL(portalParams.ref).hostname.toUpperCase()}`,
+      color: "#ff3355",
+    });
+  }
+}
+
+// A glowing ring facing the middle of the cube, with its destination
+// written above it
+function createPortal({ x, y, z, url, label, color }) {
+  const group = new THREE.Group();
+  const ring = new THREE.Mesh(
+    new THREE.TorusGeometry(PORTAL_RADIUS, 2, 16, 64),
+    new THREE.MeshBasicMaterial({ color: color })
+  );
+  const surface = new THREE.Mesh(
+    new THREE.CircleGeometry(PORTAL_RADIUS, 64),
+    new THREE.MeshBasicMaterial({
+      color: color,
+      transparent: true,
+      opacity: 0.35,
+      side: THREE.DoubleSide,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    })
+  );
+  const sign = createLabelSprite(label, color);
+  sign.position.y = PORTAL_RADIUS + 12;
+  group.add(ring, surface, sign);
+  group.position.set(x, y, z);
+  group.lookAt(0, y, 0);
+  scene.add(group);
+  portals.push({ group, url, x, y, z, radius: PORTAL_RADIUS });
+}
+
+function createLabelSprite(text, color) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 512;
+  canvas.height = 96;
+  const context = canvas.getContext("2d");
+  context.font = 'bold 48px "Orbitron", sans-serif';
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  context.fillStyle = color;
+  context.shadowColor = color;
+  context.shadowBlur = 16;
+  context.fillText(text, canvas.width / 2, canvas.height / 2, canvas.width);
+  const sprite = new THREE.Sprite(
+    new THREE.SpriteMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      transparent: true,
+      depthWrite: false,
+    })
+  );
+  sprite.scale.set(64, 12, 1);
+  return sprite;
+}
+
+export function updatePortals() {
+  portals.forEach(({ group }) => {
+    const surface = group.children[1];
+    surface.material.opacity = 0.3 + Math.sin(state.gameTime * 3) * 0.1;
+  });
+  if (nameTag && avatar) {
+    nameTag.position.copy(avatar.position);
+    nameTag.position.y += 12;
+  }
+}
+
+// Flying into a portal hands the player over to its destination
+export function checkPortals() {
+  if (!avatar || leavingThroughPortal) return;
+  const portal = portals.find((candidate) =>
+    insidePortal(avatar.position, candidate)
+  );
+  if (!portal) return;
+
+  leavingThroughPortal = true;
+  // How far the avatar moved this step, as units per second
+  const speed =
+    avatar.position.distanceTo(avatarPose.previous.position) / FIXED_TIMESTEP;
+  window.location.href = buildPortalUrl(portal.url, {
+    username: portalParams.username || profileStore.active,
+    color: portalParams.color || DEFAULT_PORTAL_COLOR,
+    speed: Math.round(speed),
+    ref: window.location.origin + window.location.pathname,
+  });
+}
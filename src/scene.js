@@ -0,0 +1,494 @@
+// ====================================
+// SCENE
+// ====================================
+// Renderer, camera, lights and the scenery that never changes during a
+// round: stars, cosmic dust and the playable cube. Also owns the
+// follow camera and the screen-to-world aiming ray.
+
+import * as THREE from "three";
+import { CUBE_SIZE } from "../game-core.js";
+import { distanceGain, stereoPan } from "../audio.js";
+import { avatar } from "./avatar.js";
+import { laser } from "./laser.js";
+import {
+  centerCrosshair,
+  controls,
+  isMouseLookActive,
+  mouseLook,
+} from "./input.js";
+import { addEffect, hitFeedback } from "./effects.js";
+import { rng, state } from "./session.js";
+import { settings } from "./storage.js";
+
+const MAX_Y_ROTATION = Math.PI; // 180 degrees left/right (π radians)
+export const MAX_X_ROTATION = Math.PI / 3; // 60 degrees up/down (π/3 radians)
+const ROTATION_SPEED = 0.03; // Slower, more precise control
+const CAMERA_RETURN_SPEED = 0.008; // Faster return to center
+const STAR_COUNT = 1000;
+const MAX_PIXEL_RATIO = 2; // Sharp on high-DPI screens without 3x fill cost
+
+// Render resolution choices on the settings screen
+export const RESOLUTIONS = {
+  high: { label: "High", maxPixelRatio: MAX_PIXEL_RATIO },
+  medium: { label: "Medium", maxPixelRatio: 1 },
+  low: { label: "Low", maxPixelRatio: 0.75 },
+};
+
+const SHAKE_AMPLITUDE = 3; // Camera jolt in world units at full shake
+
+export let scene;
+export let camera;
+export let renderer;
+let ambientLight;
+let pointLight;
+let cube;
+let raycaster;
+let mouse;
+let cameraAngleX = 0;
+let cameraAngleY = 0;
+const cameraDistance = -25;
+
+export function initScene() {
+  // Create scene
+  scene = new THREE.Scene();
+
+  // Create camera
+  camera = new THREE.PerspectiveCamera(
+    75,
+    window.innerWidth / window.innerHeight,
+    0.1,
+    10000
+  );
+
+  // Create renderer
+  renderer = new THREE.WebGLRenderer();
+  renderer.setPixelRatio(getPixelRatio());
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  document.body.appendChild(renderer.domElement);
+
+  // Create lights
+  ambientLight = new THREE.AmbientLight(0x404040, 2);
+  scene.add(ambientLight);
+
+  pointLight = new THREE.PointLight(0xffffff, 1.5, 4000);
+  pointLight.position.set(0, 10, 10);
+  scene.add(pointLight);
+
+  // Initialize raycaster and mouse
+  raycaster = new THREE.Raycaster();
+  mouse = new THREE.Vector2();
+
+  createPlatforms();
+}
+
+export function createPlayableCube() {
+  const cubeGeometry = new THREE.BoxGeometry(CUBE_SIZE, CUBE_SIZE, CUBE_SIZE);
+  const cubeMaterial = new THREE.MeshBasicMaterial({
+    transparent: true,
+    opacity: 0,
+    wireframe: false,
+    depthTest: false, // Ensures it doesn’t interfere with depth rendering
+    depthWrite: false,
+    vertexShader: `void main() { gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0); }`,
+    fragmentShader: `void main() { discard; }`, // Completely removes it from rendering
+  });
+  cube = new THREE.Mesh(cubeGeometry, cubeMaterial);
+  scene.add(cube);
+}
+
+export function isWebGLAvailable() {
+  try {
+    const canvas = document.createElement("canvas");
+    return Boolean(
+      window.WebGLRenderingContext &&
+        (canvas.getContext("webgl2") || canvas.getContext("webgl"))
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+export function createStarryBackground() {
+  // Static Stars (unchanged)
+  const staticStarsGeometry = new THREE.BufferGeometry();
+  const staticPositions = new Float32Array(STAR_COUNT * 3);
+  for (let i = 0; i < STAR_COUNT; i++) {
+    staticPositions[i * 3] = (rng.scenery() - 0.5) * 6000;
+    staticPositions[i * 3 + 1] = (rng.scenery() - 0.5) * 6000;
+    staticPositions[i * 3 + 2] = (rng.scenery() - 0.5) * 6000;
+  }
+  staticStarsGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(staticPositions, 3)
+  );
+  const staticStarsMaterial = new THREE.PointsMaterial({
+    size: 2,
+    color: 0xffffff,
+    transparent: true,
+    opacity: 0.8,
+  });
+  const staticStars = new THREE.Points(
+    staticStarsGeometry,
+    staticStarsMaterial
+  );
+  scene.add(staticStars);
+
+  // Twinkling Stars (unchanged)
+  const twinkleStarsGeometry = new THREE.BufferGeometry();
+  const twinklePositions = new Float32Array(STAR_COUNT * 6);
+  const twinkleColors = new Float32Array(STAR_COUNT * 6);
+  for (let i = 0; i < STAR_COUNT; i++) {
+    twinklePositions[i * 3] = (rng.scenery() - 0.5) * 6000;
+    twinklePositions[i * 3 + 1] = (rng.scenery() - 0.5) * 6000;
+    twinklePositions[i * 3 + 2] = (rng.scenery() - 0.5) * 6000;
+    twinkleColors[i * 3] = 1;
+    twinkleColors[i * 3 + 1] = 1;
+    twinkleColors[i * 3 + 2] = 1;
+  }
+  twinkleStarsGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(twinklePositions, 3)
+  );
+  twinkleStarsGeometry.setAttribute(
+    "color",
+    new THREE.BufferAttribute(twinkleColors, 3)
+  );
+  const twinkleStarsMaterial = new THREE.PointsMaterial({
+    size: 3,
+    vertexColors: true,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+  });
+  const twinkleStars = new THREE.Points(
+    twinkleStarsGeometry,
+    twinkleStarsMaterial
+  );
+  scene.add(twinkleStars);
+
+  // Enhanced Nebula with Fluid Effect
+  const nebulaGeometry = new THREE.SphereGeometry(4000, 64, 64);
+  const nebulaMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uColor1: { value: new THREE.Color(0x1e0033) },
+      uColor2: { value: new THREE.Color(0x003366) },
+    },
+    vertexShader: `
+      varying vec3 vPosition;
+      void main() {
+        vPosition = position;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      uniform vec3 uColor1;
+      uniform vec3 uColor2;
+      varying vec3 vPosition;
+
+      float noise(vec3 p) {
+        return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+      }
+
+      float fbm(vec3 p) {
+        float v = 0.0;
+        float a = 0.5;
+        vec3 shift = vec3(100.0);
+        for (int i = 0; i < 4; ++i) {
+          v += a * noise(p);
+          p = p * 2.0 + shift;
+          a *= 0.5;
+        }
+        return v;
+      }
+
+      void main() {
+        vec3 uv = vPosition / 4000.0 + vec3(uTime * 0.01);
+        float n = fbm(uv * 2.0);
+        vec3 color = mix(uColor1, uColor2, n);
+        float alpha = smoothstep(0.1, 0.6, n) * 0.3;
+        gl_FragColor = vec4(color, alpha);
+      }
+    `,
+    transparent: true,
+    side: THREE.BackSide,
+    blending: THREE.AdditiveBlending,
+  });
+  const nebula = new THREE.Mesh(nebulaGeometry, nebulaMaterial);
+  scene.add(nebula);
+
+  addEffect((delta) => {
+    nebula.material.uniforms.uTime.value += delta;
+    twinkleStarsMaterial.size = 3 + Math.sin(state.gameTime * 3) * 0.5;
+    return true;
+  });
+}
+
+let platforms = [];
+
+function createPlatforms() {
+  const platformCount = 5;
+  const platformGeometry = new THREE.BoxGeometry(200, 100, 200);
+
+  const platformMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+      uColor1: { value: new THREE.Color(0x00ff99) }, // Green
+      uColor2: { value: new THREE.Color(0x0033ff) }, // Blue
+    },
+    vertexShader: `
+      varying vec2 vUv;
+      void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      }
+    `,
+    fragmentShader: `
+      uniform float uTime;
+      uniform vec3 uColor1;
+      uniform vec3 uColor2;
+      varying vec2 vUv;
+
+      float noise(vec3 p) {
+        return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+      }
+
+      float fbm(vec3 p) {
+        float v = 0.0;
+        float a = 0.5;
+        vec3 shift = vec3(100.0);
+        for (int i = 0; i < 4; ++i) {
+          v += a * noise(p);
+          p = p * 2.0 + shift;
+          a *= 0.5;
+        }
+        return v;
+      }
+
+      void main() {
+        vec2 uv = vUv;
+        uv += vec2(uTime * 0.1, uTime * 0.05); // Slow flow
+
+        // Fluid turbulence
+        vec3 p = vec3(uv * 3.0, uTime * 0.2);
+        float n = fbm(p);
+        float glow = smoothstep(0.3, 0.7, n);
+
+        // Color swirl
+        vec3 color = mix(uColor1, uColor2, n);
+        color += vec3(1.0) * glow * 0.5;
+
+        gl_FragColor = vec4(color, 1.0);
+      }
+    `,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+  });
+
+  for (let i = 0; i < platformCount; i++) {
+    const platform = new THREE.Mesh(platformGeometry, platformMaterial);
+    platform.position.set(
+      (rng.scenery() - 0.5) * (CUBE_SIZE - 50),
+      (rng.scenery() - 0.5) * (CUBE_SIZE - 50),
+      (rng.scenery() - 0.5) * (CUBE_SIZE - 50)
+    );
+    scene.add(platform);
+    platforms.push(platform);
+  }
+}
+
+export function updatePlatforms(delta) {
+  platforms.forEach((platform) => {
+    platform.material.uniforms.uTime.value += delta;
+  });
+}
+
+export function handleResize() {
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+  // The ratio changes when the window moves to another monitor
+  renderer.setPixelRatio(getPixelRatio());
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  if (isMouseLookActive()) centerCrosshair();
+}
+
+function getPixelRatio() {
+  const { maxPixelRatio } = RESOLUTIONS[settings.resolution];
+  return Math.min(window.devicePixelRatio, maxPixelRatio);
+}
+
+// Applies the graphics options from the settings screen
+export function applyGraphicsSettings() {
+  renderer.setPixelRatio(getPixelRatio());
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  if (cosmicParticles) cosmicParticles.visible = settings.cosmicDust;
+}
+
+// World direction of the camera ray through a point on the screen
+export function aimDirection(screenX, screenY) {
+  mouse.x = (screenX / window.innerWidth) * 2 - 1;
+  mouse.y = -(screenY / window.innerHeight) * 2 + 1;
+  raycaster.setFromCamera(mouse, camera);
+  return raycaster.ray.direction.clone();
+}
+
+let cosmicParticles;
+
+export function createCosmicParticles() {
+  const particleCount = 1000; // More particles for density
+  const particleGeometry = new THREE.BufferGeometry();
+  const particlePositions = new Float32Array(particleCount * 3);
+  const particleColors = new Float32Array(particleCount * 3);
+
+  for (let i = 0; i < particleCount; i++) {
+    particlePositions[i * 3] = (rng.scenery() - 0.5) * CUBE_SIZE;
+    particlePositions[i * 3 + 1] = (rng.scenery() - 0.5) * CUBE_SIZE;
+    particlePositions[i * 3 + 2] = (rng.scenery() - 0.5) * CUBE_SIZE;
+    particleColors[i * 3] = rng.scenery() > 0.5 ? 0.4 : 1.0; // Cyan/white mix
+    particleColors[i * 3 + 1] = rng.scenery();
+    particleColors[i * 3 + 2] = 1.0;
+  }
+
+  particleGeometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(particlePositions, 3)
+  );
+  particleGeometry.setAttribute(
+    "color",
+    new THREE.BufferAttribute(particleColors, 3)
+  );
+
+  const particleMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      uTime: { value: 0 },
+    },
+    vertexShader: `
+      attribute vec3 color; // Declare color attribute
+      varying vec3 vColor;
+      uniform float uTime;
+      void main() {
+        vColor = color;
+        vec3 pos = position;
+        pos += vec3(
+          sin(uTime * 0.5 + position.x * 0.1),
+          cos(uTime * 0.5 + position.y * 0.1),
+          sin(uTime * 0.5 + position.z * 0.1)
+        ) * 5.0;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+        gl_PointSize = 2.0 * (300.0 / length((modelViewMatrix * vec4(pos, 1.0)).xyz));
+      }
+    `,
+    fragmentShader: `
+      varying vec3 vColor;
+      void main() {
+        vec2 uv = gl_PointCoord - vec2(0.5);
+        float dist = length(uv);
+        if (dist > 0.5) discard;
+        float alpha = smoothstep(0.5, 0.2, dist);
+        gl_FragColor = vec4(vColor, alpha * 0.7);
+      }
+    `,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
+
+  cosmicParticles = new THREE.Points(particleGeometry, particleMaterial);
+  scene.add(cosmicParticles);
+}
+
+export function updateCosmicParticles(delta) {
+  if (!cosmicParticles) return;
+  cosmicParticles.material.uniforms.uTime.value += delta;
+}
+
+// Pan and distance attenuation for a sound at a world position, as heard
+// from the camera
+export function soundPlacement(position) {
+  const offset = position.clone().sub(camera.position);
+  const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+  return {
+    pan: stereoPan(offset, right),
+    gain: distanceGain(offset.length()),
+  };
+}
+
+export function updateCamera(delta) {
+  if (!avatar) return;
+
+  // Speeds are tuned per 60 Hz frame
+  const frames = delta * 60;
+  const rotationStep = ROTATION_SPEED * frames;
+  const returnFactor = Math.pow(1 - CAMERA_RETURN_SPEED, frames);
+
+  // Update camera angle based on controls (analog sticks turn proportionally)
+  if (controls.cameraLeft)
+    cameraAngleY = Math.min(
+      MAX_Y_ROTATION,
+      cameraAngleY + rotationStep * controls.cameraLeft
+    );
+  if (controls.cameraRight)
+    cameraAngleY = Math.max(
+      -MAX_Y_ROTATION,
+      cameraAngleY - rotationStep * controls.cameraRight
+    );
+  if (!controls.cameraLeft && !controls.cameraRight) {
+    cameraAngleY *= returnFactor; // Auto-return to center when no keys pressed
+  }
+
+  if (isMouseLookActive()) {
+    // The mouse owns the tilt; looking up drops the camera below the avatar
+    cameraAngleX = -mouseLook.pitch;
+  } else {
+    if (controls.cameraUp)
+      cameraAngleX = Math.min(
+        MAX_X_ROTATION,
+        cameraAngleX + rotationStep * controls.cameraUp
+      );
+    if (controls.cameraDown)
+      cameraAngleX = Math.max(
+        -MAX_X_ROTATION,
+        cameraAngleX - rotationStep * controls.cameraDown
+      );
+    if (!controls.cameraUp && !controls.cameraDown) {
+      cameraAngleX *= returnFactor; // Dampen vertical rotation
+    }
+    mouseLook.pitch = -cameraAngleX; // Pick up from here when re-locked
+  }
+
+  // Calculate camera position
+  const cameraOffset = new THREE.Vector3(
+    Math.sin(cameraAngleY) * cameraDistance,
+    10 + cameraAngleX * 10,
+    Math.cos(cameraAngleY) * cameraDistance
+  );
+
+  // Calculate rotated offset vector
+  const rotatedOffset = cameraOffset.clone().applyQuaternion(avatar.quaternion);
+  camera.position.copy(avatar.position).add(rotatedOffset);
+
+  // Update point light position
+  pointLight.position.copy(avatar.position).add(new THREE.Vector3(0, 10, 10));
+
+  // Make the camera look at a point slightly ahead of the avatar
+  const cameraTarget = avatar.position.clone();
+  cameraTarget.y += 2; // Look slightly above the avatar
+  camera.lookAt(cameraTarget);
+
+  // Hits jolt the camera off its mark without turning it
+  if (settings.screenShake && hitFeedback.shake > 0) {
+    const jolt = SHAKE_AMPLITUDE * hitFeedback.shake * hitFeedback.shake;
+    camera.position.x += (rng.effects() - 0.5) * 2 * jolt;
+    camera.position.y += (rng.effects() - 0.5) * 2 * jolt;
+    camera.position.z += (rng.effects() - 0.5) * 2 * jolt;
+  }
+
+  if (isMouseLookActive() && state.laserActive && laser) aimLaserAlongView();
+}
+
+// Keeps a mouse-look beam pointed through the crosshair as the view turns
+function aimLaserAlongView() {
+  mouse.set(0, 0);
+  raycaster.setFromCamera(mouse, camera);
+  laser.userData.direction.copy(raycaster.ray.direction);
+}
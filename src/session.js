@@ -0,0 +1,323 @@
+// ====================================
+// SESSION
+// ====================================
+// The round and everything around it: game state, the flow between
+// screens (see game-flow.js), seeds, starting and ending rounds, wave
+// mode and pausing.
+
+import {
+  GAME_DURATION,
+  advanceTimer,
+  createGameState,
+  formatTime,
+  getRemainingTime,
+  resetGameState,
+} from "../game-core.js";
+import { createRandom, deriveSeed, parseSeed, randomSeed } from "../random.js";
+import { dailySeed, dateKey } from "../leaderboard.js";
+import { createRunStats, endBurst, finishRun, getProfile } from "../stats.js";
+import { createMouseLook } from "../mouse-look.js";
+import {
+  crossedWarning,
+  playTimeWarning,
+  setLaserHum,
+  suspendAudio,
+  unlockAudio,
+  updateAmbient,
+} from "../audio.js";
+import { PLAYER_MAX_SHIELD } from "../hazards.js";
+import { createPowerUps } from "../powerups.js";
+import { LEVELS_URL, createWave, parseLevels, waveBonus } from "../levels.js";
+import { createFlow, transition } from "../game-flow.js";
+import { avatar } from "./avatar.js";
+import { createPlanets, planets } from "./planets.js";
+import { clearLaser, clearMissiles } from "./laser.js";
+import {
+  lockPointer,
+  mouseLook,
+  releaseAllInputs,
+  unlockPointer,
+} from "./input.js";
+import {
+  createOverlay,
+  endReasonHtml,
+  hideOverlay,
+  hidePauseMenu,
+  showIntermission,
+  showPauseMenu,
+  showResults,
+  showStartMenu,
+} from "./ui.js";
+import {
+  clearPopups,
+  removeHealthBar,
+  renderWeaponHud,
+  updateControlsHint,
+  updateLaserHud,
+} from "./hud.js";
+import { clearHazards, createHazards } from "./hazard-field.js";
+import { clearPickups } from "./pickups.js";
+import { portalParams, welcomePortalVisitor } from "./portals.js";
+import { profileStore, saveProfiles } from "./storage.js";
+import { animate, resetClock } from "./loop.js";
+
+const CONTROLS_HINT_DURATION = 3; // Seconds of play the controls hint stays up
+
+// Game state (rules live in game-core.js)
+export const state = createGameState();
+
+export const flow = createFlow(); // Which screen the session is on; see game-flow.js
+export let finishedRun = null; // finishRun records for the results screen
+export let levelSet = null; // Wave mode levels from levels.json, once loaded
+export let dailyChallengeDay = null; // Day the current daily round counts towards
+export let run = createRunStats(); // Stats for the round in progress
+
+// Seeded random streams. Planets, scenery and effects draw from separate
+// streams so effects (spawned at frame-rate dependent moments) never shift
+// the layout of the galaxy.
+const pinnedSeed = parseSeed(
+  new URLSearchParams(window.location.search).get("seed")
+);
+
+export let currentSeed = pinnedSeed ?? randomSeed();
+
+export const rng = {
+  planets: Math.random,
+  scenery: Math.random,
+  effects: Math.random,
+};
+
+// Portal visitors go straight into a round as themselves; everyone else
+// gets the start menu
+export function startSession() {
+  hideOverlay("loading-screen");
+  animate();
+  if (!portalParams.entered) {
+    showStartMenu();
+    return;
+  }
+  document.getElementById("toast")?.remove();
+  welcomePortalVisitor();
+  startRound({ mode: "classic" });
+}
+
+// `reason` is "time" when the clock ran out or "destroyed" when the
+// player's hull gave out. The game over banner holds for a moment before
+// the results come up.
+export function endGame(reason = "time") {
+  if (!setPhase("gameOver")) return;
+  state.endReason = reason;
+  stopRound();
+
+  finishedRun = finishRun(getProfile(profileStore), run, {
+    score: state.score || 0,
+    mode: state.mode,
+    seed: currentSeed,
+    timestamp: Date.now(),
+  });
+  saveProfiles();
+
+  const banner = createOverlay(
+    "game-over-banner",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Game Over!</h1>
+      ${endReasonHtml()}
+    </div>
+  `
+  );
+  banner.addEventListener("click", showResults);
+}
+
+// Clears away everything a round leaves flying, whether it ended or was
+// abandoned from the pause menu
+export function stopRound() {
+  unlockPointer();
+  clearMissiles();
+  clearHazards();
+  clearPickups();
+  planets.forEach((planetGroup) => removeHealthBar(planetGroup.children[0]));
+  clearPopups();
+  setLaserHum(false);
+  updateAmbient(0);
+  if (state.laserActive) endBurst(run);
+  state.laserActive = false;
+  clearLaser();
+}
+
+export function loadLevels() {
+  fetch(LEVELS_URL)
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    })
+    .then((data) => {
+      levelSet = parseLevels(data);
+      const button = document.querySelector('[data-mode="levels"]');
+      if (button) button.disabled = !levelSet.levels.length;
+    })
+    .catch((error) => {
+      console.warn("Could not load levels:", error);
+    });
+}
+
+// Banks the time bonus and holds the game on the intermission screen
+// until the player is ready for the next wave
+export function completeWave() {
+  if (!setPhase("intermission")) return;
+  const bonus = waveBonus(levelSet, getRemainingTime(state));
+  state.score += bonus;
+  document.getElementById("score").textContent = `Score: ${state.score}`;
+
+  releaseAllInputs();
+  if (state.laserActive) endBurst(run);
+  state.laserActive = false;
+  state.charging = false;
+  state.charge = 0;
+  clearLaser();
+  setLaserHum(false);
+  unlockPointer();
+  showIntermission(bonus);
+}
+
+// Fresh field, hazards and clock for the next wave. Score, hull and combo
+// carry over; the shield comes back full and power-ups wear off.
+export function startNextWave() {
+  if (!setPhase("playing")) return;
+  state.wave = createWave(levelSet, state.wave.index + 1, state.score);
+  state.gameTime = 0;
+  state.duration = state.wave.level.time;
+  state.powerUps = createPowerUps();
+  state.vitals.shield = PLAYER_MAX_SHIELD;
+  state.vitals.rechargeDelay = 0;
+  clearMissiles();
+  clearPickups();
+  createPlanets();
+  createHazards();
+  document.getElementById("timer").textContent = `Time: ${formatTime(
+    state.duration
+  )}`;
+
+  lockPointer();
+  unlockAudio();
+  resetClock();
+}
+
+// Starts a new round in the given mode (the current one by default). Classic
+// rounds get a fresh galaxy unless the seed was pinned with ?seed=; daily
+// rounds always use the day's seed and the standard round length. Wave mode
+// waits for levels.json; until it has loaded, asking for it does nothing.
+export function startRound({ mode = state.mode, replaySeed = false } = {}) {
+  if (mode === "levels" && !levelSet?.levels.length) return;
+  if (!setPhase("playing")) return;
+  hideOverlay("start-menu");
+  hideOverlay("mode-select");
+  hideOverlay("leaderboard");
+  hideOverlay("intermission");
+
+  // Reset game state
+  resetGameState(state, { mode, duration: GAME_DURATION });
+  if (mode === "levels") {
+    state.wave = createWave(levelSet, 0, 0);
+    state.duration = state.wave.level.time;
+  }
+  run = createRunStats();
+  if (mode === "daily") {
+    dailyChallengeDay = dateKey();
+    currentSeed = dailySeed(dailyChallengeDay);
+  } else if (pinnedSeed !== null) {
+    currentSeed = pinnedSeed;
+  } else if (!replaySeed) {
+    currentSeed = randomSeed();
+  }
+  seedRandom(currentSeed, { scenery: false });
+  clearLaser();
+  // Reset avatar position (if applicable)
+  if (avatar) {
+    avatar.position.set(0, 0, 0);
+  }
+  Object.assign(mouseLook, createMouseLook());
+  clearMissiles();
+  // Reset planets
+  createPlanets();
+  createHazards();
+  clearPickups();
+  document.getElementById("score").textContent = `Score: ${state.score}`;
+  document.getElementById("timer").textContent = `Time: ${formatTime(
+    state.duration
+  )}`;
+  updateLaserHud();
+  renderWeaponHud();
+  hidePauseMenu();
+  lockPointer();
+  unlockAudio();
+  updateControlsHint();
+  resetClock();
+}
+
+// Moves the session to another phase (see game-flow.js) and mirrors it on
+// <body data-phase>, which the stylesheet keys off. Returns false, leaving
+// everything as it was, if the move isn't allowed from the current phase.
+export function setPhase(phase) {
+  if (!transition(flow, phase)) return false;
+  document.body.dataset.phase = phase;
+  return true;
+}
+
+export function pauseGame() {
+  if (!setPhase("paused")) return;
+
+  // Key releases are lost while unfocused, so start from a clean slate.
+  // A held railgun charge is dropped rather than fired on release.
+  releaseAllInputs();
+  if (state.laserActive) endBurst(run);
+  state.laserActive = false;
+  state.charging = false;
+  state.charge = 0;
+  clearLaser();
+  setLaserHum(false);
+  unlockPointer();
+  suspendAudio();
+  showPauseMenu();
+}
+
+export function resumeGame() {
+  if (flow.phase !== "paused") return;
+  setPhase("playing");
+  hidePauseMenu();
+  hideOverlay("settings-menu");
+  renderWeaponHud(); // Weapon keys may have been rebound
+  lockPointer();
+  unlockAudio();
+}
+
+export function togglePause() {
+  if (flow.phase === "paused") resumeGame();
+  else pauseGame();
+}
+
+// Scenery is only built once at startup, so restarts leave it alone
+export function seedRandom(seed, { scenery = true } = {}) {
+  rng.planets = createRandom(deriveSeed(seed, "planets"));
+  rng.effects = createRandom(deriveSeed(seed, "effects"));
+  if (scenery) rng.scenery = createRandom(deriveSeed(seed, "scenery"));
+}
+
+export function updateGameTime(dt) {
+  const previousTime = getRemainingTime(state);
+  const remainingTime = advanceTimer(state, dt);
+  const warning = crossedWarning(previousTime, remainingTime);
+  if (warning !== null) playTimeWarning(warning);
+  document.getElementById("timer").textContent = `Time: ${formatTime(
+    remainingTime
+  )}`;
+  // The controls hint stays up for the first few seconds of play
+  if (state.gameTime >= CONTROLS_HINT_DURATION) {
+    document.getElementById("toast")?.remove();
+  }
+
+  // Check for game over
+  if (remainingTime <= 0) {
+    endGame();
+  }
+}
@@ -0,0 +1,93 @@
+// ====================================
+// STORAGE
+// ====================================
+// Player settings, profiles and the daily leaderboard, persisted in
+// localStorage.
+
+import { createProfileStore } from "../stats.js";
+import { resolveBindings } from "../key-bindings.js";
+import { DEFAULT_SENSITIVITY, clampSensitivity } from "../mouse-look.js";
+import { resolveVolumes, setVolumes } from "../audio.js";
+import { RESOLUTIONS } from "./scene.js";
+
+// Player settings, persisted between sessions
+const SETTINGS_STORAGE_KEY = "cosmic-hunter-settings";
+
+export const settings = {
+  pauseOnFocusLoss: true,
+  initials: "",
+  keyBindings: resolveBindings(),
+  aimMode: "free", // "free" aims at the cursor, "mouselook" locks the pointer
+  mouseSensitivity: DEFAULT_SENSITIVITY,
+  invertY: false,
+  volumes: resolveVolumes(), // 0-1 for the master, sfx and music buses
+  resolution: "high", // Key of RESOLUTIONS
+  cosmicDust: true,
+  screenShake: true,
+};
+
+// Daily challenge scores, keyed by day
+const LEADERBOARD_STORAGE_KEY = "cosmic-hunter-daily-leaderboard";
+
+// Lifetime stats per player profile
+const PROFILES_STORAGE_KEY = "cosmic-hunter-profiles";
+
+export let profileStore = createProfileStore();
+
+export function loadProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    if (saved) profileStore = saved;
+  } catch (error) {
+    console.warn("Could not load profiles:", error);
+  }
+}
+
+export function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profileStore));
+  } catch (error) {
+    console.warn("Could not save profiles:", error);
+  }
+}
+
+export function loadLeaderboard() {
+  try {
+    return JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not load leaderboard:", error);
+    return {};
+  }
+}
+
+export function saveLeaderboard(board) {
+  try {
+    localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(board));
+  } catch (error) {
+    console.warn("Could not save leaderboard:", error);
+  }
+}
+
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (saved) Object.assign(settings, saved);
+  } catch (error) {
+    console.warn("Could not load settings:", error);
+  }
+  // Older saves may predate some actions
+  settings.keyBindings = resolveBindings(settings.keyBindings);
+  settings.aimMode = settings.aimMode === "mouselook" ? "mouselook" : "free";
+  settings.mouseSensitivity = clampSensitivity(settings.mouseSensitivity);
+  settings.volumes = resolveVolumes(settings.volumes);
+  setVolumes(settings.volumes);
+  if (!RESOLUTIONS[settings.resolution]) settings.resolution = "high";
+}
+
+export function saveSettings() {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn("Could not save settings:", error);
+  }
+}
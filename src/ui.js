@@ -0,0 +1,810 @@
+// ====================================
+// UI
+// ====================================
+// Full-screen overlays: the loading screen, title and mode select,
+// results, leaderboard, stats, pause and settings menus.
+
+import { formatTime } from "../game-core.js";
+import {
+  INITIALS_LENGTH,
+  bestOfDay,
+  dateKey,
+  getDayEntries,
+  getHistory,
+  recordScore,
+} from "../leaderboard.js";
+import { getAccuracy, getProfile, switchProfile } from "../stats.js";
+import {
+  ACTIONS,
+  DEFAULT_BINDINGS,
+  keyLabel,
+  rebind,
+  resolveBindings,
+} from "../key-bindings.js";
+import {
+  MAX_SENSITIVITY,
+  MIN_SENSITIVITY,
+  clampSensitivity,
+} from "../mouse-look.js";
+import { setVolumes } from "../audio.js";
+import { describeGoal, getLevel } from "../levels.js";
+import { PORTAL_HUB_URL } from "../portal.js";
+import { describeProgress, loadFraction } from "../loading.js";
+import { RESOLUTIONS, applyGraphicsSettings } from "./scene.js";
+import { keyboardLayout, releaseAllInputs } from "./input.js";
+import {
+  currentSeed,
+  dailyChallengeDay,
+  finishedRun,
+  flow,
+  levelSet,
+  resumeGame,
+  run,
+  setPhase,
+  startNextWave,
+  startRound,
+  state,
+  stopRound,
+} from "./session.js";
+import {
+  loadLeaderboard,
+  profileStore,
+  saveLeaderboard,
+  saveProfiles,
+  saveSettings,
+  settings,
+} from "./storage.js";
+
+export let pendingRebind = null; // Action waiting for a key on the settings screen
+let settingsMenuBack = null; // Menu to return to from the settings screen
+
+export function showLoadProgress(load) {
+  const fraction = loadFraction(
+    load.itemsLoaded,
+    load.itemsTotal,
+    load.itemFraction
+  );
+  document.getElementById("loading-screen").classList.remove("failed");
+  document.getElementById("loading-fill").style.width = `${fraction * 100}%`;
+  setLoadingStatus(describeProgress(fraction, load.bytes));
+}
+
+export function setLoadingStatus(html) {
+  document.getElementById("loading-status").innerHTML = html;
+  document.getElementById("loading-actions").replaceChildren();
+}
+
+// Swaps the progress bar for `message` and a button per action, if any
+export function showLoadingError(message, actions = []) {
+  document.getElementById("loading-screen").classList.add("failed");
+  setLoadingStatus(message);
+  const container = document.getElementById("loading-actions");
+  actions.forEach(({ label, onClick }) => {
+    const button = document.createElement("button");
+    button.className = "glowy-button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    container.appendChild(button);
+  });
+}
+
+export function setupUI() {
+  // Setup game over element
+  const gameOverElement = document.createElement("div");
+  gameOverElement.style.position = "absolute";
+  gameOverElement.style.top = "50%";
+  gameOverElement.style.left = "50%";
+  gameOverElement.style.transform = "translate(-50%, -50%)";
+  gameOverElement.style.color = "white";
+  gameOverElement.style.fontSize = "48px";
+  gameOverElement.style.fontFamily = "Arial";
+  gameOverElement.style.display = "none";
+  document.body.appendChild(gameOverElement);
+}
+
+export function showResults() {
+  if (!setPhase("results")) return;
+  hideOverlay("game-over-banner");
+  if (state.mode === "daily") {
+    showDailyGameOver(finishedRun);
+    return;
+  }
+
+  const gameOverScreen = createOverlay(
+    "game-over",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Results</h1>
+      ${endReasonHtml()}
+      <p class="glowy-text">Final Score: ${state.score || 0}</p>
+      ${runSummaryHtml(finishedRun)}
+      <p class="seed-info">Seed: ${currentSeed} &middot; share with ?seed=${currentSeed}</p>
+      <div class="menu-buttons">
+        <button id="restart-button" class="glowy-button">Restart</button>
+        <button id="replay-button" class="glowy-button">Replay Galaxy</button>
+        <button id="menu-button" class="glowy-button">Main Menu</button>
+      </div>
+    </div>
+  `
+  );
+
+  document.getElementById("restart-button").addEventListener("click", () => {
+    gameOverScreen.remove();
+    startRound();
+  });
+  document.getElementById("replay-button").addEventListener("click", () => {
+    gameOverScreen.remove();
+    startRound({ replaySeed: true });
+  });
+  document.getElementById("menu-button").addEventListener("click", () => {
+    gameOverScreen.remove();
+    showStartMenu();
+  });
+}
+
+export function endReasonHtml() {
+  const reason =
+    state.endReason === "destroyed" ? "Your ship was destroyed!" : "Time's up!";
+  const wave = state.wave
+    ? ` &middot; Wave ${state.wave.index + 1}: ${state.wave.level.name}`
+    : "";
+  return `<p class="end-reason">${reason}${wave}</p>`;
+}
+
+export function showIntermission(bonus) {
+  const { index } = state.wave;
+  const next = getLevel(levelSet, index + 1);
+  const overlay = createOverlay(
+    "intermission",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Wave ${index + 1} Clear!</h1>
+      <p class="glowy-text">Time Bonus: +${bonus}</p>
+      <p class="glowy-text">Score: ${state.score}</p>
+      <p class="seed-info">Next: Wave ${index + 2} &middot; ${next.name}</p>
+      <p class="wave-brief">${describeGoal(next.goal)} in ${formatTime(
+      next.time
+    )}</p>
+      <div class="menu-buttons">
+        <button id="next-wave-button" class="glowy-button">Next Wave</button>
+      </div>
+    </div>
+  `
+  );
+  document.getElementById("next-wave-button").addEventListener("click", () => {
+    overlay.remove();
+    startNextWave();
+  });
+}
+
+// Full-screen overlays share the #game-over look; only one of each id at a time
+export function createOverlay(id, html) {
+  hideOverlay(id);
+  const overlay = document.createElement("div");
+  overlay.id = id;
+  overlay.innerHTML = html;
+  document.body.appendChild(overlay);
+  return overlay;
+}
+
+export function hideOverlay(id) {
+  const overlay = document.getElementById(id);
+  if (overlay) overlay.remove();
+}
+
+// The title screen. Its sub-screens (leaderboard, stats, settings, credits)
+// come back here without leaving the title phase; quitting a paused round
+// tears it down first.
+export function showStartMenu() {
+  if (flow.phase !== "title") {
+    if (!setPhase("title")) return;
+    if (!state.endReason) stopRound();
+  }
+  const today = dateKey();
+  const best = bestOfDay(loadLeaderboard(), today);
+
+  createOverlay(
+    "start-menu",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Cosmic Hunter</h1>
+      <div class="menu-buttons">
+        <button id="play-button" class="glowy-button">Play</button>
+        <button id="leaderboard-button" class="glowy-button">Leaderboard</button>
+        <button id="stats-button" class="glowy-button">Stats</button>
+        <button id="menu-settings-button" class="glowy-button">Settings</button>
+        <button id="credits-button" class="glowy-button">Credits</button>
+      </div>
+      <p class="seed-info">Pilot: ${profileStore.active} &middot; ${
+      best
+        ? `Today's best: ${best.initials} &middot; ${best.score}`
+        : `No daily score yet for ${today}`
+    }</p>
+    </div>
+  `
+  );
+
+  document.getElementById("play-button").addEventListener("click", () => {
+    hideOverlay("start-menu");
+    showModeSelect();
+  });
+  document
+    .getElementById("leaderboard-button")
+    .addEventListener("click", () => {
+      hideOverlay("start-menu");
+      showLeaderboard({ day: today });
+    });
+  document.getElementById("stats-button").addEventListener("click", () => {
+    hideOverlay("start-menu");
+    showStatsPage();
+  });
+  document
+    .getElementById("menu-settings-button")
+    .addEventListener("click", () => {
+      hideOverlay("start-menu");
+      showSettingsMenu({ onBack: showStartMenu });
+    });
+  document.getElementById("credits-button").addEventListener("click", () => {
+    hideOverlay("start-menu");
+    showCredits();
+  });
+}
+
+const GAME_MODES = [
+  {
+    mode: "classic",
+    label: "Classic",
+    description: "A fresh galaxy and five minutes on the clock",
+  },
+  {
+    mode: "daily",
+    label: "Daily Challenge",
+    description: "Everyone gets the same galaxy today; one leaderboard",
+  },
+  {
+    mode: "levels",
+    label: "Waves",
+    description: "Clear each wave's goal before time runs out",
+  },
+];
+
+function showModeSelect() {
+  const screen = createOverlay(
+    "mode-select",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Choose a Mode</h1>
+      ${GAME_MODES.map(
+        ({ mode, label, description }) => `
+        <div class="mode-option">
+          <button class="glowy-button" data-mode="${mode}" ${
+          mode === "levels" && !levelSet?.levels.length ? "disabled" : ""
+        }>${label}</button>
+          <p class="seed-info">${description}</p>
+        </div>`
+      ).join("")}
+      <div class="menu-buttons">
+        <button id="mode-back-button" class="glowy-button">Back</button>
+      </div>
+    </div>
+  `
+  );
+
+  screen.querySelectorAll("[data-mode]").forEach((button) => {
+    button.addEventListener("click", () =>
+      startRound({ mode: button.dataset.mode })
+    );
+  });
+  document.getElementById("mode-back-button").addEventListener("click", () => {
+    screen.remove();
+    showStartMenu();
+  });
+}
+
+function showCredits() {
+  const screen = createOverlay(
+    "credits",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Credits</h1>
+      <p class="seed-info">Cosmic Hunter &middot; made for the Vibe Jam</p>
+      <p class="seed-info">
+        Rendering by <a href="https://threejs.org" target="_blank"
+        rel="noopener">three.js</a> &middot; Orbitron typeface by Matt McInerney
+      </p>
+      <p class="seed-info">
+        Sound effects and music are synthesized live with the Web Audio API
+      </p>
+      <p class="seed-info">
+        Portals courtesy of the <a href="${PORTAL_HUB_URL}" target="_blank"
+        rel="noopener">Vibe Jam portal</a> network
+      </p>
+      <div class="menu-buttons">
+        <button id="credits-back-button" class="glowy-button">Back</button>
+      </div>
+    </div>
+  `
+  );
+  document
+    .getElementById("credits-back-button")
+    .addEventListener("click", () => {
+      screen.remove();
+      showStartMenu();
+    });
+}
+
+function showDailyGameOver(records) {
+  const gameOverScreen = createOverlay(
+    "game-over",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Daily Challenge Over!</h1>
+      ${endReasonHtml()}
+      <p class="glowy-text">Final Score: ${state.score || 0}</p>
+      ${runSummaryHtml(records)}
+      <p class="seed-info">${dailyChallengeDay} &middot; enter your initials</p>
+      <form id="initials-form" class="initials-form">
+        <input
+          id="initials-input"
+          class="initials-input"
+          maxlength="${INITIALS_LENGTH}"
+          autocomplete="off"
+          value="${settings.initials}"
+        />
+        <button type="submit" class="glowy-button">Save</button>
+      </form>
+    </div>
+  `
+  );
+
+  const input = document.getElementById("initials-input");
+  input.focus();
+  input.select();
+
+  document.getElementById("initials-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const board = loadLeaderboard();
+    const entry = recordScore(
+      board,
+      dailyChallengeDay,
+      input.value,
+      state.score || 0,
+      Date.now()
+    );
+    saveLeaderboard(board);
+    if (entry) {
+      settings.initials = entry.initials.replace(/-+$/, "");
+      saveSettings();
+    }
+    gameOverScreen.remove();
+    showLeaderboard({ day: dailyChallengeDay, highlight: entry, retry: true });
+  });
+}
+
+// The day's board plus a summary of every day played. `highlight` marks a
+// freshly saved entry; `retry` offers another go at the daily challenge.
+function showLeaderboard({ day, highlight = null, retry = false }) {
+  const board = loadLeaderboard();
+  const entries = getDayEntries(board, day);
+  const history = getHistory(board);
+
+  const rows = entries
+    .map((entry, index) => {
+      const classes = [
+        index === 0 ? "best" : "",
+        entry.timestamp === highlight?.timestamp ? "highlight" : "",
+      ].join(" ");
+      return `
+        <tr class="${classes}">
+          <td>${index + 1}</td>
+          <td>${entry.initials}</td>
+          <td>${entry.score}</td>
+        </tr>`;
+    })
+    .join("");
+  const historyRows = history
+    .map(
+      ({ day: historyDay, best, entries: count }) => `
+        <tr class="${historyDay === day ? "highlight" : ""}">
+          <td>${historyDay}</td>
+          <td>${best.initials}</td>
+          <td>${best.score}</td>
+          <td>${count}</td>
+        </tr>`
+    )
+    .join("");
+
+  createOverlay(
+    "leaderboard",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Daily Challenge</h1>
+      <p class="seed-info">${day}${
+      highlight === null && retry ? " &middot; score didn't place" : ""
+    }</p>
+      <table class="leaderboard-table">
+        <tr><th>#</th><th>Pilot</th><th>Score</th></tr>
+        ${rows || `<tr><td colspan="3">No scores yet</td></tr>`}
+      </table>
+      <h2 class="glowy-text leaderboard-heading">History</h2>
+      <table class="leaderboard-table">
+        <tr><th>Day</th><th>Best</th><th>Score</th><th>Entries</th></tr>
+        ${historyRows || `<tr><td colspan="4">No days played yet</td></tr>`}
+      </table>
+      <div class="menu-buttons">
+        ${
+          retry
+            ? `<button id="retry-daily-button" class="glowy-button">Retry Daily</button>`
+            : ""
+        }
+        <button id="leaderboard-back-button" class="glowy-button">Main Menu</button>
+      </div>
+    </div>
+  `
+  );
+
+  if (retry) {
+    document
+      .getElementById("retry-daily-button")
+      .addEventListener("click", () => startRound({ mode: "daily" }));
+  }
+  document
+    .getElementById("leaderboard-back-button")
+    .addEventListener("click", () => {
+      hideOverlay("leaderboard");
+      showStartMenu();
+    });
+}
+
+// Record callouts plus a one-line recap of the run just finished
+function runSummaryHtml(records) {
+  const { destroyed } = run;
+  const callouts = [
+    records.newBest ? "New Best!" : "",
+    records.newLongestStreak ? "New Longest Streak!" : "",
+  ]
+    .filter(Boolean)
+    .map((text) => `<p class="record-callout">${text}</p>`)
+    .join("");
+
+  return `
+    ${callouts}
+    <p class="seed-info">
+      Destroyed ${destroyed.common} common &middot; ${destroyed.exotic} exotic
+      &middot; ${destroyed.rare} rare &middot; Streak ${run.longestStreak}
+      &middot; ${getAccuracy(run).toFixed(2)} hits/s
+    </p>
+  `;
+}
+
+function showStatsPage() {
+  const profile = getProfile(profileStore);
+  const options = Object.keys(profileStore.profiles)
+    .map(
+      (name) =>
+        `<option value="${name}" ${
+          name === profileStore.active ? "selected" : ""
+        }>${name}</option>`
+    )
+    .join("");
+  const historyRows = profile.history
+    .slice(0, 10)
+    .map(
+      (entry) => `
+        <tr>
+          <td>${new Date(entry.timestamp).toLocaleDateString()}</td>
+          <td>${entry.mode}</td>
+          <td>${entry.score}</td>
+          <td>${entry.hits}</td>
+          <td>${entry.longestStreak}</td>
+        </tr>`
+    )
+    .join("");
+
+  const statsScreen = createOverlay(
+    "stats",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Pilot Stats</h1>
+      <form id="profile-form" class="initials-form">
+        <select id="profile-select" class="profile-input">${options}</select>
+        <input
+          id="profile-name-input"
+          class="profile-input"
+          placeholder="New pilot"
+          maxlength="12"
+          autocomplete="off"
+        />
+        <button type="submit" class="glowy-button">Switch</button>
+      </form>
+      <table class="leaderboard-table">
+        <tr><td>Games played</td><td>${profile.gamesPlayed}</td></tr>
+        <tr class="best"><td>Best score</td><td>${profile.bestScore}</td></tr>
+        <tr><td>Common destroyed</td><td>${profile.destroyed.common}</td></tr>
+        <tr><td>Exotic destroyed</td><td>${profile.destroyed.exotic}</td></tr>
+        <tr><td>Rare destroyed</td><td>${profile.destroyed.rare}</td></tr>
+        <tr><td>Laser time</td><td>${formatTime(profile.laserTime)}</td></tr>
+        <tr><td>Accuracy</td><td>${getAccuracy(profile).toFixed(
+          2
+        )} hits/s</td></tr>
+        <tr><td>Longest streak</td><td>${profile.longestStreak}</td></tr>
+      </table>
+      <h2 class="glowy-text leaderboard-heading">Recent Runs</h2>
+      <table class="leaderboard-table">
+        <tr><th>Date</th><th>Mode</th><th>Score</th><th>Hits</th><th>Streak</th></tr>
+        ${historyRows || `<tr><td colspan="5">No runs yet</td></tr>`}
+      </table>
+      <div class="menu-buttons">
+        <button id="stats-back-button" class="glowy-button">Main Menu</button>
+      </div>
+    </div>
+  `
+  );
+
+  // Typing a new name wins over the dropdown
+  document.getElementById("profile-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name =
+      document.getElementById("profile-name-input").value.trim() ||
+      document.getElementById("profile-select").value;
+    switchProfile(profileStore, name);
+    saveProfiles();
+    showStatsPage();
+  });
+  document.getElementById("stats-back-button").addEventListener("click", () => {
+    statsScreen.remove();
+    showStartMenu();
+  });
+}
+
+export function showPauseMenu() {
+  hidePauseMenu();
+
+  const pauseScreen = document.createElement("div");
+  pauseScreen.id = "pause-menu";
+  pauseScreen.innerHTML = `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Paused</h1>
+      <div class="menu-buttons">
+        <button id="resume-button" class="glowy-button">Resume</button>
+        <button id="pause-restart-button" class="glowy-button">Restart</button>
+        <button id="settings-button" class="glowy-button">Settings</button>
+        <button id="quit-button" class="glowy-button">Main Menu</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(pauseScreen);
+
+  document
+    .getElementById("resume-button")
+    .addEventListener("click", resumeGame);
+  document
+    .getElementById("pause-restart-button")
+    .addEventListener("click", () => {
+      stopRound();
+      startRound();
+    });
+  document.getElementById("settings-button").addEventListener("click", () => {
+    hidePauseMenu();
+    showSettingsMenu({ onBack: showPauseMenu });
+  });
+  document.getElementById("quit-button").addEventListener("click", () => {
+    hidePauseMenu();
+    showStartMenu();
+  });
+}
+
+const VOLUME_SLIDERS = [
+  { bus: "master", label: "Master volume" },
+  { bus: "sfx", label: "Effects volume" },
+  { bus: "music", label: "Music volume" },
+];
+
+// `onBack` reopens whichever menu the settings were opened from
+function showSettingsMenu({ onBack, notice = "" }) {
+  settingsMenuBack = onBack;
+  const bindingRows = ACTIONS.map(
+    ({ id, label }) => `
+      <tr>
+        <td>${label}</td>
+        <td>
+          <button class="binding-button" data-action="${id}">${
+      pendingRebind === id
+        ? "Press a key&hellip;"
+        : settings.keyBindings[id]
+            .map((code) => keyLabel(code, keyboardLayout))
+            .join(" / ") || "Unbound"
+    }</button>
+        </td>
+      </tr>`
+  ).join("");
+
+  const settingsScreen = createOverlay(
+    "settings-menu",
+    `
+    <div class="game-over-content">
+      <h1 class="glowy-text">Settings</h1>
+      <label class="settings-option glowy-text">
+        <input type="checkbox" id="pause-on-focus-loss" ${
+          settings.pauseOnFocusLoss ? "checked" : ""
+        } />
+        Pause when the window loses focus
+      </label>
+      <h2 class="glowy-text leaderboard-heading">Graphics</h2>
+      <label class="settings-option glowy-text">
+        Resolution
+        <select id="resolution" class="settings-select">
+          ${Object.entries(RESOLUTIONS)
+            .map(
+              ([key, { label }]) =>
+                `<option value="${key}" ${
+                  settings.resolution === key ? "selected" : ""
+                }>${label}</option>`
+            )
+            .join("")}
+        </select>
+      </label>
+      <label class="settings-option glowy-text">
+        <input type="checkbox" id="cosmic-dust" ${
+          settings.cosmicDust ? "checked" : ""
+        } />
+        Cosmic dust
+      </label>
+      <label class="settings-option glowy-text">
+        <input type="checkbox" id="screen-shake" ${
+          settings.screenShake ? "checked" : ""
+        } />
+        Screen shake
+      </label>
+      <h2 class="glowy-text leaderboard-heading">Audio</h2>
+      ${VOLUME_SLIDERS.map(
+        ({ bus, label }) => `
+        <label class="settings-option glowy-text">
+          ${label}
+          <input type="range" class="volume-slider" data-bus="${bus}"
+            min="0" max="1" step="0.05" value="${settings.volumes[bus]}" />
+        </label>`
+      ).join("")}
+      <h2 class="glowy-text leaderboard-heading">Aiming</h2>
+      <label class="settings-option glowy-text">
+        <input type="checkbox" id="mouse-look" ${
+          settings.aimMode === "mouselook" ? "checked" : ""
+        } />
+        Mouse-look (click the game to lock the pointer)
+      </label>
+      <label class="settings-option glowy-text">
+        Sensitivity
+        <input type="range" id="mouse-sensitivity" min="${MIN_SENSITIVITY}"
+          max="${MAX_SENSITIVITY}" step="0.1"
+          value="${settings.mouseSensitivity}" />
+        <span id="mouse-sensitivity-value">${settings.mouseSensitivity.toFixed(
+          1
+        )}</span>
+      </label>
+      <label class="settings-option glowy-text">
+        <input type="checkbox" id="invert-y" ${
+          settings.invertY ? "checked" : ""
+        } />
+        Invert mouse Y
+      </label>
+      <h2 class="glowy-text leaderboard-heading">Controls</h2>
+      <table class="leaderboard-table">
+        ${bindingRows}
+        <tr><td>Pause</td><td>Esc</td></tr>
+      </table>
+      <p class="seed-info">${notice || "Click a key to rebind it"}</p>
+      <p class="seed-info">
+        Gamepad: left stick move &middot; right stick camera &middot; triggers
+        descend/ascend &middot; A or RB fire &middot; LB switch weapon
+        &middot; Start pause
+      </p>
+      <div class="menu-buttons">
+        <button id="reset-bindings-button" class="glowy-button">Reset Controls</button>
+        <button id="settings-back-button" class="glowy-button">Back</button>
+      </div>
+    </div>
+  `
+  );
+  const reopen = (notice) => showSettingsMenu({ onBack, notice });
+
+  document
+    .getElementById("pause-on-focus-loss")
+    .addEventListener("change", (e) => {
+      settings.pauseOnFocusLoss = e.target.checked;
+      saveSettings();
+    });
+  document.getElementById("resolution").addEventListener("change", (e) => {
+    settings.resolution = e.target.value;
+    applyGraphicsSettings();
+    saveSettings();
+  });
+  document.getElementById("cosmic-dust").addEventListener("change", (e) => {
+    settings.cosmicDust = e.target.checked;
+    applyGraphicsSettings();
+    saveSettings();
+  });
+  document.getElementById("screen-shake").addEventListener("change", (e) => {
+    settings.screenShake = e.target.checked;
+    saveSettings();
+  });
+  document.getElementById("mouse-look").addEventListener("change", (e) => {
+    settings.aimMode = e.target.checked ? "mouselook" : "free";
+    saveSettings();
+  });
+  document
+    .getElementById("mouse-sensitivity")
+    .addEventListener("input", (e) => {
+      settings.mouseSensitivity = clampSensitivity(e.target.value);
+      document.getElementById("mouse-sensitivity-value").textContent =
+        settings.mouseSensitivity.toFixed(1);
+      saveSettings();
+    });
+  settingsScreen.querySelectorAll(".volume-slider").forEach((slider) => {
+    slider.addEventListener("input", () => {
+      settings.volumes[slider.dataset.bus] = Number(slider.value);
+      setVolumes(settings.volumes);
+      saveSettings();
+    });
+  });
+  document.getElementById("invert-y").addEventListener("change", (e) => {
+    settings.invertY = e.target.checked;
+    saveSettings();
+  });
+  settingsScreen.querySelectorAll(".binding-button").forEach((button) => {
+    button.addEventListener("click", () => {
+      pendingRebind = button.dataset.action;
+      reopen("Press a key (Esc to cancel)");
+    });
+  });
+  document
+    .getElementById("reset-bindings-button")
+    .addEventListener("click", () => {
+      pendingRebind = null;
+      settings.keyBindings = resolveBindings(DEFAULT_BINDINGS);
+      saveSettings();
+      reopen("Controls reset to defaults");
+    });
+  document
+    .getElementById("settings-back-button")
+    .addEventListener("click", () => {
+      pendingRebind = null;
+      settingsScreen.remove();
+      onBack();
+    });
+}
+
+export function captureRebind(code) {
+  const action = pendingRebind;
+  pendingRebind = null;
+  const reopen = (notice) =>
+    showSettingsMenu({ onBack: settingsMenuBack, notice });
+
+  if (code === "Escape") {
+    reopen("Rebinding cancelled");
+    return;
+  }
+
+  const result = rebind(settings.keyBindings, action, code);
+  if (result.refused) {
+    reopen(`${keyLabel(code, keyboardLayout)} can't be rebound`);
+    return;
+  }
+
+  settings.keyBindings = result.bindings;
+  saveSettings();
+  releaseAllInputs();
+
+  const labelOf = (id) => ACTIONS.find((entry) => entry.id === id).label;
+  reopen(
+    result.conflict
+      ? `${keyLabel(code, keyboardLayout)} was used by ${labelOf(
+          result.conflict
+        )}, so the two were swapped`
+      : `${labelOf(action)} bound to ${keyLabel(code, keyboardLayout)}`
+  );
+}
+
+export function hidePauseMenu() {
+  const pauseScreen = document.getElementById("pause-menu");
+  if (pauseScreen) pauseScreen.remove();
+}
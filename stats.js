@@ -0,0 +1,138 @@
+// ====================================
+// RUN STATISTICS AND PROFILES
+// ====================================
+// Pure bookkeeping for per-run stats and the per-profile totals they roll
+// up into. Profiles are plain objects so the whole store can be saved as
+// JSON.
+
+export const DEFAULT_PROFILE_NAME = "Pilot";
+export const MAX_RUN_HISTORY = 20;
+export const MAX_PROFILE_NAME_LENGTH = 12;
+
+const CATEGORIES = ["common", "exotic", "rare"];
+
+function emptyCategoryCounts() {
+  return Object.fromEntries(CATEGORIES.map((category) => [category, 0]));
+}
+
+// ====================================
+// RUN
+// ====================================
+export function createRunStats() {
+  return {
+    destroyed: emptyCategoryCounts(),
+    hits: 0,
+    laserTime: 0, // Seconds spent with the laser on
+    streak: 0,
+    longestStreak: 0,
+    burstHits: 0, // Hits during the current laser burst
+  };
+}
+
+export function recordLaserTime(run, dt) {
+  run.laserTime += dt;
+}
+
+export function recordHit(run, category) {
+  run.destroyed[category] = (run.destroyed[category] || 0) + 1;
+  run.hits++;
+  run.burstHits++;
+  run.streak++;
+  run.longestStreak = Math.max(run.longestStreak, run.streak);
+}
+
+// A burst that destroys nothing is a miss and breaks the streak
+export function endBurst(run) {
+  if (run.burstHits === 0) run.streak = 0;
+  run.burstHits = 0;
+}
+
+// A shot that can't end in a burst (a missile fizzling out) and missed
+export function breakStreak(run) {
+  run.streak = 0;
+}
+
+// Planets destroyed per second of laser time
+export function getAccuracy({ hits, laserTime }) {
+  return laserTime > 0 ? hits / laserTime : 0;
+}
+
+// ====================================
+// PROFILES
+// ====================================
+export function createProfileStats() {
+  return {
+    gamesPlayed: 0,
+    bestScore: 0,
+    destroyed: emptyCategoryCounts(),
+    hits: 0,
+    laserTime: 0,
+    longestStreak: 0,
+    history: [], // Most recent run first
+  };
+}
+
+// Folds a finished run into the profile and reports which records fell
+export function finishRun(profile, run, { score, mode, seed, timestamp }) {
+  const records = {
+    newBest: profile.gamesPlayed > 0 && score > profile.bestScore,
+    newLongestStreak:
+      profile.gamesPlayed > 0 && run.longestStreak > profile.longestStreak,
+    firstRun: profile.gamesPlayed === 0,
+  };
+
+  profile.gamesPlayed++;
+  profile.bestScore = Math.max(profile.bestScore, score);
+  CATEGORIES.forEach((category) => {
+    profile.destroyed[category] += run.destroyed[category] || 0;
+  });
+  profile.hits += run.hits;
+  profile.laserTime += run.laserTime;
+  profile.longestStreak = Math.max(profile.longestStreak, run.longestStreak);
+  profile.history = [
+    {
+      score,
+      mode,
+      seed,
+      timestamp,
+      hits: run.hits,
+      laserTime: run.laserTime,
+      longestStreak: run.longestStreak,
+      destroyed: { ...run.destroyed },
+    },
+    ...profile.history,
+  ].slice(0, MAX_RUN_HISTORY);
+
+  return records;
+}
+
+export function normalizeProfileName(name) {
+  const cleaned = String(name || "")
+    .replace(/[^\w -]/g, "")
+    .trim()
+    .slice(0, MAX_PROFILE_NAME_LENGTH);
+  // "__proto__" can't be a key of a plain object, so it can't be a profile
+  return cleaned && cleaned !== "__proto__" ? cleaned : DEFAULT_PROFILE_NAME;
+}
+
+// { active, profiles: { [name]: profileStats } }
+export function createProfileStore() {
+  return {
+    active: DEFAULT_PROFILE_NAME,
+    profiles: { [DEFAULT_PROFILE_NAME]: createProfileStats() },
+  };
+}
+
+// Returns the named profile, creating it if needed. Only own keys count,
+// so a pilot called "constructor" doesn't pick up Object.prototype's.
+export function getProfile(store, name = store.active) {
+  if (!Object.hasOwn(store.profiles, name)) {
+    store.profiles[name] = createProfileStats();
+  }
+  return store.profiles[name];
+}
+
+export function switchProfile(store, name) {
+  store.active = normalizeProfileName(name);
+  return getProfile(store);
+}
@@ -0,0 +1,79 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_VOLUMES,
+  ambientIntensity,
+  crossedWarning,
+  distanceGain,
+  playDestructionSound,
+  resolveVolumes,
+  stereoPan,
+} from "../audio.js";
+
+describe("resolveVolumes", () => {
+  it("fills in defaults and clamps to 0-1", () => {
+    assert.deepEqual(resolveVolumes(), DEFAULT_VOLUMES);
+    assert.deepEqual(resolveVolumes({ master: 2, sfx: -1, music: "loud" }), {
+      master: 1,
+      sfx: 0,
+      music: DEFAULT_VOLUMES.music,
+    });
+  });
+});
+
+describe("stereoPan", () => {
+  const right = { x: 1, y: 0, z: 0 };
+
+  it("pans by direction relative to the listener", () => {
+    assert.equal(stereoPan({ x: 50, y: 0, z: 0 }, right), 1);
+    assert.equal(stereoPan({ x: -50, y: 0, z: 0 }, right), -1);
+    assert.equal(stereoPan({ x: 0, y: 0, z: -50 }, right), 0);
+  });
+
+  it("centers a sound on top of the listener", () => {
+    assert.equal(stereoPan({ x: 0, y: 0, z: 0 }, right), 0);
+  });
+});
+
+describe("distanceGain", () => {
+  it("fades with distance but never to silence", () => {
+    assert.equal(distanceGain(100), 1);
+    assert.ok(distanceGain(3000) < 1);
+    assert.ok(distanceGain(1e9) > 0);
+  });
+});
+
+describe("crossedWarning", () => {
+  it("reports each threshold once as the clock passes it", () => {
+    assert.equal(crossedWarning(60.01, 59.99), 60);
+    assert.equal(crossedWarning(59.99, 59.97), null);
+    assert.equal(crossedWarning(5.01, 4.99), 5);
+    assert.equal(crossedWarning(120, 119), null);
+  });
+});
+
+describe("ambientIntensity", () => {
+  it("builds as time runs out and while firing", () => {
+    const calm = ambientIntensity({
+      timeFraction: 1,
+      laserActive: false,
+      streak: 0,
+    });
+    const tense = ambientIntensity({
+      timeFraction: 0.1,
+      laserActive: true,
+      streak: 4,
+    });
+    assert.ok(tense > calm);
+    assert.ok(
+      ambientIntensity({ timeFraction: 0, laserActive: true, streak: 99 }) <= 1
+    );
+  });
+});
+
+describe("engine", () => {
+  it("stays silent until unlocked", () => {
+    assert.doesNotThrow(() => playDestructionSound("rare"));
+  });
+});
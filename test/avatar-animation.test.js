@@ -0,0 +1,138 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  CLIMB_PITCH,
+  MAX_BANK,
+  MAX_PITCH,
+  createTilt,
+  matchClips,
+  pickMotion,
+  resolveMotion,
+  stepTilt,
+  tiltTarget,
+} from "../avatar-animation.js";
+
+describe("matchClips", () => {
+  it("assigns clips to roles by name", () => {
+    assert.deepEqual(
+      matchClips([
+        "Idle",
+        "FlyForward",
+        "FlyBackward",
+        "Ascend",
+        "Descend",
+        "Shoot",
+      ]),
+      {
+        fire: "Shoot",
+        idle: "Idle",
+        forward: "FlyForward",
+        backward: "FlyBackward",
+        ascend: "Ascend",
+        descend: "Descend",
+      }
+    );
+  });
+
+  it("uses each clip for one role only", () => {
+    const clips = matchClips(["Fly_Up", "Fly"]);
+    assert.equal(clips.ascend, "Fly_Up");
+    assert.equal(clips.forward, "Fly");
+  });
+
+  it("doesn't take a flip for flying backward", () => {
+    const clips = matchClips(["Idle", "Backflip", "Fly_Back"]);
+    assert.equal(clips.backward, "Fly_Back");
+    assert.equal(matchClips(["Idle", "BackFlip"]).backward, null);
+    assert.equal(matchClips(["WalkBackwards"]).backward, "WalkBackwards");
+  });
+
+  it("doesn't read 'up' inside other words", () => {
+    assert.equal(matchClips(["Pickup"]).ascend, null);
+  });
+
+  it("idles on a spare clip when none is called idle", () => {
+    assert.equal(matchClips(["Run", "Dance"]).idle, "Dance");
+    assert.equal(matchClips(["Run"]).idle, "Run");
+  });
+
+  it("leaves every role empty for a model without clips", () => {
+    assert.ok(Object.values(matchClips([])).every((name) => name === null));
+  });
+});
+
+describe("pickMotion", () => {
+  it("idles with no input", () => {
+    assert.equal(pickMotion({}), "idle");
+    assert.equal(pickMotion(undefined), "idle");
+  });
+
+  it("follows the stronger direction", () => {
+    assert.equal(pickMotion({ forward: 1 }), "forward");
+    assert.equal(pickMotion({ backward: 0.5 }), "backward");
+    assert.equal(pickMotion({ forward: 1, backward: 1 }), "idle");
+  });
+
+  it("puts climbing and diving ahead of flying", () => {
+    assert.equal(pickMotion({ forward: 1, up: 1 }), "ascend");
+    assert.equal(pickMotion({ forward: 1, down: 1 }), "descend");
+  });
+
+  it("ignores tiny analog input", () => {
+    assert.equal(pickMotion({ forward: 0.05 }), "idle");
+  });
+});
+
+describe("resolveMotion", () => {
+  const clips = matchClips(["Idle", "Fly"]);
+
+  it("plays the role's own clip when there is one", () => {
+    assert.equal(resolveMotion("forward", clips), "forward");
+  });
+
+  it("falls back to the closest role with a clip", () => {
+    assert.equal(resolveMotion("ascend", clips), "forward");
+    assert.equal(resolveMotion("backward", clips), "forward");
+    assert.equal(resolveMotion("backward", matchClips(["Idle"])), "idle");
+  });
+
+  it("is null for a model without clips", () => {
+    assert.equal(resolveMotion("forward", matchClips([])), null);
+  });
+});
+
+describe("tilt", () => {
+  it("banks into turns", () => {
+    assert.equal(tiltTarget({ rotateLeft: 1 }).bank, -MAX_BANK);
+    assert.equal(tiltTarget({ rotateRight: 1 }).bank, MAX_BANK);
+  });
+
+  it("dips the nose going forward and lifts it climbing", () => {
+    assert.equal(tiltTarget({ forward: 1 }).pitch, MAX_PITCH);
+    assert.equal(tiltTarget({ up: 1 }).pitch, -CLIMB_PITCH);
+  });
+
+  it("eases towards the target", () => {
+    const tilt = createTilt();
+    stepTilt(tilt, { rotateRight: 1 }, 1 / 60);
+    assert.ok(tilt.bank > 0 && tilt.bank < MAX_BANK);
+    for (let i = 0; i < 600; i++) stepTilt(tilt, { rotateRight: 1 }, 1 / 60);
+    assert.ok(Math.abs(tilt.bank - MAX_BANK) < 1e-6);
+  });
+
+  it("levels out once the controls are released", () => {
+    const tilt = { bank: MAX_BANK, pitch: MAX_PITCH };
+    for (let i = 0; i < 600; i++) stepTilt(tilt, {}, 1 / 60);
+    assert.ok(Math.abs(tilt.bank) < 1e-6);
+    assert.ok(Math.abs(tilt.pitch) < 1e-6);
+  });
+
+  it("doesn't depend on the frame rate", () => {
+    const fast = createTilt();
+    const slow = createTilt();
+    for (let i = 0; i < 4; i++) stepTilt(fast, { rotateLeft: 1 }, 1 / 120);
+    stepTilt(slow, { rotateLeft: 1 }, 1 / 30);
+    assert.ok(Math.abs(fast.bank - slow.bank) < 1e-9);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  COLOR_CHAIN_BONUS,
+  COMBO_WINDOW,
+  KILLS_PER_LEVEL,
+  MAX_COLOR_CHAIN_BONUS,
+  MAX_MULTIPLIER,
+  RARE_WINDOW_BONUS,
+  createCombo,
+  getComboDecay,
+  getMultiplier,
+  registerKill,
+  resetCombo,
+  stepCombo,
+} from "../combo.js";
+
+describe("multiplier", () => {
+  it("steps up every few kills and caps", () => {
+    assert.equal(getMultiplier(1), 1);
+    assert.equal(getMultiplier(KILLS_PER_LEVEL), 2);
+    assert.equal(getMultiplier(KILLS_PER_LEVEL * 2), 3);
+    assert.equal(getMultiplier(1000), MAX_MULTIPLIER);
+  });
+});
+
+describe("registerKill", () => {
+  it("builds the multiplier over a chain of kills", () => {
+    const combo = createCombo();
+    let result;
+    for (let i = 0; i < KILLS_PER_LEVEL; i++) {
+      result = registerKill(combo, { category: "common", color: i });
+    }
+    assert.equal(result.multiplier, 2);
+    assert.equal(result.colorBonus, 1);
+    assert.equal(result.total, 2);
+  });
+
+  it("rewards same-color chains", () => {
+    const combo = createCombo();
+    registerKill(combo, { category: "common", color: 0xff0000 });
+    const second = registerKill(combo, { category: "common", color: 0xff0000 });
+    assert.equal(second.colorBonus, 1 + COLOR_CHAIN_BONUS);
+
+    for (let i = 0; i < 10; i++) {
+      registerKill(combo, { category: "common", color: 0xff0000 });
+    }
+    const capped = registerKill(combo, { category: "common", color: 0xff0000 });
+    assert.equal(capped.colorBonus, 1 + MAX_COLOR_CHAIN_BONUS);
+
+    const broken = registerKill(combo, { category: "common", color: 0x00ff00 });
+    assert.equal(broken.colorBonus, 1);
+  });
+
+  it("gives rare kills a longer window", () => {
+    const combo = createCombo();
+    registerKill(combo, { category: "rare", color: 1 });
+    assert.equal(combo.timeLeft, COMBO_WINDOW + RARE_WINDOW_BONUS);
+
+    // A common kill right after doesn't cut the extended window short
+    registerKill(combo, { category: "common", color: 2 });
+    assert.equal(combo.timeLeft, COMBO_WINDOW + RARE_WINDOW_BONUS);
+  });
+});
+
+describe("stepCombo", () => {
+  it("decays and resets once the window runs out", () => {
+    const combo = createCombo();
+    registerKill(combo, { category: "common", color: 1 });
+    assert.equal(stepCombo(combo, COMBO_WINDOW / 2), false);
+    assert.equal(getComboDecay(combo), 0.5);
+    assert.equal(stepCombo(combo, COMBO_WINDOW / 2), true);
+    assert.deepEqual(combo, createCombo());
+    assert.equal(getComboDecay(combo), 0);
+  });
+
+  it("does nothing without a combo", () => {
+    assert.equal(stepCombo(createCombo(), 10), false);
+  });
+});
+
+describe("resetCombo", () => {
+  it("drops the chain and color streak in place", () => {
+    const combo = createCombo();
+    registerKill(combo, { category: "rare", color: 1 });
+    registerKill(combo, { category: "rare", color: 1 });
+    assert.equal(resetCombo(combo), combo);
+    assert.deepEqual(combo, createCombo());
+  });
+});
@@ -0,0 +1,497 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  AVATAR_MOVEMENT_SPEED,
+  AVATAR_ROTATION_SPEED,
+  CUBE_SIZE,
+  GAME_DURATION,
+  LASER_COOL_RATE,
+  LASER_FIRE_HEAT,
+  LASER_MAX_DURATION,
+  LASER_OVERHEAT_PENALTY,
+  LASER_RESUME_HEAT,
+  MAX_PLANETS,
+  PLANET_HEALTH,
+  MAX_SPAWNS_PER_STEP,
+  PLANET_CONFIG,
+  PLANET_QUOTAS,
+  addLaserHeat,
+  advanceTimer,
+  clampToCube,
+  countByCategory,
+  createGameState,
+  damagePlanet,
+  excessPlanetCount,
+  fireLaser,
+  formatTime,
+  generatePlanetSpec,
+  getHealthFraction,
+  getLaserHeat,
+  getPlanetHealth,
+  getRemainingTime,
+  initialSpawnList,
+  isRegularSpawn,
+  planRefill,
+  planRespawns,
+  releaseLaser,
+  resetGameState,
+  scorePlanetHit,
+  stepAvatar,
+  stepLaser,
+} from "../game-core.js";
+import { createCombo } from "../combo.js";
+import { createVitals } from "../hazards.js";
+import { createPowerUps } from "../powerups.js";
+
+// Cycles through fixed values so generated specs are predictable
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+describe("game state", () => {
+  it("starts a fresh round", () => {
+    assert.deepEqual(createGameState(), {
+      mode: "classic",
+      duration: GAME_DURATION,
+      score: 0,
+      gameTime: 0,
+      laserActive: false,
+      laserTime: 0,
+      laserHeat: 0,
+      overheated: false,
+      lockoutTime: 0,
+      weapon: "beam",
+      weaponCooldown: 0,
+      charging: false,
+      charge: 0,
+      combo: createCombo(),
+      vitals: createVitals(),
+      powerUps: createPowerUps(),
+      endReason: null,
+      wave: null,
+    });
+  });
+
+  it("resets in place", () => {
+    const state = createGameState();
+    state.score = 900;
+    state.endReason = "time";
+    const same = resetGameState(state);
+    assert.equal(same, state);
+    assert.deepEqual(state, createGameState());
+  });
+
+  it("keeps the mode across resets unless told otherwise", () => {
+    const state = createGameState({ mode: "daily", duration: 120 });
+    state.score = 50;
+    resetGameState(state);
+    assert.equal(state.mode, "daily");
+    assert.equal(state.duration, 120);
+    assert.equal(state.score, 0);
+
+    resetGameState(state, { mode: "classic", duration: GAME_DURATION });
+    assert.equal(state.mode, "classic");
+    assert.equal(state.duration, GAME_DURATION);
+  });
+});
+
+describe("timer", () => {
+  it("counts down the round", () => {
+    const state = createGameState();
+    assert.equal(advanceTimer(state, 10), GAME_DURATION - 10);
+    assert.equal(state.gameTime, 10);
+  });
+
+  it("uses the round's own duration", () => {
+    const state = createGameState({ duration: 60 });
+    assert.equal(advanceTimer(state, 10), 50);
+  });
+
+  it("never reports negative time", () => {
+    const state = createGameState();
+    advanceTimer(state, GAME_DURATION + 5);
+    assert.equal(getRemainingTime(state), 0);
+  });
+
+  it("stops once the round has ended", () => {
+    const state = createGameState();
+    state.endReason = "destroyed";
+    advanceTimer(state, 10);
+    assert.equal(state.gameTime, 0);
+  });
+
+  it("formats as mm:ss", () => {
+    assert.equal(formatTime(GAME_DURATION), "05:00");
+    assert.equal(formatTime(61.9), "01:01");
+    assert.equal(formatTime(0), "00:00");
+  });
+});
+
+describe("laser", () => {
+  it("fires only when idle and not overheated", () => {
+    const state = createGameState();
+    assert.equal(fireLaser(state), true);
+    assert.equal(fireLaser(state), false);
+
+    releaseLaser(state);
+    state.overheated = true;
+    assert.equal(fireLaser(state), false);
+  });
+
+  it("builds heat while firing and sheds it while idle", () => {
+    const state = createGameState();
+    fireLaser(state);
+    assert.equal(state.laserHeat, LASER_FIRE_HEAT);
+    stepLaser(state, 1);
+    assert.equal(state.laserHeat, LASER_FIRE_HEAT + 1);
+    assert.equal(releaseLaser(state), true);
+    assert.equal(releaseLaser(state), false);
+
+    stepLaser(state, 0.5);
+    assert.equal(state.laserHeat, LASER_FIRE_HEAT + 1 - 0.5 * LASER_COOL_RATE);
+    stepLaser(state, 60);
+    assert.equal(state.laserHeat, 0);
+  });
+
+  it("cools faster when scaled", () => {
+    const state = createGameState();
+    state.laserHeat = 2;
+    stepLaser(state, 0.25, 2);
+    assert.equal(state.laserHeat, 2 - 0.5 * LASER_COOL_RATE);
+  });
+
+  it("charges heat for every trigger pull", () => {
+    const state = createGameState();
+    for (let i = 0; i < 4; i++) {
+      fireLaser(state);
+      releaseLaser(state);
+    }
+    assert.equal(state.laserHeat, LASER_FIRE_HEAT * 4);
+  });
+
+  it("overheats after the maximum duration and locks out", () => {
+    const state = createGameState();
+    fireLaser(state);
+
+    // Quarter-second steps add up exactly in floating point
+    let overheated = false;
+    let steps = 0;
+    while (!overheated) {
+      overheated = stepLaser(state, 0.25);
+      steps++;
+    }
+    assert.equal(steps, (LASER_MAX_DURATION - LASER_FIRE_HEAT) / 0.25);
+    assert.equal(state.laserActive, false);
+    assert.equal(getLaserHeat(state), 1);
+    assert.equal(fireLaser(state), false);
+
+    // No cooling during the penalty
+    stepLaser(state, LASER_OVERHEAT_PENALTY);
+    assert.equal(state.laserHeat, LASER_MAX_DURATION);
+    assert.equal(fireLaser(state), false);
+
+    // Unlocks once cooled to the resume point
+    const coolTime = (LASER_MAX_DURATION - LASER_RESUME_HEAT) / LASER_COOL_RATE;
+    stepLaser(state, coolTime / 2);
+    assert.equal(fireLaser(state), false);
+    stepLaser(state, coolTime / 2);
+    assert.equal(state.overheated, false);
+    assert.equal(fireLaser(state), true);
+  });
+
+  it("overheats once from any weapon's heat", () => {
+    const state = createGameState();
+    fireLaser(state);
+    assert.equal(addLaserHeat(state, LASER_MAX_DURATION), true);
+    assert.equal(state.laserActive, false);
+    assert.equal(state.lockoutTime, LASER_OVERHEAT_PENALTY);
+    assert.equal(addLaserHeat(state, 1), false);
+  });
+});
+
+describe("scoring", () => {
+  it("adds the planet's points", () => {
+    const state = createGameState();
+    assert.equal(scorePlanetHit(state, { category: "rare", points: 650 }), 650);
+    scorePlanetHit(state, { category: "common", points: 75 });
+    assert.equal(state.score, 725);
+  });
+
+  it("falls back to category points", () => {
+    const state = createGameState();
+    scorePlanetHit(state, { category: "rare" });
+    scorePlanetHit(state, { category: "exotic" });
+    scorePlanetHit(state, { category: "common" });
+    assert.equal(state.score, 60);
+  });
+
+  it("scales points by the combo bonus", () => {
+    const state = createGameState();
+    assert.equal(scorePlanetHit(state, { points: 75 }, 2.5), 188);
+    assert.equal(state.score, 188);
+  });
+});
+
+describe("planet damage", () => {
+  it("scales health by category and size", () => {
+    const { common, rare } = PLANET_CONFIG;
+    assert.equal(
+      getPlanetHealth("common", common.minSize),
+      common.health * 0.75
+    );
+    assert.equal(
+      getPlanetHealth("common", common.maxSize),
+      common.health * 1.25
+    );
+    assert.ok(
+      getPlanetHealth("rare", rare.minSize) >
+        getPlanetHealth("common", common.maxSize)
+    );
+    assert.equal(getPlanetHealth("unknown", 100), PLANET_HEALTH);
+  });
+
+  it("gives generated planets their health", () => {
+    const planet = generatePlanetSpec("exotic", () => 0.5);
+    assert.equal(planet.health, getPlanetHealth("exotic", planet.size));
+  });
+
+  it("reports health left as a fraction", () => {
+    assert.equal(getHealthFraction({ health: 1, maxHealth: 4 }), 0.25);
+    assert.equal(getHealthFraction({ health: -1, maxHealth: 4 }), 0);
+    assert.equal(getHealthFraction({}), 1);
+  });
+
+  it("destroys a planet once its health runs out", () => {
+    const planet = { health: PLANET_HEALTH };
+    assert.equal(damagePlanet(planet, PLANET_HEALTH / 2), false);
+    assert.equal(damagePlanet(planet, PLANET_HEALTH / 2), true);
+  });
+
+  it("treats planets without health as fresh", () => {
+    assert.equal(damagePlanet({}, PLANET_HEALTH / 2), false);
+  });
+});
+
+describe("planet spawning", () => {
+  it("keeps generated planets within the category ranges", () => {
+    for (const category of Object.keys(PLANET_CONFIG)) {
+      const config = PLANET_CONFIG[category];
+      for (const value of [0, 0.5, 0.999]) {
+        const spec = generatePlanetSpec(category, () => value);
+        const distance = Math.hypot(spec.x, spec.y, spec.z);
+        assert.ok(distance >= config.minDistance - 1e-6);
+        assert.ok(distance <= config.maxDistance + 1e-6);
+        assert.ok(spec.size >= config.minSize && spec.size <= config.maxSize);
+        assert.ok(
+          spec.points >= config.minPoints && spec.points <= config.maxPoints
+        );
+        assert.ok(config.colors.includes(spec.color));
+      }
+    }
+  });
+
+  it("draws everything from the supplied generator", () => {
+    const random = sequence(0.1, 0.7, 0.3, 0.9, 0.5, 0.2);
+    const a = generatePlanetSpec("exotic", random);
+    const b = generatePlanetSpec(
+      "exotic",
+      sequence(0.1, 0.7, 0.3, 0.9, 0.5, 0.2)
+    );
+    assert.deepEqual(a, b);
+  });
+
+  it("spawns each category's configured count at the start", () => {
+    const counts = countByCategory(initialSpawnList());
+    assert.deepEqual(counts, {
+      common: PLANET_CONFIG.common.count,
+      exotic: PLANET_CONFIG.exotic.count,
+      rare: PLANET_CONFIG.rare.count,
+    });
+  });
+
+  it("spawns given counts instead when asked", () => {
+    const counts = countByCategory(initialSpawnList({ common: 3, rare: 1 }));
+    assert.deepEqual(counts, { common: 3, exotic: 0, rare: 1 });
+  });
+
+  it("refills the first category under quota, a few at a time", () => {
+    const plan = planRespawns({ common: 40, exotic: 14, rare: 6 }, 60);
+    assert.deepEqual(plan, Array(MAX_SPAWNS_PER_STEP).fill("exotic"));
+  });
+
+  it("refills towards custom quotas", () => {
+    const plan = planRespawns({ common: 10, exotic: 2 }, 12, {
+      common: 10,
+      exotic: 5,
+    });
+    assert.deepEqual(plan, Array(MAX_SPAWNS_PER_STEP).fill("exotic"));
+    assert.deepEqual(planRespawns({ common: 10 }, 10, { common: 10 }), []);
+  });
+
+  it("does not overshoot the cap", () => {
+    const plan = planRespawns({ common: 40, exotic: 38, rare: 20 }, 98);
+    assert.deepEqual(plan, ["exotic", "exotic"]);
+  });
+
+  it("spawns nothing when full or when every quota is met", () => {
+    assert.deepEqual(
+      planRespawns({ common: 40, exotic: 40, rare: 20 }, 100),
+      []
+    );
+    assert.deepEqual(
+      planRespawns({ common: 50, exotic: 40, rare: 20 }, 99),
+      []
+    );
+  });
+
+  it("trims planets above the cap", () => {
+    assert.equal(excessPlanetCount(MAX_PLANETS + 3), 3);
+    assert.equal(excessPlanetCount(MAX_PLANETS - 3), 0);
+  });
+});
+
+describe("planRefill", () => {
+  const { count, members } = PLANET_CONFIG.common.belts;
+  const beltRocks = () =>
+    Array.from({ length: count * members }, () => ({
+      category: "common",
+      belt: true,
+    }));
+
+  // Shoots one regular planet per step, leaving the belts alone, and
+  // refills the field the way respawnPlanets does
+  function playOut(field, steps) {
+    for (let step = 0; step < steps; step++) {
+      const regular = field.filter(isRegularSpawn);
+      field.splice(field.indexOf(regular[(step * 7) % regular.length]), 1);
+      const { spawn, drop } = planRefill(field);
+      spawn.forEach((category) => field.push({ category }));
+      const dropped = field.filter(isRegularSpawn).slice(0, drop);
+      field = field.filter((data) => !dropped.includes(data));
+    }
+    return field;
+  }
+
+  it("leaves belt rocks out of the quotas and the cap", () => {
+    const field = [
+      ...initialSpawnList(PLANET_QUOTAS).map((category) => ({ category })),
+      ...beltRocks(),
+    ];
+    assert.deepEqual(planRefill(field), { spawn: [], bombs: 0, drop: 0 });
+    field.splice(0, 3);
+    assert.equal(planRefill(field).spawn.length, 3);
+  });
+
+  it("settles on the quotas with belts in the field", () => {
+    const field = [
+      ...initialSpawnList().map((category) => ({ category })),
+      ...beltRocks(),
+    ];
+    const settled = playOut(field, 500);
+    const regular = settled.filter(isRegularSpawn);
+    assert.deepEqual(
+      countByCategory(regular.map((data) => data.category)),
+      PLANET_QUOTAS
+    );
+    assert.equal(settled.length - regular.length, count * members);
+  });
+
+  it("keeps bombs apart from the quotas and the cap", () => {
+    const field = [
+      ...initialSpawnList(PLANET_QUOTAS).map((category) => ({ category })),
+      { category: "bomb", bomb: "score" },
+    ];
+    assert.deepEqual(planRefill(field, PLANET_QUOTAS, 3), {
+      spawn: [],
+      bombs: 2,
+      drop: 0,
+    });
+    field.pop();
+    field.shift();
+    assert.deepEqual(planRefill(field, PLANET_QUOTAS, 1), {
+      spawn: ["common"],
+      bombs: 1,
+      drop: 0,
+    });
+  });
+
+  it("settles on the quotas with bombs in the field", () => {
+    const field = [
+      ...initialSpawnList(PLANET_QUOTAS).map((category) => ({ category })),
+      ...beltRocks(),
+      ...Array.from({ length: 4 }, () => ({ category: "bomb", bomb: "time" })),
+    ];
+    const regular = playOut(field, 500).filter(isRegularSpawn);
+    assert.deepEqual(
+      countByCategory(regular.map((data) => data.category)),
+      PLANET_QUOTAS
+    );
+  });
+
+  it("drops the oldest regular spawns when over the cap", () => {
+    const field = [
+      ...beltRocks(),
+      ...Array(MAX_PLANETS + 2).fill({ category: "common" }),
+    ];
+    assert.deepEqual(planRefill(field), { spawn: [], bombs: 0, drop: 2 });
+  });
+});
+
+describe("avatar", () => {
+  it("moves forward along its facing", () => {
+    const pose = stepAvatar(
+      { x: 0, y: 0, z: 0, rotationY: 0 },
+      { forward: true }
+    );
+    assert.equal(pose.x, 0);
+    assert.equal(pose.z, AVATAR_MOVEMENT_SPEED);
+  });
+
+  it("turns before moving", () => {
+    const pose = stepAvatar(
+      { x: 0, y: 0, z: 0, rotationY: Math.PI / 2 - AVATAR_ROTATION_SPEED },
+      { rotateLeft: true, backward: true }
+    );
+    assert.ok(Math.abs(pose.rotationY - Math.PI / 2) < 1e-9);
+    assert.ok(Math.abs(pose.x + AVATAR_MOVEMENT_SPEED) < 1e-9);
+  });
+
+  it("scales speed with analog input", () => {
+    const pose = stepAvatar(
+      { x: 0, y: 0, z: 0, rotationY: 0 },
+      { forward: 0.5, up: 0.25 }
+    );
+    assert.equal(pose.z, AVATAR_MOVEMENT_SPEED * 0.5);
+    assert.equal(pose.y, AVATAR_MOVEMENT_SPEED * 0.25);
+  });
+
+  it("ascends and descends", () => {
+    assert.equal(
+      stepAvatar({ x: 0, y: 0, z: 0, rotationY: 0 }, { up: true }).y,
+      2
+    );
+    assert.equal(
+      stepAvatar({ x: 0, y: 0, z: 0, rotationY: 0 }, { down: true }).y,
+      -2
+    );
+  });
+
+  it("stays inside the playable cube", () => {
+    const half = CUBE_SIZE / 2;
+    const pose = stepAvatar(
+      { x: half, y: half, z: half, rotationY: 0 },
+      { forward: true, up: true }
+    );
+    assert.deepEqual(
+      { x: pose.x, y: pose.y, z: pose.z },
+      { x: half, y: half, z: half }
+    );
+    assert.deepEqual(clampToCube({ x: -5000, y: 3, z: 5000 }, 100), {
+      x: -50,
+      y: 3,
+      z: 50,
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  GAME_OVER_HOLD,
+  PHASES,
+  canTransition,
+  createFlow,
+  isPlaying,
+  stepFlow,
+  transition,
+} from "../game-flow.js";
+
+describe("createFlow", () => {
+  it("starts out loading", () => {
+    assert.deepEqual(createFlow(), {
+      phase: "loading",
+      previous: null,
+      time: 0,
+    });
+  });
+});
+
+describe("transition", () => {
+  it("walks through a whole session", () => {
+    const flow = createFlow();
+    [
+      "title",
+      "playing",
+      "paused",
+      "playing",
+      "intermission",
+      "playing",
+      "gameOver",
+      "results",
+      "title",
+    ].forEach((phase) => {
+      assert.equal(transition(flow, phase), true, phase);
+      assert.equal(flow.phase, phase);
+    });
+    assert.equal(flow.previous, "results");
+  });
+
+  it("refuses moves that aren't allowed", () => {
+    const flow = createFlow("title");
+    assert.equal(transition(flow, "paused"), false);
+    assert.equal(transition(flow, "gameOver"), false);
+    assert.equal(flow.phase, "title");
+    assert.equal(flow.previous, null);
+  });
+
+  it("won't end a round twice", () => {
+    const flow = createFlow("playing");
+    assert.equal(transition(flow, "gameOver"), true);
+    assert.equal(transition(flow, "gameOver"), false);
+  });
+
+  it("lets portal visitors skip the title", () => {
+    assert.equal(canTransition(createFlow(), "playing"), true);
+  });
+
+  it("restarts from the pause menu and the results", () => {
+    assert.equal(canTransition(createFlow("paused"), "playing"), true);
+    assert.equal(canTransition(createFlow("results"), "playing"), true);
+  });
+
+  it("never goes back to loading", () => {
+    PHASES.forEach((phase) => {
+      assert.equal(canTransition(createFlow(phase), "loading"), false);
+    });
+  });
+
+  it("resets the phase clock", () => {
+    const flow = createFlow("playing");
+    stepFlow(flow, 5);
+    transition(flow, "paused");
+    assert.equal(flow.time, 0);
+  });
+});
+
+describe("stepFlow", () => {
+  it("moves from game over to the results after the hold", () => {
+    const flow = createFlow("gameOver");
+    assert.equal(stepFlow(flow, GAME_OVER_HOLD / 2), null);
+    assert.equal(stepFlow(flow, GAME_OVER_HOLD / 2), "results");
+    assert.equal(flow.phase, "gameOver"); // The caller makes the move
+  });
+
+  it("leaves untimed phases alone", () => {
+    const flow = createFlow("paused");
+    assert.equal(stepFlow(flow, 1000), null);
+    assert.equal(flow.time, 1000);
+  });
+});
+
+describe("isPlaying", () => {
+  it("is only true mid-round", () => {
+    assert.deepEqual(
+      PHASES.filter((phase) => isPlaying(createFlow(phase))),
+      ["playing"]
+    );
+  });
+});
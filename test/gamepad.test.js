@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEAD_ZONE,
+  applyDeadZone,
+  createGamepadInput,
+  readGamepad,
+} from "../gamepad.js";
+
+// Minimal stand-in for a standard-mapping Gamepad snapshot
+function fakePad({ axes = [0, 0, 0, 0], pressed = {}, values = {} } = {}) {
+  const buttons = Array.from({ length: 17 }, (_, index) => ({
+    pressed: Boolean(pressed[index]),
+    value: values[index] ?? (pressed[index] ? 1 : 0),
+  }));
+  return { connected: true, axes, buttons };
+}
+
+describe("applyDeadZone", () => {
+  it("ignores drift inside the dead zone", () => {
+    assert.equal(applyDeadZone(DEAD_ZONE / 2), 0);
+    assert.equal(applyDeadZone(-DEAD_ZONE), 0);
+  });
+
+  it("ramps from 0 at the edge to 1 at full tilt", () => {
+    assert.equal(applyDeadZone(1), 1);
+    assert.equal(applyDeadZone(-1), -1);
+    assert.ok(Math.abs(applyDeadZone(0.6) - 0.5) < 1e-9);
+  });
+
+  it("clamps overshooting axes", () => {
+    assert.equal(applyDeadZone(1.2), 1);
+  });
+});
+
+describe("readGamepad", () => {
+  it("reads nothing without a pad", () => {
+    assert.deepEqual(readGamepad(null), createGamepadInput());
+  });
+
+  it("maps the left stick to movement and turning", () => {
+    const input = readGamepad(fakePad({ axes: [-1, -0.6, 0, 0] }));
+    assert.equal(input.rotateLeft, 1);
+    assert.equal(input.rotateRight, 0);
+    assert.ok(Math.abs(input.forward - 0.5) < 1e-9);
+    assert.equal(input.backward, 0);
+  });
+
+  it("maps the right stick to the camera", () => {
+    const input = readGamepad(fakePad({ axes: [0, 0, 1, 1] }));
+    assert.equal(input.cameraRight, 1);
+    assert.equal(input.cameraDown, 1);
+    assert.equal(input.cameraUp, 0);
+  });
+
+  it("uses analog triggers for ascend and descend", () => {
+    const input = readGamepad(fakePad({ values: { 6: 0.25, 7: 0.75 } }));
+    assert.equal(input.down, 0.25);
+    assert.equal(input.up, 0.75);
+  });
+
+  it("fires with A or the right bumper and pauses with Start", () => {
+    assert.equal(readGamepad(fakePad({ pressed: { 0: true } })).fire, true);
+    assert.equal(readGamepad(fakePad({ pressed: { 5: true } })).fire, true);
+    assert.equal(readGamepad(fakePad({ pressed: { 9: true } })).pause, true);
+    assert.equal(readGamepad(fakePad()).fire, false);
+  });
+
+  it("switches weapons with the left bumper", () => {
+    assert.equal(
+      readGamepad(fakePad({ pressed: { 4: true } })).nextWeapon,
+      true
+    );
+    assert.equal(readGamepad(fakePad()).nextWeapon, false);
+  });
+});
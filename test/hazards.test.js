@@ -0,0 +1,204 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { CUBE_SIZE, createGameState } from "../game-core.js";
+import {
+  BOMB,
+  GRAVITY_WELL,
+  METEOR,
+  PLAYER_MAX_HEALTH,
+  PLAYER_MAX_SHIELD,
+  SHIELD_RECHARGE_DELAY,
+  SHIELD_RECHARGE_RATE,
+  applyBombPenalty,
+  createVitals,
+  damagePlayer,
+  generateWells,
+  getVitalFractions,
+  gravityPull,
+  inWellCore,
+  meteorHits,
+  nextMeteorDelay,
+  pickBombPenalty,
+  spawnMeteor,
+  stepMeteor,
+  stepVitals,
+} from "../hazards.js";
+import { createRandom } from "../random.js";
+
+function length(v) {
+  return Math.hypot(v.x, v.y, v.z);
+}
+
+describe("player vitals", () => {
+  it("starts with full shield and health", () => {
+    assert.deepEqual(getVitalFractions(createVitals()), {
+      shield: 1,
+      health: 1,
+    });
+  });
+
+  it("soaks damage with the shield before health", () => {
+    const vitals = createVitals();
+    assert.equal(damagePlayer(vitals, PLAYER_MAX_SHIELD - 10), false);
+    assert.equal(vitals.shield, 10);
+    assert.equal(vitals.health, PLAYER_MAX_HEALTH);
+
+    damagePlayer(vitals, 30);
+    assert.equal(vitals.shield, 0);
+    assert.equal(vitals.health, PLAYER_MAX_HEALTH - 20);
+  });
+
+  it("reports the hit that destroys the player, once", () => {
+    const vitals = createVitals();
+    assert.equal(damagePlayer(vitals, PLAYER_MAX_SHIELD), false);
+    assert.equal(damagePlayer(vitals, PLAYER_MAX_HEALTH + 50), true);
+    assert.equal(vitals.health, 0);
+    assert.equal(damagePlayer(vitals, 10), false);
+  });
+
+  it("recharges the shield only after a quiet spell", () => {
+    const vitals = createVitals();
+    damagePlayer(vitals, PLAYER_MAX_SHIELD);
+    stepVitals(vitals, SHIELD_RECHARGE_DELAY / 2);
+    assert.equal(vitals.shield, 0);
+    stepVitals(vitals, SHIELD_RECHARGE_DELAY / 2);
+    stepVitals(vitals, 1);
+    assert.equal(vitals.shield, SHIELD_RECHARGE_RATE);
+    stepVitals(vitals, 100);
+    assert.equal(vitals.shield, PLAYER_MAX_SHIELD);
+  });
+
+  it("never regains health", () => {
+    const vitals = createVitals();
+    damagePlayer(vitals, PLAYER_MAX_SHIELD + 40);
+    stepVitals(vitals, 100);
+    assert.equal(vitals.health, PLAYER_MAX_HEALTH - 40);
+  });
+});
+
+describe("meteors", () => {
+  const target = { x: 100, y: -50, z: 200 };
+
+  it("spawn at the set distance, heading for the target", () => {
+    const random = createRandom(1);
+    for (let i = 0; i < 10; i++) {
+      const meteor = spawnMeteor(target, random);
+      const offset = {
+        x: target.x - meteor.position.x,
+        y: target.y - meteor.position.y,
+        z: target.z - meteor.position.z,
+      };
+      assert.ok(Math.abs(length(offset) - METEOR.spawnDistance) < 1e-6);
+      assert.ok(Math.abs(length(meteor.velocity) - METEOR.speed) < 1e-9);
+      const closing =
+        offset.x * meteor.velocity.x +
+        offset.y * meteor.velocity.y +
+        offset.z * meteor.velocity.z;
+      assert.ok(closing > 0);
+    }
+  });
+
+  it("move each step and burn out after their lifetime", () => {
+    const meteor = {
+      position: { x: 0, y: 0, z: 0 },
+      velocity: { x: 1, y: 2, z: 3 },
+      age: 0,
+    };
+    assert.equal(stepMeteor(meteor, 1), true);
+    assert.deepEqual(meteor.position, { x: 1, y: 2, z: 3 });
+    assert.equal(stepMeteor(meteor, METEOR.lifetime), false);
+  });
+
+  it("hit when they reach the avatar", () => {
+    const meteor = { position: { x: 0, y: 0, z: 10 } };
+    assert.equal(meteorHits(meteor, { x: 0, y: 0, z: 0 }), true);
+    assert.equal(meteorHits(meteor, { x: 0, y: 0, z: 100 }), false);
+  });
+
+  it("come faster at higher rates and not at all at zero", () => {
+    assert.equal(
+      nextMeteorDelay(() => 0, 2),
+      METEOR.minInterval / 2
+    );
+    assert.equal(
+      nextMeteorDelay(() => 0, 0),
+      Infinity
+    );
+  });
+
+  it("arrive at intervals within the configured range", () => {
+    const random = createRandom(2);
+    for (let i = 0; i < 20; i++) {
+      const delay = nextMeteorDelay(random);
+      assert.ok(delay >= METEOR.minInterval && delay <= METEOR.maxInterval);
+    }
+  });
+});
+
+describe("bomb planets", () => {
+  it("only pick configured penalties", () => {
+    const random = createRandom(3);
+    for (let i = 0; i < 20; i++) {
+      assert.ok(pickBombPenalty(random) in BOMB.penalties);
+    }
+  });
+
+  it("take points without going below zero", () => {
+    const state = createGameState();
+    state.score = BOMB.penalties.points + 100;
+    assert.equal(applyBombPenalty(state, "points"), BOMB.penalties.points);
+    assert.equal(state.score, 100);
+    assert.equal(applyBombPenalty(state, "points"), 100);
+    assert.equal(state.score, 0);
+  });
+
+  it("take time off the clock", () => {
+    const state = createGameState();
+    assert.equal(applyBombPenalty(state, "time"), BOMB.penalties.time);
+    assert.equal(state.gameTime, BOMB.penalties.time);
+  });
+});
+
+describe("gravity wells", () => {
+  const well = { x: 0, y: 0, z: 0 };
+
+  it("pull harder the closer you get", () => {
+    const near = gravityPull({ x: 100, y: 0, z: 0 }, well);
+    const far = gravityPull({ x: 300, y: 0, z: 0 }, well);
+    assert.ok(near.x < 0 && far.x < 0);
+    assert.ok(Math.abs(near.x) > Math.abs(far.x));
+    assert.ok(Math.abs(near.x) <= GRAVITY_WELL.strength);
+  });
+
+  it("don't reach past their radius", () => {
+    const pull = gravityPull({ x: GRAVITY_WELL.radius + 1, y: 0, z: 0 }, well);
+    assert.deepEqual(pull, { x: 0, y: 0, z: 0 });
+  });
+
+  it("never overshoot the center", () => {
+    const pull = gravityPull({ x: 0.5, y: 0, z: 0 }, well);
+    assert.ok(pull.x >= -0.5);
+  });
+
+  it("burn inside the core", () => {
+    assert.equal(inWellCore({ x: 10, y: 0, z: 0 }, well), true);
+    assert.equal(inWellCore({ x: 100, y: 0, z: 0 }, well), false);
+  });
+
+  it("can be placed in any number", () => {
+    assert.equal(generateWells(createRandom(5), CUBE_SIZE, 1).length, 1);
+    assert.deepEqual(generateWells(createRandom(5), CUBE_SIZE, 0), []);
+  });
+
+  it("are placed inside the cube, clear of its center", () => {
+    const wells = generateWells(createRandom(4), CUBE_SIZE);
+    assert.equal(wells.length, GRAVITY_WELL.count);
+    wells.forEach((center) => {
+      assert.ok(length(center) >= GRAVITY_WELL.minCenterDistance);
+      ["x", "y", "z"].forEach((axis) => {
+        assert.ok(Math.abs(center[axis]) <= CUBE_SIZE / 2);
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ACTIONS,
+  DEFAULT_BINDINGS,
+  actionForCode,
+  findConflict,
+  keyLabel,
+  rebind,
+  resolveBindings,
+} from "../key-bindings.js";
+
+describe("resolveBindings", () => {
+  it("binds every action by default", () => {
+    const bindings = resolveBindings();
+    ACTIONS.forEach(({ id }) => assert.ok(bindings[id].length > 0, id));
+  });
+
+  it("keeps saved bindings and fills in missing actions", () => {
+    const bindings = resolveBindings({ forward: ["ArrowUp"] });
+    assert.deepEqual(bindings.forward, ["ArrowUp"]);
+    assert.deepEqual(bindings.backward, DEFAULT_BINDINGS.backward);
+  });
+
+  it("drops reserved keys from saved bindings", () => {
+    assert.deepEqual(resolveBindings({ fire: ["Escape", "Space"] }).fire, [
+      "Space",
+    ]);
+  });
+});
+
+describe("actionForCode", () => {
+  it("matches physical key codes regardless of layout", () => {
+    const bindings = resolveBindings();
+    assert.equal(actionForCode(bindings, "KeyW"), "forward");
+    assert.equal(actionForCode(bindings, "KeyP"), "pause");
+    assert.equal(actionForCode(bindings, "KeyZ"), null);
+  });
+});
+
+describe("rebind", () => {
+  it("replaces the action's keys", () => {
+    const { bindings, conflict } = rebind(
+      resolveBindings(),
+      "forward",
+      "ArrowUp"
+    );
+    assert.deepEqual(bindings.forward, ["ArrowUp"]);
+    assert.equal(conflict, null);
+  });
+
+  it("swaps keys with the action that already used them", () => {
+    const original = resolveBindings();
+    assert.equal(findConflict(original, "forward", "KeyS"), "backward");
+
+    const { bindings, conflict } = rebind(original, "forward", "KeyS");
+    assert.equal(conflict, "backward");
+    assert.deepEqual(bindings.forward, ["KeyS"]);
+    assert.deepEqual(bindings.backward, ["KeyW"]);
+  });
+
+  it("leaves the original bindings untouched", () => {
+    const original = resolveBindings();
+    rebind(original, "forward", "KeyS");
+    assert.deepEqual(original, resolveBindings());
+  });
+
+  it("refuses reserved keys", () => {
+    const original = resolveBindings();
+    const result = rebind(original, "pause", "Escape");
+    assert.equal(result.refused, true);
+    assert.equal(result.bindings, original);
+  });
+
+  it("is a no-op conflict when rebinding to the same key", () => {
+    const { conflict } = rebind(resolveBindings(), "forward", "KeyW");
+    assert.equal(conflict, null);
+  });
+});
+
+describe("keyLabel", () => {
+  it("names keys readably", () => {
+    assert.equal(keyLabel("KeyW"), "W");
+    assert.equal(keyLabel("Digit3"), "3");
+    assert.equal(keyLabel("ArrowLeft"), "←");
+    assert.equal(keyLabel("Space"), "Space");
+  });
+
+  it("prefers the player's keyboard layout", () => {
+    const azerty = new Map([["KeyW", "z"]]);
+    assert.equal(keyLabel("KeyW", azerty), "Z");
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_ENTRIES_PER_DAY,
+  bestOfDay,
+  dailySeed,
+  dateKey,
+  getDayEntries,
+  getHistory,
+  normalizeInitials,
+  recordScore,
+} from "../leaderboard.js";
+
+describe("daily seed", () => {
+  it("keys days by local calendar date", () => {
+    assert.equal(dateKey(new Date(2025, 0, 5, 23, 59)), "2025-01-05");
+  });
+
+  it("gives every player the same seed on the same day", () => {
+    assert.equal(dailySeed("2025-04-01"), dailySeed("2025-04-01"));
+    assert.notEqual(dailySeed("2025-04-01"), dailySeed("2025-04-02"));
+  });
+});
+
+describe("initials", () => {
+  it("uppercases and strips anything but letters and digits", () => {
+    assert.equal(normalizeInitials("a.b c"), "ABC");
+    assert.equal(normalizeInitials("zed99"), "ZED");
+  });
+
+  it("pads short initials", () => {
+    assert.equal(normalizeInitials("j"), "J--");
+    assert.equal(normalizeInitials(""), "---");
+  });
+});
+
+describe("recordScore", () => {
+  it("keeps each day sorted best first", () => {
+    const board = {};
+    recordScore(board, "2025-04-01", "aaa", 500, 1);
+    recordScore(board, "2025-04-01", "bbb", 900, 2);
+    recordScore(board, "2025-04-01", "ccc", 700, 3);
+    assert.deepEqual(
+      getDayEntries(board, "2025-04-01").map((e) => e.initials),
+      ["BBB", "CCC", "AAA"]
+    );
+    assert.equal(bestOfDay(board, "2025-04-01").score, 900);
+  });
+
+  it("ranks earlier scores ahead on ties", () => {
+    const board = {};
+    recordScore(board, "2025-04-01", "one", 100, 1);
+    recordScore(board, "2025-04-01", "two", 100, 2);
+    assert.equal(bestOfDay(board, "2025-04-01").initials, "ONE");
+  });
+
+  it("drops scores that don't make the cut", () => {
+    const board = {};
+    for (let i = 0; i < MAX_ENTRIES_PER_DAY; i++) {
+      recordScore(board, "2025-04-01", "top", 1000 + i, i);
+    }
+    assert.equal(recordScore(board, "2025-04-01", "low", 10, 99), null);
+    assert.equal(
+      getDayEntries(board, "2025-04-01").length,
+      MAX_ENTRIES_PER_DAY
+    );
+
+    const entry = recordScore(board, "2025-04-01", "new", 5000, 100);
+    assert.equal(entry.initials, "NEW");
+    assert.equal(bestOfDay(board, "2025-04-01"), entry);
+  });
+
+  it("keeps days separate", () => {
+    const board = {};
+    recordScore(board, "2025-04-01", "aaa", 500, 1);
+    assert.deepEqual(getDayEntries(board, "2025-04-02"), []);
+    assert.equal(bestOfDay(board, "2025-04-02"), null);
+  });
+});
+
+describe("getHistory", () => {
+  it("summarises each day, most recent first", () => {
+    const board = {};
+    recordScore(board, "2025-03-30", "old", 300, 1);
+    recordScore(board, "2025-04-01", "aaa", 500, 2);
+    recordScore(board, "2025-04-01", "bbb", 800, 3);
+    board["2025-03-31"] = [];
+
+    const history = getHistory(board);
+    assert.deepEqual(
+      history.map(({ day, best, entries }) => [day, best.initials, entries]),
+      [
+        ["2025-04-01", "BBB", 2],
+        ["2025-03-30", "OLD", 1],
+      ]
+    );
+  });
+});
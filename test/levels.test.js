@@ -0,0 +1,164 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { PLANET_QUOTAS } from "../game-core.js";
+import {
+  createWave,
+  describeGoal,
+  getLevel,
+  getWaveProgress,
+  parseLevel,
+  parseLevels,
+  recordWaveKill,
+  waveBonus,
+} from "../levels.js";
+
+const levelFile = JSON.parse(
+  readFileSync(new URL("../levels.json", import.meta.url), "utf8")
+);
+
+const levelSet = parseLevels({
+  timeBonus: 5,
+  ramp: { targetScale: 2, extraBombs: 1, extraMeteorRate: 0.5 },
+  levels: [
+    { name: "One", goal: { type: "score", target: 100 }, time: 30 },
+    {
+      name: "Two",
+      goal: { type: "destroy", targets: { exotic: 2, rare: 1 } },
+      time: 45,
+      bombs: 2,
+      meteorRate: 1,
+    },
+  ],
+});
+
+describe("levels.json", () => {
+  it("parses every level it ships with", () => {
+    const parsed = parseLevels(levelFile);
+    assert.ok(parsed.levels.length > 0);
+    assert.equal(parsed.levels.length, levelFile.levels.length);
+  });
+
+  it("ramps up across its levels", () => {
+    const { levels } = parseLevels(levelFile);
+    for (let i = 1; i < levels.length; i++) {
+      assert.ok(levels[i].time >= levels[i - 1].time);
+      assert.ok(levels[i].wells >= levels[i - 1].wells);
+    }
+  });
+});
+
+describe("parseLevel", () => {
+  it("fills in defaults", () => {
+    assert.deepEqual(
+      parseLevel({ goal: { type: "score", target: 500 }, time: 60 }, 2),
+      {
+        name: "Wave 3",
+        goal: { type: "score", target: 500 },
+        time: 60,
+        quotas: { ...PLANET_QUOTAS },
+        bombs: 0,
+        meteorRate: 0,
+        wells: 0,
+      }
+    );
+  });
+
+  it("keeps only known categories with positive counts", () => {
+    const level = parseLevel({
+      goal: { type: "destroy", targets: { rare: 2, moon: 3, exotic: -1 } },
+      time: 60,
+      quotas: { common: 12, moon: 4 },
+    });
+    assert.deepEqual(level.goal.targets, { rare: 2 });
+    assert.equal(level.quotas.common, 12);
+    assert.equal(level.quotas.moon, undefined);
+  });
+
+  it("keeps quotas of zero", () => {
+    const level = parseLevel({
+      goal: { type: "score", target: 100 },
+      time: 60,
+      quotas: { common: 30, exotic: 5, rare: 0 },
+    });
+    assert.deepEqual(level.quotas, { common: 30, exotic: 5, rare: 0 });
+    assert.equal(parseLevels(levelFile).levels[0].quotas.rare, 0);
+  });
+
+  it("ignores quotas that aren't counts", () => {
+    const level = parseLevel({
+      goal: { type: "score", target: 100 },
+      time: 60,
+      quotas: { common: -3, exotic: "lots", rare: null },
+    });
+    assert.deepEqual(level.quotas, { ...PLANET_QUOTAS });
+  });
+
+  it("rejects levels without a usable goal or time", () => {
+    assert.equal(parseLevel({ goal: { type: "score" }, time: 60 }), null);
+    assert.equal(parseLevel({ goal: { type: "fly" }, time: 60 }), null);
+    assert.equal(
+      parseLevel({ goal: { type: "destroy", targets: {} }, time: 60 }),
+      null
+    );
+    assert.equal(parseLevel({ goal: { type: "score", target: 9 } }), null);
+  });
+
+  it("drops unusable levels from the set", () => {
+    const parsed = parseLevels({ levels: [{ time: 5 }, null] });
+    assert.deepEqual(parsed.levels, []);
+    assert.deepEqual(parseLevels(null).levels, []);
+  });
+});
+
+describe("getLevel", () => {
+  it("returns the listed levels in order", () => {
+    assert.equal(getLevel(levelSet, 0).name, "One");
+    assert.equal(getLevel(levelSet, 1).name, "Two");
+  });
+
+  it("ramps the last level for waves past the end", () => {
+    const level = getLevel(levelSet, 3);
+    assert.equal(level.name, "Two +2");
+    assert.deepEqual(level.goal.targets, { exotic: 8, rare: 4 });
+    assert.equal(level.bombs, 4);
+    assert.equal(level.meteorRate, 2);
+    assert.equal(level.time, 45);
+  });
+});
+
+describe("wave progress", () => {
+  it("counts score goals from the start of the wave", () => {
+    const wave = createWave(levelSet, 0, 1000);
+    assert.deepEqual(getWaveProgress(wave, 1050), {
+      done: false,
+      fraction: 0.5,
+    });
+    assert.deepEqual(getWaveProgress(wave, 1200), { done: true, fraction: 1 });
+    assert.equal(describeGoal(wave.level.goal, wave, 1050), "50 / 100 pts");
+  });
+
+  it("counts destroy goals by category, ignoring extras", () => {
+    const wave = createWave(levelSet, 1, 0);
+    recordWaveKill(wave, "exotic");
+    recordWaveKill(wave, "exotic");
+    recordWaveKill(wave, "exotic");
+    recordWaveKill(wave, "common");
+    assert.equal(getWaveProgress(wave, 0).done, false);
+    assert.equal(getWaveProgress(wave, 0).fraction, 2 / 3);
+    recordWaveKill(wave, "rare");
+    assert.equal(getWaveProgress(wave, 0).done, true);
+  });
+
+  it("describes goals before and during a wave", () => {
+    const wave = createWave(levelSet, 1, 0);
+    recordWaveKill(wave, "exotic");
+    assert.equal(describeGoal(wave.level.goal), "Destroy 2 exotic, 1 rare");
+    assert.equal(describeGoal(wave.level.goal, wave), "1/2 exotic · 0/1 rare");
+  });
+
+  it("pays a bonus for each whole second left", () => {
+    assert.equal(waveBonus(levelSet, 12.7), 60);
+  });
+});
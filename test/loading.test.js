@@ -0,0 +1,83 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_LOAD_ATTEMPTS,
+  RETRY_DELAY,
+  byteFraction,
+  canRetry,
+  describeProgress,
+  loadFraction,
+  retryDelay,
+} from "../loading.js";
+
+describe("byteFraction", () => {
+  it("reads a sized progress event", () => {
+    assert.equal(
+      byteFraction({ lengthComputable: true, loaded: 512, total: 2048 }),
+      0.25
+    );
+  });
+
+  it("is null when the size is unknown", () => {
+    assert.equal(
+      byteFraction({ lengthComputable: false, loaded: 512, total: 0 }),
+      null
+    );
+    assert.equal(
+      byteFraction({ lengthComputable: true, loaded: 512, total: 0 }),
+      null
+    );
+    assert.equal(byteFraction(undefined), null);
+  });
+
+  it("never passes 1", () => {
+    assert.equal(
+      byteFraction({ lengthComputable: true, loaded: 3000, total: 2048 }),
+      1
+    );
+  });
+});
+
+describe("loadFraction", () => {
+  it("adds the item in flight to the finished ones", () => {
+    assert.equal(loadFraction(1, 4, 0.5), 0.375);
+  });
+
+  it("ignores stray byte progress once everything is in", () => {
+    assert.equal(loadFraction(2, 2, 0.5), 1);
+  });
+
+  it("is 0 before anything is queued", () => {
+    assert.equal(loadFraction(0, 0, 0.5), 0);
+  });
+
+  it("treats unknown item progress as none", () => {
+    assert.equal(loadFraction(1, 2, null), 0.5);
+  });
+});
+
+describe("describeProgress", () => {
+  it("shows a percentage when the size is known", () => {
+    assert.equal(describeProgress(0.424), "Loading 42%");
+  });
+
+  it("falls back to the bytes received", () => {
+    assert.equal(describeProgress(0, 1572864), "Loading 1.5 MB");
+    assert.equal(describeProgress(0), "Loading");
+  });
+});
+
+describe("retries", () => {
+  it("allows a fixed number of attempts", () => {
+    assert.equal(canRetry(1), true);
+    assert.equal(canRetry(MAX_LOAD_ATTEMPTS - 1), true);
+    assert.equal(canRetry(MAX_LOAD_ATTEMPTS), false);
+  });
+
+  it("backs off between attempts", () => {
+    assert.equal(retryDelay(1), RETRY_DELAY);
+    assert.equal(retryDelay(2), RETRY_DELAY * 2);
+    assert.equal(retryDelay(3), RETRY_DELAY * 4);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_SENSITIVITY,
+  MAX_SENSITIVITY,
+  MIN_SENSITIVITY,
+  applyMouseMovement,
+  clampSensitivity,
+  createMouseLook,
+  takeYaw,
+} from "../mouse-look.js";
+
+describe("clampSensitivity", () => {
+  it("keeps values inside the allowed range", () => {
+    assert.equal(clampSensitivity(1.5), 1.5);
+    assert.equal(clampSensitivity(0), MIN_SENSITIVITY);
+    assert.equal(clampSensitivity(10), MAX_SENSITIVITY);
+  });
+
+  it("falls back to the default for junk", () => {
+    assert.equal(clampSensitivity("fast"), DEFAULT_SENSITIVITY);
+    assert.equal(clampSensitivity(undefined), DEFAULT_SENSITIVITY);
+  });
+});
+
+describe("applyMouseMovement", () => {
+  it("turns right and looks up for right-and-up movement", () => {
+    const look = applyMouseMovement(createMouseLook(), 10, -10, {});
+    assert.ok(look.pendingYaw < 0);
+    assert.ok(look.pitch > 0);
+  });
+
+  it("flips the vertical axis when inverted", () => {
+    const look = applyMouseMovement(createMouseLook(), 0, -10, {
+      invertY: true,
+    });
+    assert.ok(look.pitch < 0);
+  });
+
+  it("scales with sensitivity", () => {
+    const slow = applyMouseMovement(createMouseLook(), 10, 0, {
+      sensitivity: 1,
+    });
+    const fast = applyMouseMovement(createMouseLook(), 10, 0, {
+      sensitivity: 2,
+    });
+    assert.ok(Math.abs(fast.pendingYaw - slow.pendingYaw * 2) < 1e-12);
+  });
+
+  it("clamps the pitch", () => {
+    const look = applyMouseMovement(createMouseLook(), 0, -100000, {
+      maxPitch: 1,
+    });
+    assert.equal(look.pitch, 1);
+  });
+});
+
+describe("takeYaw", () => {
+  it("hands over the gathered yaw once", () => {
+    const look = createMouseLook();
+    applyMouseMovement(look, 4, 0, {});
+    applyMouseMovement(look, 4, 0, {});
+    const yaw = takeYaw(look);
+    assert.ok(yaw < 0);
+    assert.equal(takeYaw(look), 0);
+  });
+});
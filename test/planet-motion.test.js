@@ -0,0 +1,195 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { PLANET_CONFIG } from "../game-core.js";
+import {
+  createMotion,
+  createOrbit,
+  generateBelts,
+  generateHosts,
+  offsetFromRay,
+  orbitPosition,
+  resetTeleport,
+  stepDrift,
+  stepFlee,
+  stepOrbit,
+} from "../planet-motion.js";
+import { createRandom } from "../random.js";
+
+function distance(a, b = { x: 0, y: 0, z: 0 }) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+describe("createMotion", () => {
+  it("picks each category's configured behavior", () => {
+    const random = createRandom(1);
+    const hosts = [{ x: 0, y: 0, z: 3000, size: 250 }];
+    assert.equal(createMotion("common", random).type, "drift");
+    assert.equal(createMotion("exotic", random, hosts).type, "orbit");
+    assert.equal(createMotion("rare", random).type, "flee");
+  });
+
+  it("leaves exotics still when there is nothing to orbit", () => {
+    assert.equal(createMotion("exotic", createRandom(1), []), null);
+  });
+
+  it("keeps drift speeds under the configured maximum", () => {
+    const random = createRandom(2);
+    for (let i = 0; i < 20; i++) {
+      const { velocity } = createMotion("common", random);
+      assert.ok(distance(velocity) <= PLANET_CONFIG.common.motion.maxSpeed);
+    }
+  });
+});
+
+describe("stepDrift", () => {
+  it("moves by the velocity each step", () => {
+    const position = { x: 2700, y: 0, z: 0 };
+    const motion = { type: "drift", velocity: { x: 0, y: 0.5, z: 0 } };
+    stepDrift(position, motion, "common");
+    assert.deepEqual(position, { x: 2700, y: 0.5, z: 0 });
+  });
+
+  it("bounces back into the spawn shell", () => {
+    const { maxDistance } = PLANET_CONFIG.common;
+    const position = { x: maxDistance + 1, y: 0, z: 0 };
+    const motion = { type: "drift", velocity: { x: 0.5, y: 0.2, z: 0 } };
+    stepDrift(position, motion, "common");
+    assert.ok(motion.velocity.x < 0);
+    assert.ok(Math.abs(motion.velocity.y - 0.2) < 1e-3);
+  });
+
+  it("doesn't bounce a planet already heading back", () => {
+    const { minDistance } = PLANET_CONFIG.common;
+    const position = { x: minDistance - 10, y: 0, z: 0 };
+    const motion = { type: "drift", velocity: { x: 0.5, y: 0, z: 0 } };
+    stepDrift(position, motion, "common");
+    assert.equal(motion.velocity.x, 0.5);
+  });
+});
+
+describe("orbits", () => {
+  it("stays at the orbit radius from its center", () => {
+    const center = { x: 100, y: -200, z: 3000 };
+    const motion = createOrbit(center, 400, 20, createRandom(3));
+    const position = orbitPosition(motion);
+    for (let i = 0; i < 60; i++) {
+      stepOrbit(position, motion, 1 / 60);
+      assert.ok(Math.abs(distance(position, center) - 400) < 1e-6);
+    }
+  });
+
+  it("completes a lap in one period", () => {
+    const motion = createOrbit({ x: 0, y: 0, z: 0 }, 300, 2, createRandom(4));
+    const start = orbitPosition(motion);
+    const position = { ...start };
+    for (let i = 0; i < 120; i++) stepOrbit(position, motion, 1 / 60);
+    assert.ok(distance(position, start) < 1e-6);
+  });
+
+  it("places exotics beyond their host's surface", () => {
+    const random = createRandom(5);
+    const host = { x: 0, y: 0, z: 3000, size: 250 };
+    const { minRadius, maxRadius } = PLANET_CONFIG.exotic.motion;
+    const motion = createMotion("exotic", random, [host]);
+    assert.ok(motion.radius >= host.size + minRadius);
+    assert.ok(motion.radius <= host.size + maxRadius);
+  });
+});
+
+describe("offsetFromRay", () => {
+  const ray = { origin: { x: 0, y: 0, z: 0 }, direction: { x: 0, y: 0, z: 1 } };
+
+  it("measures the distance and direction away from the ray", () => {
+    const { distance, away } = offsetFromRay({ x: 30, y: 40, z: 500 }, ray);
+    assert.equal(distance, 50);
+    assert.deepEqual(away, { x: 0.6, y: 0.8, z: 0 });
+  });
+
+  it("ignores points behind the origin", () => {
+    const { distance } = offsetFromRay({ x: 0, y: 0, z: -100 }, ray);
+    assert.equal(distance, Infinity);
+  });
+});
+
+describe("stepFlee", () => {
+  const ray = { origin: { x: 0, y: 0, z: 0 }, direction: { x: 0, y: 0, z: 1 } };
+  const { fleeSpeed } = PLANET_CONFIG.rare.motion;
+
+  it("dodges sideways from a nearby beam", () => {
+    const position = { x: 100, y: 0, z: 3000 };
+    const motion = createMotion("rare", createRandom(6));
+    stepFlee(position, motion, "rare", 150, ray, 1 / 60);
+    assert.equal(position.x, 100 + fleeSpeed);
+    assert.equal(position.z, 3000);
+  });
+
+  it("stays put when the beam is far away or off", () => {
+    const position = { x: 5000, y: 0, z: 3000 };
+    const motion = createMotion("rare", createRandom(6));
+    stepFlee(position, motion, "rare", 150, ray, 1 / 60);
+    stepFlee(position, motion, "rare", 150, null, 1 / 60);
+    assert.deepEqual(position, { x: 5000, y: 0, z: 3000 });
+  });
+
+  it("escapes a beam aimed dead center", () => {
+    const position = { x: 0, y: 0, z: 3000 };
+    const motion = createMotion("rare", createRandom(7));
+    stepFlee(position, motion, "rare", 150, ray, 1 / 60);
+    assert.ok(
+      Math.abs(distance(position, { x: 0, y: 0, z: 3000 }) - fleeSpeed) < 1e-9
+    );
+  });
+
+  it("asks to teleport once the countdown runs out", () => {
+    const random = createRandom(8);
+    const position = { x: 0, y: 3000, z: 0 };
+    const motion = createMotion("rare", random);
+    const { maxTeleportTime } = PLANET_CONFIG.rare.motion;
+    assert.equal(stepFlee(position, motion, "rare", 150, null, 1), false);
+    assert.equal(
+      stepFlee(position, motion, "rare", 150, null, maxTeleportTime),
+      true
+    );
+
+    resetTeleport(motion, "rare", random);
+    assert.ok(motion.teleportIn >= PLANET_CONFIG.rare.motion.minTeleportTime);
+  });
+});
+
+describe("belts and hosts", () => {
+  it("spreads each belt's members round a shared ring", () => {
+    const belts = generateBelts(createRandom(9));
+    const config = PLANET_CONFIG.common.belts;
+    assert.equal(belts.length, config.count);
+    belts.forEach(({ center, members }) => {
+      assert.equal(members.length, config.members);
+      members.forEach((member) => {
+        const radius = distance(orbitPosition(member.motion), center);
+        assert.ok(radius >= config.minRadius - config.thickness - 1e-6);
+        assert.ok(radius <= config.maxRadius + config.thickness + 1e-6);
+        assert.ok(
+          member.size >= config.minSize && member.size <= config.maxSize
+        );
+        assert.ok(member.health > 0);
+      });
+    });
+  });
+
+  it("places hosts in the exotic spawn shell", () => {
+    const { minDistance, maxDistance, hosts } = PLANET_CONFIG.exotic;
+    const generated = generateHosts(createRandom(10));
+    assert.equal(generated.length, hosts.count);
+    generated.forEach((host) => {
+      assert.ok(distance(host) >= minDistance - 1e-6);
+      assert.ok(distance(host) <= maxDistance + 1e-6);
+    });
+  });
+
+  it("is reproducible from a seed", () => {
+    assert.deepEqual(
+      generateBelts(createRandom(11)),
+      generateBelts(createRandom(11))
+    );
+  });
+});
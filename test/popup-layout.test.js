@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { EDGE_MARGIN, placeOnScreen, stackPopups } from "../popup-layout.js";
+
+describe("placeOnScreen", () => {
+  it("maps visible points straight to pixels", () => {
+    assert.deepEqual(placeOnScreen({ x: 0, y: 0, z: 0.5 }, 800, 600), {
+      x: 400,
+      y: 300,
+      offscreen: false,
+      angle: 0,
+    });
+  });
+
+  it("clamps off-screen points to the edge facing them", () => {
+    const right = placeOnScreen({ x: 3, y: 0, z: 0.5 }, 800, 600);
+    assert.equal(right.offscreen, true);
+    assert.equal(right.x, 800 - EDGE_MARGIN);
+    assert.equal(right.y, 300);
+    assert.equal(right.angle, 0);
+
+    const above = placeOnScreen({ x: 0, y: 5, z: 0.5 }, 800, 600);
+    assert.equal(above.y, EDGE_MARGIN);
+    assert.equal(above.angle, -Math.PI / 2);
+  });
+
+  it("mirrors points behind the camera", () => {
+    const behind = placeOnScreen({ x: 0.5, y: 0, z: 1.2 }, 800, 600);
+    assert.equal(behind.offscreen, true);
+    assert.equal(behind.x, EDGE_MARGIN);
+  });
+
+  it("points down for something dead behind", () => {
+    const behind = placeOnScreen({ x: 0, y: 0, z: 1.5 }, 800, 600);
+    assert.equal(behind.y, 600 - EDGE_MARGIN);
+  });
+});
+
+describe("stackPopups", () => {
+  it("leaves separated popups alone", () => {
+    const positions = [
+      { x: 100, y: 100 },
+      { x: 500, y: 100 },
+    ];
+    assert.deepEqual(stackPopups(positions), positions);
+  });
+
+  it("stacks overlapping popups upwards, newest on top", () => {
+    const stacked = stackPopups(
+      [
+        { x: 100, y: 100 },
+        { x: 110, y: 105 },
+        { x: 90, y: 100 },
+      ],
+      { width: 120, height: 30 }
+    );
+    assert.deepEqual(
+      stacked.map(({ y }) => y),
+      [100, 70, 40]
+    );
+  });
+});
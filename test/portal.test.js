@@ -0,0 +1,127 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_PORTAL_SPEED,
+  MAX_USERNAME_LENGTH,
+  PORTAL_HUB_URL,
+  buildPortalUrl,
+  insidePortal,
+  parseColor,
+  parsePortalParams,
+  parseRef,
+} from "../portal.js";
+
+describe("parsePortalParams", () => {
+  it("reads a portal arrival", () => {
+    assert.deepEqual(
+      parsePortalParams(
+        "?portal=true&username=levelsio&color=red&speed=5.5&ref=fly.pieter.com"
+      ),
+      {
+        entered: true,
+        username: "levelsio",
+        color: "red",
+        speed: 5.5,
+        ref: "https://fly.pieter.com/",
+      }
+    );
+  });
+
+  it("treats a normal visit as no portal", () => {
+    assert.deepEqual(parsePortalParams(""), {
+      entered: false,
+      username: null,
+      color: null,
+      speed: null,
+      ref: null,
+    });
+    assert.equal(parsePortalParams("?portal=1").entered, false);
+  });
+
+  it("cleans up names and speeds", () => {
+    const params = parsePortalParams(
+      `?portal=true&username=${"<b>x</b>".repeat(10)}&speed=-3`
+    );
+    assert.ok(params.username.length <= MAX_USERNAME_LENGTH);
+    assert.ok(!params.username.includes("<"));
+    assert.equal(params.speed, null);
+    assert.equal(parsePortalParams("?speed=99999").speed, MAX_PORTAL_SPEED);
+  });
+});
+
+describe("parseColor", () => {
+  it("accepts hex colors with or without a hash, and names", () => {
+    assert.equal(parseColor("#FF8800"), "#FF8800");
+    assert.equal(parseColor("f80"), "#f80");
+    assert.equal(parseColor("Orange"), "orange");
+  });
+
+  it("rejects anything else", () => {
+    assert.equal(parseColor("url(javascript:1)"), null);
+    assert.equal(parseColor("#12345"), null);
+    assert.equal(parseColor(null), null);
+  });
+
+  it("only takes words that are CSS color names", () => {
+    assert.equal(parseColor("hello"), null);
+    assert.equal(parseColor("constructor"), null);
+    assert.equal(parseColor("RebeccaPurple"), "rebeccapurple");
+  });
+});
+
+describe("parseRef", () => {
+  it("adds https to bare hosts", () => {
+    assert.equal(parseRef("example.com/game"), "https://example.com/game");
+    assert.equal(parseRef("http://example.com/"), "http://example.com/");
+  });
+
+  it("rejects other schemes and junk", () => {
+    assert.equal(parseRef("javascript:alert(1)"), null);
+    assert.equal(parseRef(""), null);
+    assert.equal(parseRef("http://"), null);
+  });
+});
+
+describe("buildPortalUrl", () => {
+  it("adds the handoff parameters", () => {
+    const url = new URL(
+      buildPortalUrl(PORTAL_HUB_URL, {
+        username: "ace",
+        color: "#66ccff",
+        speed: 120,
+        ref: "https://example.com/cosmic/",
+      })
+    );
+    assert.equal(url.origin, PORTAL_HUB_URL);
+    assert.equal(url.searchParams.get("portal"), "true");
+    assert.equal(url.searchParams.get("username"), "ace");
+    assert.equal(url.searchParams.get("color"), "#66ccff");
+    assert.equal(url.searchParams.get("speed"), "120");
+    assert.equal(url.searchParams.get("ref"), "https://example.com/cosmic/");
+  });
+
+  it("keeps the target's own parameters and skips empty values", () => {
+    const url = new URL(
+      buildPortalUrl("https://game.example/?level=3", {
+        username: null,
+        color: "",
+        speed: 0,
+        ref: "https://example.com/",
+      })
+    );
+    assert.equal(url.searchParams.get("level"), "3");
+    assert.equal(url.searchParams.has("username"), false);
+    assert.equal(url.searchParams.has("color"), false);
+    assert.equal(url.searchParams.get("speed"), "0");
+  });
+});
+
+describe("insidePortal", () => {
+  const portal = { x: 0, y: 0, z: 100, radius: 30 };
+
+  it("detects the avatar in the opening", () => {
+    assert.equal(insidePortal({ x: 10, y: 0, z: 95 }, portal), true);
+    assert.equal(insidePortal({ x: 0, y: 0, z: 0 }, portal), false);
+  });
+});
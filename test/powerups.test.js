@@ -0,0 +1,163 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { GAME_DURATION, createGameState } from "../game-core.js";
+import {
+  DROP_CHANCE,
+  MAX_STACKED_DURATIONS,
+  PICKUP,
+  POWER_UPS,
+  collectPowerUp,
+  getCoolingScale,
+  getPowerUpTimers,
+  getScoreMultiplier,
+  isActive,
+  landingSpot,
+  moveToward,
+  rollDrop,
+  stepPowerUps,
+} from "../powerups.js";
+import { createRandom } from "../random.js";
+
+// Cycles through fixed values so rolls are predictable
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+describe("collectPowerUp", () => {
+  it("adds time to the round straight away", () => {
+    const state = createGameState();
+    assert.equal(collectPowerUp(state, "time"), null);
+    assert.equal(state.duration, GAME_DURATION + POWER_UPS.time.extraTime);
+    assert.deepEqual(state.powerUps, {});
+  });
+
+  it("keeps the Daily Challenge at its fixed length", () => {
+    const state = createGameState({ mode: "daily" });
+    assert.equal(collectPowerUp(state, "time"), null);
+    assert.equal(state.duration, GAME_DURATION);
+  });
+
+  it("starts a timed effect", () => {
+    const state = createGameState();
+    collectPowerUp(state, "magnet");
+    assert.equal(isActive(state.powerUps, "magnet"), true);
+    assert.deepEqual(state.powerUps.magnet, {
+      timeLeft: POWER_UPS.magnet.duration,
+      stacks: 1,
+    });
+  });
+
+  it("extends an active effect up to the cap", () => {
+    const state = createGameState();
+    const { duration } = POWER_UPS.wideBeam;
+    collectPowerUp(state, "wideBeam");
+    stepPowerUps(state.powerUps, duration / 2);
+    collectPowerUp(state, "wideBeam");
+    assert.equal(state.powerUps.wideBeam.timeLeft, duration * 1.5);
+    collectPowerUp(state, "wideBeam");
+    assert.equal(
+      state.powerUps.wideBeam.timeLeft,
+      duration * MAX_STACKED_DURATIONS
+    );
+    assert.equal(state.powerUps.wideBeam.stacks, 1);
+  });
+
+  it("stacks double points up to its limit", () => {
+    const state = createGameState();
+    assert.equal(getScoreMultiplier(state.powerUps), 1);
+    collectPowerUp(state, "doublePoints");
+    assert.equal(getScoreMultiplier(state.powerUps), 2);
+    collectPowerUp(state, "doublePoints");
+    assert.equal(getScoreMultiplier(state.powerUps), 4);
+    collectPowerUp(state, "doublePoints");
+    assert.equal(getScoreMultiplier(state.powerUps), 4);
+  });
+
+  it("ignores unknown types", () => {
+    const state = createGameState();
+    assert.equal(collectPowerUp(state, "banana"), null);
+    assert.deepEqual(state.powerUps, {});
+  });
+});
+
+describe("stepPowerUps", () => {
+  it("counts down and reports what ran out", () => {
+    const state = createGameState();
+    collectPowerUp(state, "magnet");
+    collectPowerUp(state, "rapidCooldown");
+    assert.equal(getCoolingScale(state.powerUps), 3);
+    assert.deepEqual(stepPowerUps(state.powerUps, POWER_UPS.magnet.duration), [
+      "magnet",
+    ]);
+    assert.equal(isActive(state.powerUps, "magnet"), false);
+    assert.deepEqual(stepPowerUps(state.powerUps, 100), ["rapidCooldown"]);
+    assert.equal(getCoolingScale(state.powerUps), 1);
+  });
+
+  it("lists timers in a stable order for the HUD", () => {
+    const state = createGameState();
+    collectPowerUp(state, "magnet");
+    collectPowerUp(state, "doublePoints");
+    stepPowerUps(state.powerUps, POWER_UPS.magnet.duration / 2);
+    const timers = getPowerUpTimers(state.powerUps);
+    assert.deepEqual(
+      timers.map(({ type }) => type),
+      ["doublePoints", "magnet"]
+    );
+    assert.equal(timers[1].fraction, 0.5);
+  });
+});
+
+describe("drops", () => {
+  it("drop only within each category's chance", () => {
+    assert.equal(rollDrop("common", sequence(DROP_CHANCE.common)), null);
+    assert.notEqual(rollDrop("rare", sequence(0, 0.5)), null);
+    assert.equal(rollDrop("bomb", sequence(0)), null);
+  });
+
+  it("pick types by weight", () => {
+    const types = Object.keys(POWER_UPS);
+    assert.equal(rollDrop("rare", sequence(0, 0)), types[0]);
+    assert.equal(rollDrop("rare", sequence(0, 0.9999)), types.at(-1));
+  });
+
+  it("leave extra time out of the Daily Challenge", () => {
+    const types = Object.keys(POWER_UPS).filter((type) => type !== "time");
+    assert.equal(rollDrop("rare", sequence(0, 0), "daily"), types[0]);
+    for (let i = 0; i < 200; i++) {
+      assert.notEqual(rollDrop("rare", sequence(0, i / 200), "daily"), "time");
+    }
+    assert.equal(rollDrop("rare", sequence(0, 0), "classic"), "time");
+  });
+
+  it("land a short flight from the avatar", () => {
+    const random = createRandom(1);
+    const avatar = { x: 10, y: 20, z: 30 };
+    for (let i = 0; i < 10; i++) {
+      const spot = landingSpot(avatar, random);
+      const distance = Math.hypot(
+        spot.x - avatar.x,
+        spot.y - avatar.y,
+        spot.z - avatar.z
+      );
+      assert.ok(distance >= PICKUP.minLanding - 1e-9);
+      assert.ok(distance <= PICKUP.maxLanding + 1e-9);
+    }
+  });
+});
+
+describe("moveToward", () => {
+  it("moves at most `speed` and reports the distance left", () => {
+    const position = { x: 0, y: 0, z: 0 };
+    assert.equal(moveToward(position, { x: 0, y: 30, z: 40 }, 10), 40);
+    assert.deepEqual(position, { x: 0, y: 6, z: 8 });
+  });
+
+  it("stops on the target instead of overshooting", () => {
+    const position = { x: 0, y: 0, z: 0 };
+    assert.equal(moveToward(position, { x: 3, y: 0, z: 0 }, 10), 0);
+    assert.deepEqual(position, { x: 3, y: 0, z: 0 });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createRandom,
+  deriveSeed,
+  hashString,
+  parseSeed,
+  randomSeed,
+} from "../random.js";
+import { generatePlanetSpec } from "../game-core.js";
+
+function take(random, count) {
+  return Array.from({ length: count }, () => random());
+}
+
+describe("createRandom", () => {
+  it("repeats the same sequence for the same seed", () => {
+    assert.deepEqual(take(createRandom(42), 20), take(createRandom(42), 20));
+  });
+
+  it("gives different sequences for different seeds", () => {
+    assert.notDeepEqual(take(createRandom(1), 5), take(createRandom(2), 5));
+  });
+
+  it("stays within [0, 1)", () => {
+    for (const value of take(createRandom(7), 1000)) {
+      assert.ok(value >= 0 && value < 1);
+    }
+  });
+
+  it("reproduces a planet field", () => {
+    const field = (seed) => {
+      const random = createRandom(seed);
+      return ["common", "exotic", "rare"].map((category) =>
+        generatePlanetSpec(category, random)
+      );
+    };
+    assert.deepEqual(field(1234), field(1234));
+    assert.notDeepEqual(field(1234), field(4321));
+  });
+});
+
+describe("seeds", () => {
+  it("derives independent streams per label", () => {
+    assert.notEqual(deriveSeed(5, "planets"), deriveSeed(5, "effects"));
+    assert.equal(deriveSeed(5, "planets"), deriveSeed(5, "planets"));
+  });
+
+  it("parses numeric seeds as-is", () => {
+    assert.equal(parseSeed("123"), 123);
+    assert.equal(parseSeed(" 4294967295 "), 4294967295);
+  });
+
+  it("hashes anything else", () => {
+    assert.equal(parseSeed("nebula"), hashString("nebula"));
+    assert.equal(parseSeed("4294967296"), hashString("4294967296"));
+  });
+
+  it("returns null for a missing seed", () => {
+    assert.equal(parseSeed(null), null);
+    assert.equal(parseSeed(""), null);
+  });
+
+  it("generates 32-bit seeds", () => {
+    const seed = randomSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= 0xffffffff);
+  });
+});
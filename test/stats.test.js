@@ -0,0 +1,154 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_PROFILE_NAME,
+  MAX_RUN_HISTORY,
+  createProfileStats,
+  breakStreak,
+  createProfileStore,
+  createRunStats,
+  endBurst,
+  finishRun,
+  getAccuracy,
+  getProfile,
+  normalizeProfileName,
+  recordHit,
+  recordLaserTime,
+  switchProfile,
+} from "../stats.js";
+
+const META = { mode: "classic", seed: 1, timestamp: 1000 };
+
+describe("run stats", () => {
+  it("counts kills by category", () => {
+    const run = createRunStats();
+    recordHit(run, "common");
+    recordHit(run, "rare");
+    recordHit(run, "rare");
+    assert.deepEqual(run.destroyed, { common: 1, exotic: 0, rare: 2 });
+    assert.equal(run.hits, 3);
+  });
+
+  it("breaks the streak on a burst that hits nothing", () => {
+    const run = createRunStats();
+    recordHit(run, "common");
+    recordHit(run, "common");
+    endBurst(run);
+    recordHit(run, "exotic");
+    endBurst(run);
+    assert.equal(run.streak, 3);
+
+    endBurst(run);
+    assert.equal(run.streak, 0);
+    recordHit(run, "common");
+    assert.equal(run.longestStreak, 3);
+  });
+
+  it("breaks the streak on a missed missile", () => {
+    const run = createRunStats();
+    recordHit(run, "rare");
+    breakStreak(run);
+    assert.equal(run.streak, 0);
+    assert.equal(run.longestStreak, 1);
+  });
+
+  it("measures accuracy as hits per second of laser time", () => {
+    const run = createRunStats();
+    assert.equal(getAccuracy(run), 0);
+    recordLaserTime(run, 2);
+    recordLaserTime(run, 2);
+    recordHit(run, "common");
+    recordHit(run, "common");
+    assert.equal(getAccuracy(run), 0.5);
+  });
+});
+
+describe("finishRun", () => {
+  it("rolls the run into the profile totals", () => {
+    const profile = createProfileStats();
+    const run = createRunStats();
+    recordHit(run, "exotic");
+    recordLaserTime(run, 3);
+    finishRun(profile, run, { ...META, score: 250 });
+
+    assert.equal(profile.gamesPlayed, 1);
+    assert.equal(profile.bestScore, 250);
+    assert.equal(profile.destroyed.exotic, 1);
+    assert.equal(profile.laserTime, 3);
+    assert.equal(profile.history[0].score, 250);
+  });
+
+  it("calls out new records but not on the very first run", () => {
+    const profile = createProfileStats();
+    const first = finishRun(profile, createRunStats(), { ...META, score: 100 });
+    assert.deepEqual(first, {
+      newBest: false,
+      newLongestStreak: false,
+      firstRun: true,
+    });
+
+    const run = createRunStats();
+    recordHit(run, "common");
+    const second = finishRun(profile, run, { ...META, score: 200 });
+    assert.equal(second.newBest, true);
+    assert.equal(second.newLongestStreak, true);
+
+    const third = finishRun(profile, createRunStats(), { ...META, score: 150 });
+    assert.equal(third.newBest, false);
+    assert.equal(profile.bestScore, 200);
+  });
+
+  it("keeps a bounded history, newest first", () => {
+    const profile = createProfileStats();
+    for (let i = 0; i < MAX_RUN_HISTORY + 5; i++) {
+      finishRun(profile, createRunStats(), { ...META, score: i });
+    }
+    assert.equal(profile.history.length, MAX_RUN_HISTORY);
+    assert.equal(profile.history[0].score, MAX_RUN_HISTORY + 4);
+  });
+});
+
+describe("profiles", () => {
+  it("starts with a default profile", () => {
+    const store = createProfileStore();
+    assert.equal(store.active, DEFAULT_PROFILE_NAME);
+    assert.equal(getProfile(store).gamesPlayed, 0);
+  });
+
+  it("keeps stats separate per profile", () => {
+    const store = createProfileStore();
+    finishRun(getProfile(store), createRunStats(), { ...META, score: 10 });
+    switchProfile(store, "Nova");
+    assert.equal(store.active, "Nova");
+    assert.equal(getProfile(store).gamesPlayed, 0);
+    assert.equal(getProfile(store, DEFAULT_PROFILE_NAME).gamesPlayed, 1);
+  });
+
+  it("cleans up profile names", () => {
+    assert.equal(normalizeProfileName("  <Ace>  "), "Ace");
+    assert.equal(
+      normalizeProfileName("a-very-long-pilot-name"),
+      "a-very-long-"
+    );
+    assert.equal(normalizeProfileName("   "), DEFAULT_PROFILE_NAME);
+  });
+
+  it("gives names from Object.prototype their own stats", () => {
+    const store = createProfileStore();
+    ["constructor", "toString", "hasOwnProperty"].forEach((name) => {
+      const profile = switchProfile(store, name);
+      finishRun(profile, createRunStats(), { ...META, score: 10 });
+      assert.equal(getProfile(store).gamesPlayed, 1);
+      assert.equal(getProfile(store).history.length, 1);
+    });
+    assert.equal({}.constructor, Object);
+  });
+
+  it("won't name a profile __proto__", () => {
+    const store = createProfileStore();
+    switchProfile(store, "__proto__");
+    assert.equal(store.active, DEFAULT_PROFILE_NAME);
+    assert.equal(Object.getPrototypeOf(store.profiles), Object.prototype);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  cameraStickControls,
+  moveStickControls,
+  stickVector,
+} from "../touch-input.js";
+
+describe("stickVector", () => {
+  it("is zero at the center and inside the dead zone", () => {
+    assert.deepEqual(stickVector(0, 0, 60), { x: 0, y: 0 });
+    assert.deepEqual(stickVector(6, 0, 60), { x: 0, y: 0 });
+  });
+
+  it("reaches full tilt at the rim and clamps beyond it", () => {
+    assert.deepEqual(stickVector(60, 0, 60), { x: 1, y: 0 });
+    assert.deepEqual(stickVector(0, -200, 60), { x: 0, y: -1 });
+  });
+
+  it("keeps the drag direction", () => {
+    const { x, y } = stickVector(30, 30, 30);
+    assert.ok(Math.abs(x - y) < 1e-9);
+    assert.ok(Math.abs(Math.hypot(x, y) - 1) < 1e-9);
+  });
+});
+
+describe("stick controls", () => {
+  it("maps the left stick to driving and turning", () => {
+    assert.deepEqual(moveStickControls({ x: 0.5, y: -1 }), {
+      forward: 1,
+      backward: 0,
+      rotateLeft: 0,
+      rotateRight: 0.5,
+    });
+  });
+
+  it("maps the right stick to the camera", () => {
+    assert.deepEqual(cameraStickControls({ x: -0.25, y: 0.75 }), {
+      cameraLeft: 0.25,
+      cameraRight: 0,
+      cameraUp: 0,
+      cameraDown: 0.75,
+    });
+  });
+});
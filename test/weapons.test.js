@@ -0,0 +1,174 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { createGameState } from "../game-core.js";
+import {
+  WEAPONS,
+  WEAPON_ORDER,
+  findMissileTarget,
+  fireBeam,
+  getCooldownFraction,
+  launchMissile,
+  nextWeapon,
+  releaseBeam,
+  releaseCharge,
+  selectWeapon,
+  startCharge,
+  stepMissile,
+  stepWeapons,
+} from "../weapons.js";
+
+function stateWith(weapon) {
+  const state = createGameState();
+  selectWeapon(state, weapon);
+  return state;
+}
+
+describe("weapon selection", () => {
+  it("switches only to known, different weapons", () => {
+    const state = createGameState();
+    assert.equal(selectWeapon(state, "railgun"), true);
+    assert.equal(selectWeapon(state, "railgun"), false);
+    assert.equal(selectWeapon(state, "banana"), false);
+    assert.equal(state.weapon, "railgun");
+  });
+
+  it("cycles in both directions and wraps", () => {
+    assert.equal(nextWeapon("beam"), "railgun");
+    assert.equal(nextWeapon(WEAPON_ORDER.at(-1)), WEAPON_ORDER[0]);
+    assert.equal(nextWeapon("beam", -1), WEAPON_ORDER.at(-1));
+  });
+
+  it("drops a railgun charge on switching", () => {
+    const state = stateWith("railgun");
+    startCharge(state);
+    stepWeapons(state, 0.5);
+    selectWeapon(state, "beam");
+    assert.equal(state.charging, false);
+    assert.equal(state.charge, 0);
+  });
+});
+
+describe("cooldowns", () => {
+  it("are set for every weapon", () => {
+    WEAPON_ORDER.forEach((weapon) => {
+      assert.ok(WEAPONS[weapon].cooldown > 0, weapon);
+    });
+  });
+
+  it("hold the beam off for a moment after it's let go", () => {
+    const state = stateWith("beam");
+    assert.equal(fireBeam(state), true);
+    assert.equal(releaseBeam(state), true);
+    assert.equal(releaseBeam(state), false);
+    assert.equal(getCooldownFraction(state), 1);
+    assert.equal(fireBeam(state), false);
+    stepWeapons(state, WEAPONS.beam.cooldown / 2);
+    assert.equal(fireBeam(state), false);
+    stepWeapons(state, WEAPONS.beam.cooldown / 2);
+    assert.equal(fireBeam(state), true);
+  });
+
+  it("are shared, so the beam waits out the railgun's", () => {
+    const state = stateWith("railgun");
+    startCharge(state);
+    stepWeapons(state, 1);
+    releaseCharge(state);
+    selectWeapon(state, "beam");
+    assert.equal(fireBeam(state), false);
+    assert.equal(getCooldownFraction(state), 1);
+    stepWeapons(state, WEAPONS.railgun.cooldown);
+    assert.equal(getCooldownFraction(state), 0);
+    assert.equal(fireBeam(state), true);
+  });
+});
+
+describe("railgun", () => {
+  it("scales damage and heat with the charge", () => {
+    const state = stateWith("railgun");
+    assert.equal(startCharge(state), true);
+    stepWeapons(state, WEAPONS.railgun.chargeTime / 2);
+    const shot = releaseCharge(state);
+    assert.equal(shot.charge, 0.5);
+    assert.equal(shot.damage, WEAPONS.railgun.damage / 2);
+    assert.equal(shot.pierce, WEAPONS.railgun.pierce);
+    assert.equal(state.laserHeat, WEAPONS.railgun.heat / 2);
+  });
+
+  it("caps the charge and fizzles when released too early", () => {
+    const state = stateWith("railgun");
+    startCharge(state);
+    stepWeapons(state, WEAPONS.railgun.chargeTime * 3);
+    assert.equal(state.charge, 1);
+    releaseCharge(state);
+
+    const early = stateWith("railgun");
+    startCharge(early);
+    assert.equal(releaseCharge(early), null);
+    assert.equal(early.weaponCooldown, 0);
+  });
+
+  it("waits out its cooldown", () => {
+    const state = stateWith("railgun");
+    startCharge(state);
+    stepWeapons(state, 1);
+    releaseCharge(state);
+    assert.equal(getCooldownFraction(state), 1);
+    assert.equal(startCharge(state), false);
+    stepWeapons(state, WEAPONS.railgun.cooldown);
+    assert.equal(startCharge(state), true);
+  });
+
+  it("cools down faster when scaled", () => {
+    const state = stateWith("railgun");
+    startCharge(state);
+    stepWeapons(state, 1);
+    releaseCharge(state);
+    stepWeapons(state, WEAPONS.railgun.cooldown / 4, 2);
+    assert.equal(getCooldownFraction(state), 0.5);
+  });
+});
+
+describe("missiles", () => {
+  it("launch with heat and a cooldown", () => {
+    const state = stateWith("missile");
+    assert.deepEqual(launchMissile(state), { overheated: false });
+    assert.equal(state.laserHeat, WEAPONS.missile.heat);
+    assert.equal(launchMissile(state), null);
+  });
+
+  it("won't launch while overheated", () => {
+    const state = stateWith("missile");
+    state.overheated = true;
+    assert.equal(launchMissile(state), null);
+  });
+
+  it("target the nearest planet ahead", () => {
+    const position = { x: 0, y: 0, z: 0 };
+    const velocity = { x: 0, y: 0, z: -1 };
+    const behind = { x: 0, y: 0, z: 10 };
+    const near = { x: 5, y: 0, z: -50 };
+    const far = { x: 0, y: 0, z: -500 };
+    assert.equal(
+      findMissileTarget(position, velocity, [behind, far, near]),
+      near
+    );
+    assert.equal(findMissileTarget(position, velocity, [behind]), null);
+  });
+
+  it("turn towards their target at constant speed", () => {
+    const missile = {
+      position: { x: 0, y: 0, z: 0 },
+      velocity: { x: 0, y: 0, z: -10 },
+    };
+    stepMissile(missile, { x: 100, y: 0, z: 0 }, { speed: 10, turnRate: 0.5 });
+    assert.ok(missile.velocity.x > 0);
+    assert.ok(
+      Math.abs(
+        Math.hypot(missile.velocity.x, missile.velocity.y, missile.velocity.z) -
+          10
+      ) < 1e-9
+    );
+    assert.deepEqual(missile.position, missile.velocity);
+  });
+});
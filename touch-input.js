@@ -0,0 +1,38 @@
+// ====================================
+// TOUCH INPUT
+// ====================================
+// Converts on-screen joystick drags into the same 0-1 control magnitudes
+// as the keyboard and gamepad, so the rest of the game can't tell them
+// apart.
+
+import { applyDeadZone } from "./gamepad.js";
+
+// Drag offset from the stick's center, in pixels, to a vector inside the
+// unit circle with the dead zone removed
+export function stickVector(dx, dy, radius) {
+  const distance = Math.hypot(dx, dy);
+  if (distance === 0 || radius <= 0) return { x: 0, y: 0 };
+
+  const scaled = applyDeadZone(Math.min(distance / radius, 1));
+  return { x: (dx / distance) * scaled, y: (dy / distance) * scaled };
+}
+
+// Left stick: up/down drives forward/backward, left/right turns
+export function moveStickControls({ x, y }) {
+  return {
+    forward: Math.max(0, -y),
+    backward: Math.max(0, y),
+    rotateLeft: Math.max(0, -x),
+    rotateRight: Math.max(0, x),
+  };
+}
+
+// Right stick: orbits the camera
+export function cameraStickControls({ x, y }) {
+  return {
+    cameraLeft: Math.max(0, -x),
+    cameraRight: Math.max(0, x),
+    cameraUp: Math.max(0, -y),
+    cameraDown: Math.max(0, y),
+  };
+}
@@ -0,0 +1,199 @@
+// ====================================
+// WEAPONS
+// ====================================
+// Weapon selection, charging, cooldowns and missile guidance. All weapons
+// share the laser heat pool from game-core.js: the beam heats up while it
+// fires, the railgun and missiles pay their heat up front. Vectors are
+// plain { x, y, z } objects so this runs headlessly under Node.
+
+import { addLaserHeat, fireLaser, releaseLaser } from "./game-core.js";
+
+export const WEAPONS = {
+  beam: {
+    label: "Beam",
+    damagePerSecond: 4, // A common planet lasts about a quarter second
+    cooldown: 0.25, // Seconds after letting go before it fires again
+  },
+  railgun: {
+    label: "Railgun",
+    chargeTime: 1, // Seconds to full charge
+    minCharge: 0.2, // Releasing earlier fizzles
+    heat: 1.5, // At full charge; scales with charge
+    cooldown: 1.2,
+    damage: 3, // At full charge; enough for anything short of a big rare
+    pierce: 4, // Planets one shot can pass through
+  },
+  missile: {
+    label: "Missile",
+    heat: 1,
+    cooldown: 0.8,
+    damage: 5,
+    speed: 40, // Per simulation step
+    turnRate: 0.08, // Fraction of the way to the target heading per step
+    lifetime: 4, // Seconds before it fizzles out
+    seekAngle: Math.PI / 3, // Only planets within this of its heading
+  },
+};
+
+export const WEAPON_ORDER = ["beam", "railgun", "missile"];
+
+// ====================================
+// SELECTION
+// ====================================
+// Returns true if the weapon changed
+export function selectWeapon(state, weapon) {
+  if (!WEAPONS[weapon] || state.weapon === weapon) return false;
+  state.weapon = weapon;
+  state.charging = false;
+  state.charge = 0;
+  return true;
+}
+
+// The weapon after (direction 1) or before (-1) `weapon`, wrapping around
+export function nextWeapon(weapon, direction = 1) {
+  const index = WEAPON_ORDER.indexOf(weapon);
+  const count = WEAPON_ORDER.length;
+  return WEAPON_ORDER[(index + direction + count) % count];
+}
+
+export function weaponReady(state) {
+  return !state.overheated && state.weaponCooldown <= 0 && !state.laserActive;
+}
+
+// Cooldown left as a 0-1 fraction of the selected weapon's cooldown. The
+// cooldown is shared, so a longer one left by another weapon shows as full.
+export function getCooldownFraction(state) {
+  const cooldown = WEAPONS[state.weapon].cooldown;
+  return Math.min(1, Math.max(0, state.weaponCooldown) / cooldown);
+}
+
+// Ticks cooldowns, `coolingScale` times faster, and the railgun charge
+export function stepWeapons(state, dt, coolingScale = 1) {
+  state.weaponCooldown = Math.max(0, state.weaponCooldown - dt * coolingScale);
+  if (state.charging) {
+    state.charge = Math.min(1, state.charge + dt / WEAPONS.railgun.chargeTime);
+  }
+}
+
+// ====================================
+// BEAM
+// ====================================
+// Returns true if the beam came on
+export function fireBeam(state) {
+  if (state.weapon !== "beam" || state.weaponCooldown > 0) return false;
+  return fireLaser(state);
+}
+
+// Returns true if the beam went off, starting its cooldown
+export function releaseBeam(state) {
+  if (!releaseLaser(state)) return false;
+  state.weaponCooldown = WEAPONS.beam.cooldown;
+  return true;
+}
+
+// ====================================
+// RAILGUN
+// ====================================
+// Returns true if charging started
+export function startCharge(state) {
+  if (state.weapon !== "railgun" || !weaponReady(state)) return false;
+  state.charging = true;
+  state.charge = 0;
+  return true;
+}
+
+// Fires the charged shot. Returns { damage, pierce, charge, overheated },
+// or null if nothing was charging or the charge was too weak.
+export function releaseCharge(state) {
+  if (!state.charging) return null;
+  const { charge } = state;
+  state.charging = false;
+  state.charge = 0;
+
+  const railgun = WEAPONS.railgun;
+  if (charge < railgun.minCharge) return null;
+  state.weaponCooldown = railgun.cooldown;
+  return {
+    damage: railgun.damage * charge,
+    pierce: railgun.pierce,
+    charge,
+    overheated: addLaserHeat(state, railgun.heat * charge),
+  };
+}
+
+// ====================================
+// MISSILES
+// ====================================
+// Returns { overheated } if a missile was launched, otherwise null
+export function launchMissile(state) {
+  if (state.weapon !== "missile" || !weaponReady(state)) return null;
+  state.weaponCooldown = WEAPONS.missile.cooldown;
+  return { overheated: addLaserHeat(state, WEAPONS.missile.heat) };
+}
+
+function length(vector) {
+  return Math.hypot(vector.x, vector.y, vector.z);
+}
+
+function difference(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+// Closest target in front of the missile, within seekAngle of its heading
+export function findMissileTarget(
+  position,
+  velocity,
+  targets,
+  seekAngle = WEAPONS.missile.seekAngle
+) {
+  const speed = length(velocity);
+  const minCos = Math.cos(seekAngle);
+  let best = null;
+  let bestDistance = Infinity;
+
+  targets.forEach((target) => {
+    const offset = difference(target, position);
+    const distance = length(offset);
+    if (distance === 0 || distance >= bestDistance) return;
+    const cos =
+      speed === 0
+        ? 1
+        : (offset.x * velocity.x +
+            offset.y * velocity.y +
+            offset.z * velocity.z) /
+          (distance * speed);
+    if (cos < minCos) return;
+    best = target;
+    bestDistance = distance;
+  });
+  return best;
+}
+
+// Turns the missile's heading part of the way towards `target` (if any),
+// then moves it one step at constant speed
+export function stepMissile(missile, target, { speed, turnRate }) {
+  const { position, velocity } = missile;
+  const currentSpeed = length(velocity) || 1;
+  const heading = {
+    x: velocity.x / currentSpeed,
+    y: velocity.y / currentSpeed,
+    z: velocity.z / currentSpeed,
+  };
+  if (target) {
+    const offset = difference(target, position);
+    const distance = length(offset) || 1;
+    heading.x += (offset.x / distance - heading.x) * turnRate;
+    heading.y += (offset.y / distance - heading.y) * turnRate;
+    heading.z += (offset.z / distance - heading.z) * turnRate;
+  }
+
+  const scale = speed / (length(heading) || 1);
+  velocity.x = heading.x * scale;
+  velocity.y = heading.y * scale;
+  velocity.z = heading.z * scale;
+
+  position.x += velocity.x;
+  position.y += velocity.y;
+  position.z += velocity.z;
+  return missile;
+}